@@ -0,0 +1,204 @@
+// src/analysis.js
+const { ImageProcessingError } = require('./errors');
+const { applyColorProfile, toRgbaPixels } = require('./utils');
+const logger = require('./logger');
+
+const ANALYSIS_DEFAULTS = {
+  paletteSize: 5,
+};
+
+// Tamaño máximo de la paleta
+const MAX_PALETTE_SIZE = 16;
+// Lado máximo de la muestra analizada: suficiente para los colores y mucho más rápido que la imagen completa
+const ANALYSIS_SAMPLE_SIZE = 64;
+// Un píxel con un alfa menor se considera transparente (y no cuenta para los colores ni el brillo)
+const ALPHA_THRESHOLD = 128;
+// Fracción de píxeles transparentes a partir de la cual la imagen es "mayormente transparente"
+const MOSTLY_TRANSPARENT_RATIO = 0.5;
+// Iteraciones de k-means con las que se ajusta la paleta inicial
+const REFINE_ITERATIONS = 4;
+// Distancia RGB por debajo de la cual dos colores de la paleta se funden (ej. los bordes suavizados de una forma)
+const MERGE_DISTANCE = 24;
+
+/**
+ * Comprueba la opción `analysis` de `processImage`.
+ * @param {*} analysis - El valor de la opción.
+ * @returns {string | null} El motivo por el que es inválida, o null si es válida.
+ */
+function getAnalysisError(analysis) {
+  if (analysis === true) return null;
+  if (typeof analysis !== 'object' || analysis === null || Array.isArray(analysis)) {
+    return 'debe ser true, false o un objeto `{ paletteSize }`.';
+  }
+  const unknownKeys = Object.keys(analysis).filter((key) => !(key in ANALYSIS_DEFAULTS));
+  if (unknownKeys.length > 0) return `contiene opciones desconocidas: ${unknownKeys.join(', ')}.`;
+  const { paletteSize } = analysis;
+  if (paletteSize !== undefined && !(Number.isInteger(paletteSize) && paletteSize >= 1 && paletteSize <= MAX_PALETTE_SIZE)) {
+    return `\`paletteSize\` debe ser un número entero entre 1 y ${MAX_PALETTE_SIZE}.`;
+  }
+  return null;
+}
+
+const toHex = ([r, g, b]) => `#${[r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+
+// Luminancia relativa (WCAG) de un canal sRGB de 0-255
+const toLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * Divide los píxeles en grupos de color con el algoritmo median cut: parte repetidamente el grupo con más
+ * píxeles por la mediana de su canal de mayor rango.
+ * @param {Array<number[]>} pixels - Los colores `[r, g, b]`.
+ * @param {number} count - Número de grupos deseado.
+ * @returns {Array<Array<number[]>>} Los grupos (puede haber menos si no hay colores suficientes).
+ */
+function medianCut(pixels, count) {
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    let target = -1;
+    let targetChannel = 0;
+    let targetScore = 0;
+    boxes.forEach((box, index) => {
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        for (const pixel of box) {
+          min = Math.min(min, pixel[channel]);
+          max = Math.max(max, pixel[channel]);
+        }
+        const score = (max - min) * box.length;
+        if (score > targetScore) {
+          target = index;
+          targetChannel = channel;
+          targetScore = score;
+        }
+      }
+    });
+    if (target === -1) break; // Todos los grupos son de un único color
+    const box = boxes[target].slice().sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const middle = Math.ceil(box.length / 2);
+    boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+  }
+  return boxes;
+}
+
+/**
+ * Calcula la paleta de una lista de colores: grupos iniciales con median cut, ajustados después con unas
+ * iteraciones de k-means para que cada color sea la media de los píxeles más cercanos a él.
+ * @param {Array<number[]>} pixels - Los colores `[r, g, b]`.
+ * @param {number} size - Número máximo de colores.
+ * @returns {Array<{hex: string, rgb: number[], weight: number}>} La paleta, del color más frecuente al menos,
+ * con la fracción de los píxeles que representa cada uno (menos de `size` colores si hay pocos distintos).
+ */
+function extractPalette(pixels, size) {
+  const mean = (group) => [0, 1, 2].map((channel) => group.reduce((sum, pixel) => sum + pixel[channel], 0) / group.length);
+  let centers = medianCut(pixels, size).map(mean);
+  let assignments = new Array(centers.length).fill(0);
+
+  for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+    const sums = centers.map(() => [0, 0, 0]);
+    assignments = centers.map(() => 0);
+    for (const pixel of pixels) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      centers.forEach((center, index) => {
+        const distance = (pixel[0] - center[0]) ** 2 + (pixel[1] - center[1]) ** 2 + (pixel[2] - center[2]) ** 2;
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+      assignments[nearest]++;
+      for (let channel = 0; channel < 3; channel++) sums[nearest][channel] += pixel[channel];
+    }
+    centers = centers.map((center, index) =>
+      assignments[index] > 0 ? sums[index].map((sum) => sum / assignments[index]) : center
+    );
+  }
+
+  // Los colores casi iguales se funden en el más frecuente, sumando sus píxeles
+  const merged = [];
+  centers
+    .map((center, index) => ({ center, count: assignments[index] }))
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count)
+    .forEach(({ center, count }) => {
+      const similar = merged.find((color) =>
+        (color.center[0] - center[0]) ** 2 + (color.center[1] - center[1]) ** 2 + (color.center[2] - center[2]) ** 2 < MERGE_DISTANCE ** 2
+      );
+      if (similar) {
+        similar.center = similar.center.map((value, channel) => (value * similar.count + center[channel] * count) / (similar.count + count));
+        similar.count += count;
+      } else {
+        merged.push({ center, count });
+      }
+    });
+
+  return merged
+    .sort((a, b) => b.count - a.count)
+    .map(({ center, count }) => {
+      const rgb = center.map((value) => Math.round(value));
+      return { hex: toHex(rgb), rgb, weight: Math.round((count / pixels.length) * 1000) / 1000 };
+    });
+}
+
+/**
+ * Analiza los colores de una imagen: color dominante, paleta con el peso de cada color, brillo medio y transparencia.
+ * Se calcula una sola vez, sobre una muestra reducida de la imagen ya transformada y en sRGB.
+ * @param {sharp.Sharp} sharpInstance - Instancia base (imagen fija, con las transformaciones aplicadas); no se modifica.
+ * @param {true | object} analysis - Opción `analysis` ya validada.
+ * @param {boolean} hasAlpha - Si la imagen tiene canal alfa (de sus metadatos); sin él no se buscan píxeles transparentes.
+ * @returns {Promise<{dominant: object | null, palette: Array<object>, brightness: number | null, transparency: number,
+ * mostlyTransparent: boolean}>} El análisis. `brightness` es la luminancia relativa media (0 negro, 1 blanco);
+ * `transparency`, la fracción de píxeles transparentes. Si toda la imagen es transparente no hay colores ni brillo.
+ * @throws {ImageProcessingError} Si no se puede analizar la imagen.
+ */
+async function analyzeImage(sharpInstance, analysis, hasAlpha) {
+  const { paletteSize } = { ...ANALYSIS_DEFAULTS, ...(analysis === true ? {} : analysis) };
+  let sample;
+  try {
+    sample = await toRgbaPixels(
+      applyColorProfile(sharpInstance.clone(), 'strip').resize({ width: ANALYSIS_SAMPLE_SIZE, height: ANALYSIS_SAMPLE_SIZE, fit: 'inside' })
+    );
+  } catch (err) {
+    const msg = `No se pudo analizar la imagen: ${err.message}`;
+    logger.error('ImageProcessingError: %s', msg, { originalError: err });
+    throw new ImageProcessingError(msg, err, 'ERR_ANALYSIS_FAILED');
+  }
+
+  const { data, info } = sample;
+  const total = info.width * info.height;
+  const pixels = [];
+  let luminance = 0;
+  for (let offset = 0; offset < data.length; offset += info.channels) {
+    if (hasAlpha && data[offset + info.channels - 1] < ALPHA_THRESHOLD) continue;
+    const rgb = [data[offset], data[offset + 1], data[offset + 2]];
+    pixels.push(rgb);
+    luminance += 0.2126 * toLinear(rgb[0]) + 0.7152 * toLinear(rgb[1]) + 0.0722 * toLinear(rgb[2]);
+  }
+
+  const transparency = Math.round(((total - pixels.length) / total) * 1000) / 1000;
+  const palette = pixels.length > 0 ? extractPalette(pixels, paletteSize) : [];
+  const result = {
+    dominant: palette.length > 0 ? { hex: palette[0].hex, rgb: palette[0].rgb } : null,
+    palette,
+    brightness: pixels.length > 0 ? Math.round((luminance / pixels.length) * 1000) / 1000 : null,
+    transparency,
+    mostlyTransparent: transparency >= MOSTLY_TRANSPARENT_RATIO,
+  };
+  logger.debug(
+    'Analysis: Color dominante %s, brillo %s, transparencia %d.',
+    result.dominant ? result.dominant.hex : '(ninguno)',
+    result.brightness,
+    result.transparency
+  );
+  return result;
+}
+
+module.exports = {
+  ANALYSIS_DEFAULTS,
+  getAnalysisError,
+  analyzeImage,
+};
@@ -2,25 +2,38 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const { StorageError } = require('./errors');
+const { StorageError, ConfigurationError } = require('./errors');
+const { getMissingCacheStoreMethods, listEntryVariants } = require('./cache-store');
+const { DiskCacheStore } = require('./disk-cache-store');
+const { MemoryCacheStore } = require('./memory-cache-store');
 const logger = require('./logger');
 
 const DEFAULT_CACHE_DIR = '.image_cache';
 
+// Opciones que no afectan al resultado del procesamiento y por tanto no forman parte de la clave
+const NON_OUTPUT_OPTIONS = ['maxInputBytes', 'streamOutput', 'cacheTtl', 'storageOptions', 'transaction'];
+
 /**
- * Genera una clave de caché única a partir de un objeto de opciones.
- * Esto asegura que la misma combinación de imagen de entrada + opciones dé la misma clave.
+ * Calcula el hash SHA-256 del contenido de una imagen.
  * @param {Buffer} imageBuffer - El buffer de la imagen original.
+ * @returns {string} El hash en hexadecimal.
+ */
+function hashImage(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+/**
+ * Genera una clave de caché a partir del hash de la imagen y de las opciones de procesamiento.
+ * Permite generar la clave de imágenes recibidas como stream, cuyo hash se calcula mientras se leen.
+ * @param {string} imageHash - El hash SHA-256 de la imagen original (ver `hashImage`).
  * @param {object} options - Las opciones de procesamiento (outputFormat, quality, transformations, sizes, etc.).
  * @returns {string} Una clave de caché única.
  */
-function generateCacheKey(imageBuffer, options) {
-  const imageHash = crypto
-    .createHash('sha256')
-    .update(imageBuffer)
-    .digest('hex');
-
+function generateCacheKeyFromHash(imageHash, options) {
   const relevantOptions = { ...options };
+  for (const key of NON_OUTPUT_OPTIONS) {
+    delete relevantOptions[key];
+  }
   if (typeof relevantOptions.filenameGenerator === 'string') {
     // Si ya está stringified, no hacer nada
   } else if (typeof relevantOptions.filenameGenerator === 'function') {
@@ -38,24 +51,94 @@ function generateCacheKey(imageBuffer, options) {
   return `${imageHash}-${optionsHash}`;
 }
 
+/**
+ * Prepara la opción `watermark` para la clave de caché: su `image` (un Buffer o la ruta de un archivo) se sustituye
+ * por el hash de su contenido, de modo que cambiar el archivo de la marca de agua invalida las entradas que lo usaban.
+ * Si el archivo no se puede leer, se conserva la ruta (el procesamiento fallará al cargarlo).
+ * @param {object | false | undefined} watermark - La opción `watermark`.
+ * @returns {Promise<object | false | undefined>} La opción con `image` convertida en hash.
+ */
+async function resolveWatermarkForCacheKey(watermark) {
+  if (!watermark || watermark.image === undefined) return watermark;
+  let content = watermark.image;
+  if (typeof content === 'string') {
+    try {
+      content = await fs.readFile(content);
+    } catch (error) {
+      logger.debug('CacheManager: No se pudo leer la marca de agua %s para la clave de caché: %s', watermark.image, error.message);
+      return watermark;
+    }
+  }
+  return { ...watermark, image: `sha256:${hashImage(content)}` };
+}
+
+/**
+ * Genera una clave de caché única a partir de un objeto de opciones.
+ * Esto asegura que la misma combinación de imagen de entrada + opciones dé la misma clave.
+ * @param {Buffer} imageBuffer - El buffer de la imagen original.
+ * @param {object} options - Las opciones de procesamiento (outputFormat, quality, transformations, sizes, etc.).
+ * @returns {string} Una clave de caché única.
+ */
+function generateCacheKey(imageBuffer, options) {
+  return generateCacheKeyFromHash(hashImage(imageBuffer), options);
+}
+
 /**
  * Gestiona el almacenamiento y recuperación de imágenes cacheadas.
+ * Las entradas se guardan en un almacén intercambiable (por defecto, `DiskCacheStore`: un directorio
+ * por entrada con un `metadata.json` y un archivo por variante), opcionalmente con un nivel en memoria
+ * (`MemoryCacheStore`, LRU acotado por bytes) delante para las imágenes más solicitadas.
+ * El caché puede acotarse por tamaño total (`maxBytes`, expulsando las entradas usadas hace más tiempo)
+ * y por antigüedad (`ttl`); `prune()` aplica ambos límites y puede ejecutarse bajo demanda o periódicamente.
  */
 class CacheManager {
-  constructor(cacheDir, cacheEnabled = false) {
+  /**
+   * @param {string} [cacheDir='.image_cache'] - Directorio del caché en disco.
+   * @param {boolean} [cacheEnabled=false] - Si el caché está habilitado.
+   * @param {object} [options={}] - Límites y almacenes del caché.
+   * @param {number} [options.maxBytes] - Tamaño total máximo en bytes del almacén principal. Al superarlo se expulsan las entradas menos usadas recientemente.
+   * @param {number} [options.ttl] - Tiempo de vida por defecto de cada entrada en milisegundos.
+   * @param {number} [options.pruneInterval] - Si se indica, ejecuta `prune()` cada tantos milisegundos.
+   * @param {number} [options.memoryMaxBytes] - Si se indica, añade un nivel en memoria de como máximo estos bytes delante del almacén principal.
+   * @param {import('./cache-store').CacheStore} [options.store] - Almacén principal. Por defecto, `DiskCacheStore` en `cacheDir`.
+   * @throws {ConfigurationError} Si el almacén no cumple el contrato de `CacheStore`.
+   */
+  constructor(cacheDir, cacheEnabled = false, options = {}) {
     this.cacheDir = cacheDir
       ? path.resolve(cacheDir)
       : path.resolve(DEFAULT_CACHE_DIR);
     this.cacheEnabled = cacheEnabled;
+    this.maxBytes = options.maxBytes || null;
+    this.ttl = options.ttl || null;
+
+    const missingMethods = options.store ? getMissingCacheStoreMethods(options.store) : [];
+    if (missingMethods.length > 0) {
+      const msg = `El almacén de caché es inválido: faltan los métodos ${missingMethods.join(', ')}.`;
+      logger.error('ConfigurationError: %s', msg);
+      throw new ConfigurationError(msg, null, 'ERR_INVALID_CACHE_STORE');
+    }
+    this.store = options.store || new DiskCacheStore(this.cacheDir);
+    this.memoryTier = options.memoryMaxBytes
+      ? new MemoryCacheStore({ maxBytes: options.memoryMaxBytes })
+      : null;
+
+    this._pruneTimer = null;
+    this._pruning = null; // Promesa del prune en curso, para no solapar dos recorridos
+    this.counters = { hits: 0, memoryHits: 0, misses: 0, errors: 0 };
     logger.info(
-      `Cache Manager inicializado. Ruta del caché: %s, Habilitado: %s`,
+      `Cache Manager inicializado. Almacén: %s, Ruta del caché: %s, Memoria: %s, Habilitado: %s`,
+      this.store.name,
       this.cacheDir,
+      this.memoryTier ? `${options.memoryMaxBytes} bytes` : 'no',
       this.cacheEnabled
     );
+    if (this.cacheEnabled && options.pruneInterval) {
+      this.startPruning(options.pruneInterval);
+    }
   }
 
   /**
-   * Inicializa el directorio de caché, creándolo si no existe.
+   * Inicializa el almacén del caché (en disco, crea el directorio si no existe).
    */
   async init() {
     if (!this.cacheEnabled) {
@@ -64,28 +147,14 @@ class CacheManager {
       );
       return;
     }
-    try {
-      await fs.mkdir(this.cacheDir, { recursive: true });
-      logger.info(
-        `CacheManager: Directorio de caché creado/verificado: %s`,
-        this.cacheDir
-      );
-    } catch (error) {
-      logger.error(
-        `CacheManager: Error al inicializar el directorio de caché en %s: %s`,
-        this.cacheDir,
-        error.message,
-        { originalError: error }
-      );
-      throw new StorageError(
-        `Error al inicializar el directorio de caché en '${this.cacheDir}': ${error.message}`,
-        error
-      );
+    if (typeof this.store.init === 'function') {
+      await this.store.init();
     }
   }
 
   /**
-   * Intenta recuperar las imágenes (buffers y metadatos) del caché.
+   * Intenta recuperar las imágenes (buffers y metadatos) del caché, primero del nivel en memoria
+   * y después del almacén principal (promocionando la entrada a memoria).
    * @param {string} cacheKey - La clave única de la imagen procesada.
    * @returns {Promise<Array<{buffer: Buffer, filename: string, sizeKey: string, metadata: object}> | null>}
    * Un array de objetos imagen (similar a `allImagesToSave`) si se encuentra en caché, o null.
@@ -93,71 +162,56 @@ class CacheManager {
   async getCachedImages(cacheKey) {
     if (!this.cacheEnabled) return null;
 
-    const cacheEntryPath = path.join(this.cacheDir, cacheKey);
     try {
       logger.debug(
-        'CacheManager: Intentando obtener de caché para clave: %s en %s',
-        cacheKey,
-        cacheEntryPath
+        'CacheManager: Intentando obtener de caché para clave: %s',
+        cacheKey
       );
-      const metadataFilePath = path.join(cacheEntryPath, 'metadata.json');
-      const metadataContent = await fs.readFile(metadataFilePath, 'utf8');
-      const cachedMetadata = JSON.parse(metadataContent);
-
-      const cachedImages = [];
-
-      const originalMetadata = cachedMetadata.original;
-      if (originalMetadata) {
-        const originalBufferPath = path.join(
-          cacheEntryPath,
-          `original.${originalMetadata.format}`
-        );
-        const originalBuffer = await fs.readFile(originalBufferPath);
-        cachedImages.push({
-          buffer: originalBuffer,
-          filename: null,
-          sizeKey: 'original',
-          metadata: originalMetadata,
-        });
+      const now = Date.now();
+      let entry = this.memoryTier ? await this.memoryTier.get(cacheKey) : null;
+      const fromMemory = Boolean(entry);
+      if (!entry) {
+        entry = await this.store.get(cacheKey);
+      }
+      if (!entry) {
+        this.counters.misses++;
         logger.debug(
-          'CacheManager: Buffer original recuperado de caché: %s',
-          originalBufferPath
+          `CacheManager: Archivo de caché no encontrado para clave: %s`,
+          cacheKey
         );
+        return null;
+      }
+      if (this._isExpired(entry.metadata.expiresAt, entry.metadata.createdAt, now)) {
+        logger.debug('CacheManager: Entrada de caché caducada para clave: %s', cacheKey);
+        await this._removeEntry(cacheKey);
+        this.counters.misses++;
+        return null;
       }
 
-      for (const sizeKey in cachedMetadata.resized) {
-        const resizedMeta = cachedMetadata.resized[sizeKey];
-        const resizedBufferPath = path.join(
-          cacheEntryPath,
-          `${sizeKey}.${resizedMeta.format}`
-        );
-        const resizedBuffer = await fs.readFile(resizedBufferPath);
-        cachedImages.push({
-          buffer: resizedBuffer,
-          filename: null,
-          sizeKey: sizeKey,
-          metadata: resizedMeta,
+      if (fromMemory) {
+        await this.memoryTier.touch(cacheKey);
+        this.counters.memoryHits++;
+      } else if (this.memoryTier) {
+        await this.memoryTier.set(cacheKey, entry);
+      }
+      // El último acceso en el almacén principal se usa para la expulsión LRU. Con un acierto
+      // en memoria se registra sin esperar, para no añadir latencia a las imágenes más solicitadas.
+      if (typeof this.store.touch === 'function') {
+        const touched = Promise.resolve(this.store.touch(cacheKey)).catch((error) => {
+          logger.debug('CacheManager: No se pudo registrar el acceso a %s: %s', cacheKey, error.message);
         });
-        logger.debug(
-          'CacheManager: Buffer redimensionado (%s) recuperado de caché: %s',
-          sizeKey,
-          resizedBufferPath
-        );
+        if (!fromMemory) await touched;
       }
 
+      this.counters.hits++;
       logger.info(
-        `CacheManager: Imágenes recuperadas de caché para clave: %s`,
+        `CacheManager: Imágenes recuperadas de caché (%s) para clave: %s`,
+        fromMemory ? 'memoria' : this.store.name,
         cacheKey
       );
-      return cachedImages;
+      return this._toImages(entry);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.debug(
-          `CacheManager: Archivo de caché no encontrado para clave: %s`,
-          cacheKey
-        );
-        return null;
-      }
+      this.counters.errors++;
       logger.error(
         `CacheManager: Error al cargar imágenes desde caché para %s: %s`,
         cacheKey,
@@ -173,70 +227,380 @@ class CacheManager {
    * Almacena las imágenes (buffers y metadatos) en el caché.
    * @param {string} cacheKey - La clave única.
    * @param {Array<{buffer: Buffer, filename: string, sizeKey: string, metadata: object}>} allImagesToSave - Array de objetos con buffers e información.
+   * @param {object} [options={}]
+   * @param {number} [options.ttl] - Tiempo de vida de esta entrada en milisegundos (por defecto, el `ttl` del caché).
    */
-  async setCachedImages(cacheKey, allImagesToSave) {
+  async setCachedImages(cacheKey, allImagesToSave, options = {}) {
     if (!this.cacheEnabled) return;
 
-    const cacheEntryPath = path.join(this.cacheDir, cacheKey);
     try {
       logger.debug(
-        'CacheManager: Intentando guardar en caché para clave: %s en %s',
+        'CacheManager: Intentando guardar en caché para clave: %s',
+        cacheKey
+      );
+      const entry = this._toEntry(allImagesToSave, options.ttl || this.ttl);
+      if (this.memoryTier) {
+        await this.memoryTier.set(cacheKey, entry);
+      }
+      await this.store.set(cacheKey, entry);
+      logger.info(
+        `CacheManager: Imágenes guardadas en caché para clave: %s`,
+        cacheKey
+      );
+
+      if (this.maxBytes) {
+        // Aplica el límite de tamaño en segundo plano; los errores ya se registran en prune()
+        this.prune().catch(() => {});
+      }
+    } catch (error) {
+      this.counters.errors++;
+      logger.error(
+        `CacheManager: Error al guardar imágenes en caché para %s: %s`,
         cacheKey,
-        cacheEntryPath
+        error.message,
+        { originalError: error }
       );
-      await fs.mkdir(cacheEntryPath, { recursive: true });
+      // No lanzar error aquí para no detener el proceso principal si el caché falla
+    }
+  }
 
-      const metadataToCache = {
-        original: null,
-        resized: {},
-      };
+  /**
+   * Construye una entrada de almacén a partir de las imágenes procesadas.
+   * @param {Array<object>} images - Imágenes con buffer, sizeKey y metadatos.
+   * @param {number | null} ttl - Tiempo de vida en milisegundos.
+   * @returns {{metadata: object, buffers: Object<string, Buffer>}}
+   * @private
+   */
+  _toEntry(images, ttl) {
+    const createdAt = Date.now();
+    const metadata = {
+      createdAt,
+      expiresAt: ttl ? createdAt + ttl : null,
+      bytes: 0,
+      variants: {},
+    };
+    const buffers = {};
+    for (const img of images) {
+      const { format } = img.metadata;
+      buffers[`${img.sizeKey}.${format}`] = img.buffer;
+      metadata.bytes += img.buffer.length;
+      metadata.variants[img.sizeKey] = metadata.variants[img.sizeKey] || {};
+      metadata.variants[img.sizeKey][format] = img.metadata;
+    }
+    return { metadata, buffers };
+  }
 
-      for (const img of allImagesToSave) {
-        const bufferFilePath = path.join(
-          cacheEntryPath,
-          `${img.sizeKey}.${img.metadata.format}`
-        );
-        await fs.writeFile(bufferFilePath, img.buffer);
-        logger.debug(
-          'CacheManager: Buffer guardado en caché: %s',
-          bufferFilePath
-        );
+  /**
+   * Convierte una entrada de almacén en el array de imágenes que usa `processImage`.
+   * Cada llamada recibe objetos nuevos, por lo que asignarles nombres de archivo no afecta al caché.
+   * @param {{metadata: object, buffers: Object<string, Buffer>}} entry
+   * @returns {Array<{buffer: Buffer, filename: null, sizeKey: string, metadata: object}>}
+   * @private
+   */
+  _toImages(entry) {
+    return listEntryVariants(entry.metadata).map((variant) => ({
+      buffer: entry.buffers[variant.bufferKey] || entry.buffers[variant.legacyBufferKey],
+      filename: null,
+      sizeKey: variant.sizeKey,
+      metadata: { ...variant.metadata },
+    }));
+  }
+
+  /**
+   * Indica si una entrada ha caducado. Las entradas sin caducidad propia (escritas sin TTL)
+   * caducan según el `ttl` actual del caché, contado desde su creación.
+   * @param {number | null | undefined} expiresAt - Caducidad guardada en la entrada.
+   * @param {number | undefined} createdAt - Fecha de creación de la entrada.
+   * @param {number} now - Instante de referencia.
+   * @returns {boolean}
+   * @private
+   */
+  _isExpired(expiresAt, createdAt, now) {
+    if (expiresAt) return expiresAt <= now;
+    return Boolean(this.ttl && createdAt && createdAt + this.ttl <= now);
+  }
+
+  /**
+   * Elimina una entrada de todos los niveles del caché.
+   * @param {string} cacheKey - La clave de la entrada.
+   * @returns {Promise<boolean>} `true` si existía en el almacén principal.
+   * @private
+   */
+  async _removeEntry(cacheKey) {
+    if (this.memoryTier) {
+      await this.memoryTier.delete(cacheKey);
+    }
+    return this.store.delete(cacheKey);
+  }
+
+  /**
+   * Aplica los límites del caché: elimina las entradas caducadas (según su TTL), los restos de
+   * escrituras interrumpidas y, si el tamaño total supera `maxBytes`, las entradas cuyo último
+   * acceso es más antiguo hasta volver a estar por debajo del límite.
+   * Si ya hay un prune en curso, retorna su resultado en lugar de iniciar otro.
+   * @returns {Promise<{expired: number, evicted: number, removedBytes: number, remainingEntries: number, remainingBytes: number}>}
+   * @throws {StorageError} Si no se puede recorrer el almacén del caché.
+   */
+  async prune() {
+    if (!this._pruning) {
+      this._pruning = this._prune().finally(() => {
+        this._pruning = null;
+      });
+    }
+    return this._pruning;
+  }
+
+  /**
+   * Implementación de `prune()`.
+   * @private
+   */
+  async _prune() {
+    const summary = {
+      expired: 0,
+      evicted: 0,
+      removedBytes: 0,
+      remainingEntries: 0,
+      remainingBytes: 0,
+    };
+    if (!this.cacheEnabled) return summary;
 
-        if (img.sizeKey === 'original') {
-          metadataToCache.original = img.metadata;
-        } else {
-          metadataToCache.resized[img.sizeKey] = img.metadata;
+    const now = Date.now();
+    if (typeof this.store.cleanup === 'function') {
+      const cleaned = await this.store.cleanup(now);
+      if (cleaned) {
+        summary.expired += cleaned.removed;
+        summary.removedBytes += cleaned.removedBytes;
+      }
+    }
+    if (this.memoryTier) {
+      for (const info of await this.memoryTier.list()) {
+        if (this._isExpired(info.expiresAt, info.createdAt, now)) {
+          await this.memoryTier.delete(info.key);
         }
       }
+    }
 
-      const metadataFilePath = path.join(cacheEntryPath, 'metadata.json');
-      await fs.writeFile(
-        metadataFilePath,
-        JSON.stringify(metadataToCache, null, 2),
-        'utf8'
-      );
-      logger.debug(
-        'CacheManager: Metadatos guardados en caché: %s',
-        metadataFilePath
-      );
+    const entries = [];
+    for (const info of await this.store.list()) {
+      if (this._isExpired(info.expiresAt, info.createdAt, now)) {
+        await this._removeEntry(info.key);
+        summary.expired++;
+        summary.removedBytes += info.bytes;
+      } else {
+        entries.push(info);
+      }
+    }
 
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    if (this.maxBytes && totalBytes > this.maxBytes) {
+      // Expulsión LRU: primero las entradas con el acceso más antiguo
+      const candidates = entries
+        .filter((entry) => entry.complete)
+        .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+      for (const entry of candidates) {
+        if (totalBytes <= this.maxBytes) break;
+        await this._removeEntry(entry.key);
+        entries.splice(entries.indexOf(entry), 1);
+        totalBytes -= entry.bytes;
+        summary.evicted++;
+        summary.removedBytes += entry.bytes;
+      }
+    }
+
+    summary.remainingEntries = entries.length;
+    summary.remainingBytes = totalBytes;
+    if (summary.expired > 0 || summary.evicted > 0) {
       logger.info(
-        `CacheManager: Imágenes guardadas en caché para clave: %s`,
-        cacheKey
+        'CacheManager: Prune completado: %d caducadas, %d expulsadas, %d bytes liberados.',
+        summary.expired,
+        summary.evicted,
+        summary.removedBytes
       );
+    }
+    return summary;
+  }
+
+  /**
+   * Comprueba que una clave de caché no pueda salirse del directorio del caché.
+   * @param {string} cacheKey
+   * @throws {StorageError} Si la clave es inválida.
+   * @private
+   */
+  _assertValidKey(cacheKey) {
+    if (
+      typeof cacheKey !== 'string' ||
+      cacheKey === '' ||
+      cacheKey.startsWith('.') ||
+      path.basename(cacheKey) !== cacheKey
+    ) {
+      const msg = `Clave de caché inválida: '${cacheKey}'.`;
+      logger.error('StorageError: %s', msg);
+      throw new StorageError(msg, null, 'ERR_INVALID_CACHE_KEY');
+    }
+  }
+
+  /**
+   * Convierte la información interna de una entrada en su forma pública.
+   * @private
+   */
+  _toPublicEntry(info) {
+    return {
+      key: info.key,
+      size: info.bytes,
+      createdAt: info.createdAt,
+      lastAccessedAt: info.lastAccessedAt,
+      expiresAt: info.expiresAt,
+      complete: info.complete,
+    };
+  }
+
+  /**
+   * Lista las entradas del almacén principal, de la usada más recientemente a la menos.
+   * Las fechas son marcas de tiempo en milisegundos.
+   * @returns {Promise<Array<{key: string, size: number, createdAt: number, lastAccessedAt: number, expiresAt: number | null, complete: boolean}>>}
+   * @throws {StorageError} Si no se puede recorrer el almacén del caché.
+   */
+  async listEntries() {
+    if (!this.cacheEnabled) return [];
+    const infos = await this.store.list();
+    return infos
+      .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt)
+      .map((info) => this._toPublicEntry(info));
+  }
+
+  /**
+   * Obtiene la información de una entrada y los metadatos de sus variantes, sin contarlo como acceso.
+   * @param {string} cacheKey - La clave de la entrada.
+   * @returns {Promise<object | null>} Como un elemento de `listEntries()` más `variants`, los metadatos de cada variante
+   * por tamaño y formato (`{ original: { jpeg: {...} }, small: { webp: {...} } }`), o null si no existe.
+   * @throws {StorageError} Si la clave es inválida o no se puede leer la entrada.
+   */
+  async getEntry(cacheKey) {
+    this._assertValidKey(cacheKey);
+    if (!this.cacheEnabled) return null;
+    try {
+      const info = await this.store.info(cacheKey);
+      if (!info) return null;
+      const entry = this._toPublicEntry(info);
+      const stored = info.complete ? await this.store.get(cacheKey) : null;
+      entry.variants = {};
+      for (const variant of stored ? listEntryVariants(stored.metadata) : []) {
+        entry.variants[variant.sizeKey] = entry.variants[variant.sizeKey] || {};
+        entry.variants[variant.sizeKey][variant.format] = variant.metadata;
+      }
+      return entry;
     } catch (error) {
       logger.error(
-        `CacheManager: Error al guardar imágenes en caché para %s: %s`,
+        'CacheManager: Error al leer la entrada de caché %s: %s',
         cacheKey,
         error.message,
         { originalError: error }
       );
-      // No lanzar error aquí para no detener el proceso principal si el caché falla
+      throw new StorageError(
+        `Error al leer la entrada de caché '${cacheKey}': ${error.message}`,
+        error,
+        'ERR_CACHE_READ_FAILED'
+      );
+    }
+  }
+
+  /**
+   * Elimina una entrada de todos los niveles del caché.
+   * @param {string} cacheKey - La clave de la entrada.
+   * @returns {Promise<boolean>} `true` si la entrada existía y se eliminó.
+   * @throws {StorageError} Si la clave es inválida o no se puede eliminar.
+   */
+  async deleteEntry(cacheKey) {
+    this._assertValidKey(cacheKey);
+    if (!this.cacheEnabled) return false;
+    try {
+      const removed = await this._removeEntry(cacheKey);
+      if (removed) {
+        logger.info('CacheManager: Entrada de caché eliminada: %s', cacheKey);
+      }
+      return removed;
+    } catch (error) {
+      logger.error(
+        'CacheManager: Error al eliminar la entrada de caché %s: %s',
+        cacheKey,
+        error.message,
+        { originalError: error }
+      );
+      throw new StorageError(
+        `Error al eliminar la entrada de caché '${cacheKey}': ${error.message}`,
+        error,
+        'ERR_CACHE_DELETE_FAILED'
+      );
     }
   }
 
   /**
-   * Limpia todo el caché.
+   * Estadísticas del caché. Los contadores son del proceso actual (desde la creación
+   * o desde `resetStats()`); el número de entradas y los bytes se leen del almacén principal.
+   * @returns {Promise<{cacheDir: string, store: string, enabled: boolean, entries: number, totalBytes: number, hits: number, misses: number, errors: number, hitRatio: number | null, maxBytes: number | null, ttl: number | null, memory: object | null}>}
+   * `hitRatio` es `hits / (hits + misses)`, o null mientras no haya habido consultas. `errors` cuenta los fallos de lectura y escritura.
+   * `memory` (si hay nivel en memoria) es `{ entries, totalBytes, maxBytes, hits }`, donde `hits` es la parte de los aciertos servida desde memoria.
+   * @throws {StorageError} Si no se puede recorrer el almacén del caché.
+   */
+  async stats() {
+    const infos = this.cacheEnabled ? await this.store.list() : [];
+    const { hits, memoryHits, misses, errors } = this.counters;
+    const lookups = hits + misses;
+    return {
+      cacheDir: this.cacheDir,
+      store: this.store.name,
+      enabled: this.cacheEnabled,
+      entries: infos.length,
+      totalBytes: infos.reduce((sum, info) => sum + info.bytes, 0),
+      hits,
+      misses,
+      errors,
+      hitRatio: lookups > 0 ? hits / lookups : null,
+      maxBytes: this.maxBytes,
+      ttl: this.ttl,
+      memory: this.memoryTier
+        ? {
+            entries: this.memoryTier.entries.size,
+            totalBytes: this.memoryTier.totalBytes,
+            maxBytes: this.memoryTier.maxBytes,
+            hits: memoryHits,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Reinicia los contadores de aciertos, fallos y errores.
+   */
+  resetStats() {
+    this.counters = { hits: 0, memoryHits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Ejecuta `prune()` periódicamente. El temporizador no impide que el proceso termine.
+   * @param {number} intervalMs - Intervalo en milisegundos.
+   */
+  startPruning(intervalMs) {
+    this.stopPruning();
+    this._pruneTimer = setInterval(() => {
+      this.prune().catch(() => {});
+    }, intervalMs);
+    this._pruneTimer.unref();
+    logger.debug('CacheManager: Prune periódico cada %d ms.', intervalMs);
+  }
+
+  /**
+   * Detiene el prune periódico iniciado con `startPruning` o la opción `pruneInterval`.
+   */
+  stopPruning() {
+    if (this._pruneTimer) {
+      clearInterval(this._pruneTimer);
+      this._pruneTimer = null;
+    }
+  }
+
+  /**
+   * Limpia todo el caché (memoria y almacén principal).
    */
   async clearCache() {
     try {
@@ -244,7 +608,10 @@ class CacheManager {
         `CacheManager: Iniciando limpieza de caché en %s`,
         this.cacheDir
       );
-      await fs.rm(this.cacheDir, { recursive: true, force: true });
+      if (this.memoryTier) {
+        await this.memoryTier.clear();
+      }
+      await this.store.clear();
       logger.info(`CacheManager: Caché limpiado en %s`, this.cacheDir);
     } catch (error) {
       logger.error(
@@ -261,4 +628,10 @@ class CacheManager {
   }
 }
 
-module.exports = { CacheManager, generateCacheKey };
+module.exports = {
+  CacheManager,
+  generateCacheKey,
+  generateCacheKeyFromHash,
+  hashImage,
+  resolveWatermarkForCacheKey,
+};
@@ -0,0 +1,172 @@
+// src/cache-store.js
+const { StorageError } = require('./errors');
+
+// Métodos que todo almacén de caché debe implementar
+const CACHE_STORE_METHODS = ['get', 'set', 'delete', 'info', 'list', 'clear'];
+
+/**
+ * Contrato base para los almacenes en los que CacheManager guarda sus entradas.
+ *
+ * Una entrada se identifica por su clave de caché y tiene la forma `{ metadata, buffers }`:
+ * - `metadata`: `{ createdAt, expiresAt, bytes, variants }`, serializable como JSON. `variants` tiene los
+ *   metadatos de cada variante por tamaño y formato: `{ original: { jpeg: {...} }, small: { avif: {...}, jpeg: {...} } }`.
+ * - `buffers`: `{ '<sizeKey>.<formato>': Buffer }`, un buffer por variante (ver `listEntryVariants`).
+ *
+ * El almacén solo guarda y recupera entradas; la caducidad, los límites de tamaño y las
+ * estadísticas los aplica CacheManager. Para usar otro backend (ej. un cliente compatible
+ * con Redis) basta con extender esta clase o pasar cualquier objeto que implemente:
+ *
+ * - `get(key)`: retorna la entrada, o `null` si no existe.
+ * - `set(key, entry)`: guarda la entrada de forma atómica (un lector ve la entrada completa o nada).
+ * - `delete(key)`: elimina la entrada. Retorna `false` si no existía.
+ * - `info(key)`: retorna `{ key, bytes, createdAt, lastAccessedAt, expiresAt, complete }`, o `null`.
+ * - `list()`: retorna la `info` de todas las entradas.
+ * - `clear()`: elimina todas las entradas.
+ *
+ * Opcionalmente puede implementar `init()` (preparación), `touch(key)` (registrar un acceso,
+ * necesario para la expulsión LRU) y `cleanup(now)` (limpieza propia del backend durante `prune()`).
+ */
+class CacheStore {
+  /**
+   * @param {string} name - Nombre del almacén (ej. 'disk', 'memory', 'redis').
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Recupera una entrada.
+   * @param {string} key - La clave de caché.
+   * @returns {Promise<{metadata: object, buffers: Object<string, Buffer>} | null>}
+   * @abstract
+   */
+  async get(key) {
+    throw this._notImplemented('get');
+  }
+
+  /**
+   * Guarda una entrada, reemplazando la anterior si existía.
+   * @param {string} key - La clave de caché.
+   * @param {{metadata: object, buffers: Object<string, Buffer>}} entry - La entrada.
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  async set(key, entry) {
+    throw this._notImplemented('set');
+  }
+
+  /**
+   * Elimina una entrada.
+   * @param {string} key - La clave de caché.
+   * @returns {Promise<boolean>} `true` si se eliminó, `false` si no existía.
+   * @abstract
+   */
+  async delete(key) {
+    throw this._notImplemented('delete');
+  }
+
+  /**
+   * Obtiene la información de una entrada sin leer sus buffers.
+   * @param {string} key - La clave de caché.
+   * @returns {Promise<{key: string, bytes: number, createdAt: number, lastAccessedAt: number, expiresAt: number | null, complete: boolean} | null>}
+   * @abstract
+   */
+  async info(key) {
+    throw this._notImplemented('info');
+  }
+
+  /**
+   * Lista la información de todas las entradas.
+   * @returns {Promise<Array<object>>} Ver `info`.
+   * @abstract
+   */
+  async list() {
+    throw this._notImplemented('list');
+  }
+
+  /**
+   * Elimina todas las entradas.
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  async clear() {
+    throw this._notImplemented('clear');
+  }
+
+  /**
+   * Crea el error de un método no implementado.
+   * @private
+   */
+  _notImplemented(method) {
+    return new StorageError(
+      `El almacén de caché '${this.name}' no implementa ${method}().`,
+      null,
+      'ERR_CACHE_STORE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+}
+
+/**
+ * Comprueba que un objeto cumple el contrato de almacén de caché.
+ * @param {object} store - El almacén a comprobar.
+ * @returns {string[]} Los nombres de los métodos que faltan (vacío si el almacén es válido).
+ */
+function getMissingCacheStoreMethods(store) {
+  if (!store || typeof store !== 'object') {
+    return [...CACHE_STORE_METHODS];
+  }
+  return CACHE_STORE_METHODS.filter(
+    (method) => typeof store[method] !== 'function'
+  );
+}
+
+/**
+ * Calcula el tamaño en bytes de una entrada a partir de sus buffers.
+ * @param {{metadata: object, buffers: Object<string, Buffer>}} entry
+ * @returns {number}
+ */
+function getEntryBytes(entry) {
+  if (typeof entry.metadata.bytes === 'number') return entry.metadata.bytes;
+  return Object.values(entry.buffers).reduce((sum, buffer) => sum + buffer.length, 0);
+}
+
+/**
+ * Lista las variantes de los metadatos de una entrada, en orden (el primer formato de cada tamaño es el principal).
+ * Acepta también las entradas escritas antes de admitir varios formatos, con `{ original, resized }`
+ * (un formato por tamaño) y buffers indexados solo por sizeKey.
+ * @param {object} metadata - Metadatos de la entrada.
+ * @returns {Array<{sizeKey: string, format: string, bufferKey: string, legacyBufferKey: string | null, metadata: object}>}
+ * `bufferKey` es la clave de la variante en `buffers` (y el nombre de su archivo en disco).
+ */
+function listEntryVariants(metadata) {
+  const variants = [];
+  const add = (sizeKey, variant, legacy) => variants.push({
+    sizeKey,
+    format: variant.format,
+    bufferKey: `${sizeKey}.${variant.format}`,
+    legacyBufferKey: legacy ? sizeKey : null,
+    metadata: variant,
+  });
+
+  if (metadata.variants) {
+    for (const sizeKey in metadata.variants) {
+      for (const format in metadata.variants[sizeKey]) {
+        add(sizeKey, metadata.variants[sizeKey][format], false);
+      }
+    }
+    return variants;
+  }
+  if (metadata.original) add('original', metadata.original, true);
+  for (const sizeKey in metadata.resized || {}) {
+    add(sizeKey, metadata.resized[sizeKey], true);
+  }
+  return variants;
+}
+
+module.exports = {
+  CacheStore,
+  CACHE_STORE_METHODS,
+  getMissingCacheStoreMethods,
+  getEntryBytes,
+  listEntryVariants,
+};
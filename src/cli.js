@@ -0,0 +1,288 @@
+// src/cli.js
+const fs = require('fs').promises;
+const path = require('path');
+const { fileTypeFromFile } = require('file-type');
+const ImageResizer = require('./index');
+const { CacheManager } = require('./cache-manager');
+const { ConfigurationError } = require('./errors');
+const logger = require('./logger');
+
+const USAGE = `Uso:
+  images-resized process <directorio> [opciones]
+  images-resized cache clear [--cache-dir <dir>]
+  images-resized cache stats [--cache-dir <dir>]
+  images-resized cache prune [--cache-dir <dir>] [--max-bytes <n>] [--ttl <ms>]
+
+Opciones de 'process':
+  --out <dir>           Directorio de salida (almacenamiento local).
+  --sizes <a,b,...>     Tamaños a generar (por defecto, todos los configurados).
+  --format <formato>    Formato de salida (jpeg, png, webp, tiff, avif, gif). Varios separados por comas
+                        (ej. avif,webp,jpeg) generan cada tamaño en todos ellos.
+  --quality <0-100>     Calidad de salida.
+  --concurrency <n>     Imágenes procesadas en paralelo (por defecto: 2).
+  --report <archivo>    Ruta del informe JSON (por defecto: ./images-resized-report.json).
+  --cache-dir <dir>     Habilita el caché en el directorio indicado.
+  --log-level <nivel>   Nivel de log de la librería (por defecto: warn).
+
+Las opciones no indicadas se toman de las variables de entorno (LOCAL_STORAGE_PATH, AWS_*, ...).`;
+
+// Opciones que no llevan valor
+const FLAG_OPTIONS = new Set(['help']);
+
+/**
+ * Separa los argumentos posicionales de las opciones `--clave valor` / `--clave=valor`.
+ * @param {string[]} argv - Argumentos de la línea de comandos (sin `node` ni el script).
+ * @returns {{positionals: string[], options: object}}
+ * @throws {ConfigurationError} Si a una opción le falta su valor.
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      const key = rawKey.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      if (FLAG_OPTIONS.has(key)) {
+        options[key] = true;
+      } else if (inlineValue !== undefined) {
+        options[key] = inlineValue;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        options[key] = argv[++i];
+      } else {
+        throw new ConfigurationError(`Falta el valor de la opción '--${rawKey}'.`, null, 'ERR_CLI_MISSING_VALUE');
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, options };
+}
+
+/**
+ * Recorre un directorio recursivamente y retorna las rutas de las imágenes soportadas,
+ * detectando el tipo por el contenido del archivo y no por su extensión.
+ * @param {string} dir - Directorio a recorrer.
+ * @returns {Promise<string[]>} Rutas absolutas, ordenadas.
+ */
+async function findImages(dir) {
+  const images = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      images.push(...(await findImages(fullPath)));
+    } else if (entry.isFile()) {
+      const type = await fileTypeFromFile(fullPath);
+      if (type && ImageResizer.SUPPORTED_IMAGE_MIME_TYPES.has(type.mime)) {
+        images.push(fullPath);
+      }
+    }
+  }
+  return images.sort();
+}
+
+/**
+ * Ejecuta `worker` sobre cada elemento con, como máximo, `concurrency` tareas en paralelo.
+ * @param {Array} items - Elementos a procesar.
+ * @param {number} concurrency - Número máximo de tareas simultáneas.
+ * @param {function(*, number): Promise<void>} worker - Función a ejecutar por elemento.
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Convierte un error en un objeto serializable para el informe.
+ * @param {Error} error
+ * @returns {{name: string, code: string | undefined, message: string}}
+ */
+function serializeError(error) {
+  return { name: error.name, code: error.code, message: error.message };
+}
+
+/**
+ * Parsea un entero positivo de una opción.
+ * @throws {ConfigurationError} Si el valor no es válido.
+ */
+function parsePositiveInteger(value, optionName) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new ConfigurationError(`La opción '--${optionName}' debe ser un entero positivo.`, null, 'ERR_CLI_INVALID_OPTION');
+  }
+  return number;
+}
+
+/**
+ * Subcomando `process`: redimensiona todas las imágenes de un directorio.
+ * @param {string} inputDir - Directorio de entrada.
+ * @param {object} options - Opciones de la línea de comandos.
+ * @param {NodeJS.WritableStream} stderr - Salida para el progreso.
+ * @returns {Promise<number>} Código de salida.
+ */
+async function processCommand(inputDir, options, stderr) {
+  const config = {};
+  if (options.out) config.storage = { local: { path: options.out } };
+  if (options.cacheDir) config.cache = { path: options.cacheDir };
+  const resizer = new ImageResizer(config);
+  // Sin adaptadores no se escribiría nada y todas las imágenes figurarían como correctas
+  if (resizer.storages.size === 0) {
+    throw new ConfigurationError(
+      "No hay ningún almacenamiento configurado: indique '--out <dir>' o habilítelo en las variables de entorno (ENABLE_LOCAL_STORAGE, ENABLE_S3_STORAGE).",
+      null,
+      'ERR_CLI_INVALID_OPTION'
+    );
+  }
+
+  const processOptions = {};
+  if (options.sizes) {
+    processOptions.processSizes = options.sizes.split(',').map((size) => size.trim()).filter(Boolean);
+    const invalidSizes = processOptions.processSizes.filter((size) => !resizer.sizes[size]);
+    if (invalidSizes.length > 0) {
+      throw new ConfigurationError(`Tamaños desconocidos: ${invalidSizes.join(', ')}. Tamaños disponibles: ${Object.keys(resizer.sizes).join(', ')}.`, null, 'ERR_CLI_INVALID_OPTION');
+    }
+  }
+  if (options.format) {
+    const formats = options.format.split(',').map((format) => format.trim()).filter(Boolean);
+    if (formats.length > 1) processOptions.outputFormats = formats;
+    else processOptions.outputFormat = formats[0];
+  }
+  if (options.quality !== undefined) {
+    processOptions.quality = Number(options.quality);
+    if (!Number.isFinite(processOptions.quality) || processOptions.quality < 0 || processOptions.quality > 100) {
+      throw new ConfigurationError("La opción '--quality' debe ser un número entre 0 y 100.", null, 'ERR_CLI_INVALID_OPTION');
+    }
+  }
+  const concurrency = options.concurrency ? parsePositiveInteger(options.concurrency, 'concurrency') : 2;
+  const reportPath = path.resolve(options.report || 'images-resized-report.json');
+  const rootDir = path.resolve(inputDir);
+
+  const files = await findImages(rootDir);
+  stderr.write(`Encontradas ${files.length} imágenes en ${rootDir}\n`);
+
+  const report = {
+    input: rootDir,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: files.length,
+    succeeded: 0,
+    failed: 0,
+    files: new Array(files.length),
+  };
+  let completed = 0;
+
+  await runWithConcurrency(files, concurrency, async (file, index) => {
+    const relativePath = path.relative(rootDir, file);
+    const relativeDir = path.dirname(relativePath);
+    // Conservar la estructura de subdirectorios de la entrada en la salida
+    const filenameGenerator = (params) => {
+      const filename = resizer.defaultFilenameGenerator(params);
+      return relativeDir === '.' ? filename : path.posix.join(relativeDir.split(path.sep).join('/'), filename);
+    };
+
+    let entry;
+    try {
+      const buffer = await fs.readFile(file);
+      const result = await resizer.processImage(buffer, path.basename(file), { ...processOptions, filenameGenerator });
+      // Un adaptador sin resultado significa que falló su almacenamiento
+      const failedStorages = [...resizer.storages.keys()].filter((name) => !result.storage[name]);
+      if (failedStorages.length > 0) {
+        entry = { file: relativePath, status: 'error', error: { name: 'StorageError', message: `Fallo en el almacenamiento: ${failedStorages.join(', ')}` }, result };
+      } else {
+        entry = { file: relativePath, status: 'ok', result };
+      }
+    } catch (error) {
+      entry = { file: relativePath, status: 'error', error: serializeError(error) };
+    }
+
+    report.files[index] = entry;
+    if (entry.status === 'ok') report.succeeded++;
+    else report.failed++;
+    completed++;
+    stderr.write(`[${completed}/${files.length}] ${entry.status === 'ok' ? 'OK   ' : 'ERROR'} ${relativePath}${entry.error ? ` - ${entry.error.message}` : ''}\n`);
+  });
+
+  report.finishedAt = new Date().toISOString();
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  stderr.write(`Completado: ${report.succeeded} correctas, ${report.failed} con errores. Informe: ${reportPath}\n`);
+  return report.failed > 0 ? 1 : 0;
+}
+
+/**
+ * Subcomando `cache`: `clear`, `stats` o `prune`.
+ * @returns {Promise<number>} Código de salida.
+ */
+async function cacheCommand(action, options, stdout) {
+  const limits = {};
+  if (options.maxBytes !== undefined) limits.maxBytes = parsePositiveInteger(options.maxBytes, 'max-bytes');
+  if (options.ttl !== undefined) limits.ttl = parsePositiveInteger(options.ttl, 'ttl');
+  const cacheManager = new CacheManager(options.cacheDir || process.env.IMAGE_CACHE_PATH, true, limits);
+  if (action === 'clear') {
+    await cacheManager.clearCache();
+    stdout.write(`Caché eliminado: ${cacheManager.cacheDir}\n`);
+    return 0;
+  }
+  if (action === 'stats') {
+    const { cacheDir, entries, totalBytes } = await cacheManager.stats();
+    // Los contadores de aciertos son del proceso actual, por lo que la CLI solo muestra la ocupación
+    stdout.write(`${JSON.stringify({ cacheDir, entries, totalBytes }, null, 2)}\n`);
+    return 0;
+  }
+  if (action === 'prune') {
+    // Cada entrada caduca según su propio TTL; `--ttl` se aplica a las que se guardaron sin él
+    const summary = await cacheManager.prune();
+    stdout.write(`${JSON.stringify({ cacheDir: cacheManager.cacheDir, ...summary }, null, 2)}\n`);
+    return 0;
+  }
+  throw new ConfigurationError(`Acción de caché desconocida: '${action}'. Use 'clear', 'stats' o 'prune'.`, null, 'ERR_CLI_UNKNOWN_COMMAND');
+}
+
+/**
+ * Punto de entrada de la CLI.
+ * @param {string[]} argv - Argumentos (sin `node` ni el script).
+ * @param {{stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream}} [io] - Salidas estándar.
+ * @returns {Promise<number>} Código de salida: 0 si todo fue bien, 1 si hubo fallos, 2 si el uso es incorrecto.
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { positionals, options } = parseArgs(argv);
+    const [command, arg] = positionals;
+    if (options.help || !command) {
+      stdout.write(`${USAGE}\n`);
+      return options.help ? 0 : 2;
+    }
+    // Por defecto la CLI solo muestra advertencias y errores de la librería para no mezclar el log con su salida
+    const logLevel = options.logLevel || 'warn';
+    if (!Object.prototype.hasOwnProperty.call(logger.levels, logLevel)) {
+      throw new ConfigurationError(`Nivel de log inválido: '${logLevel}'.`, null, 'ERR_INVALID_LOG_LEVEL');
+    }
+    logger.level = logLevel;
+    if (command === 'process') {
+      if (!arg) throw new ConfigurationError("Falta el directorio de entrada de 'process'.", null, 'ERR_CLI_MISSING_ARGUMENT');
+      return await processCommand(arg, options, stderr);
+    }
+    if (command === 'cache') {
+      return await cacheCommand(arg, options, stdout);
+    }
+    throw new ConfigurationError(`Comando desconocido: '${command}'.`, null, 'ERR_CLI_UNKNOWN_COMMAND');
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    if (error instanceof ConfigurationError) {
+      stderr.write(`\n${USAGE}\n`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = { run, parseArgs };
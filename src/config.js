@@ -0,0 +1,390 @@
+// src/config.js
+const { ConfigurationError } = require('./errors');
+const {
+  DEFAULT_SIZES,
+  SUPPORTED_OUTPUT_FORMATS,
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  RESIZE_KERNELS,
+  SMART_CROP_STRATEGIES,
+  METADATA_POLICIES,
+  parseAspectRatio,
+} = require('./utils');
+const { getWatermarkError } = require('./watermark');
+const { getPlaceholdersError } = require('./placeholders');
+const { getAnalysisError } = require('./analysis');
+const { DEFAULT_TRANSFER_OPTIONS, STORAGE_TRANSACTION_MODES } = require('./storage-adapter');
+const logger = require('./logger');
+
+/**
+ * Convierte una variable de entorno numérica. Un valor no numérico se conserva para que la validación lo rechace.
+ * @param {string | undefined} value
+ * @returns {number | string | undefined}
+ */
+function toNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+}
+
+/**
+ * Lee la configuración desde las variables de entorno.
+ * Es la capa de respaldo: solo se usa para los valores que no se pasan en el objeto de configuración.
+ * @param {object} env - Objeto con las variables de entorno (normalmente `process.env`).
+ * @returns {object} Configuración parcial con la misma forma que la configuración programática.
+ */
+function readEnvConfig(env) {
+  return {
+    storage: {
+      local: {
+        enabled: env.ENABLE_LOCAL_STORAGE === 'true',
+        path: env.LOCAL_STORAGE_PATH,
+      },
+      s3: {
+        enabled: env.ENABLE_S3_STORAGE === 'true',
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN,
+        region: env.AWS_REGION,
+        bucketName: env.AWS_S3_BUCKET_NAME,
+        endpoint: env.AWS_S3_ENDPOINT,
+        forcePathStyle: env.AWS_S3_FORCE_PATH_STYLE === 'true',
+      },
+      transaction: env.STORAGE_TRANSACTION,
+      transfer: {
+        concurrency: toNumber(env.STORAGE_CONCURRENCY),
+        retries: toNumber(env.STORAGE_RETRIES),
+        timeout: toNumber(env.STORAGE_TIMEOUT),
+      },
+    },
+    cache: {
+      enabled: env.ENABLE_IMAGE_CACHE === 'true',
+      path: env.IMAGE_CACHE_PATH,
+      maxBytes: toNumber(env.IMAGE_CACHE_MAX_BYTES),
+      ttl: toNumber(env.IMAGE_CACHE_TTL),
+      pruneInterval: toNumber(env.IMAGE_CACHE_PRUNE_INTERVAL),
+      memoryMaxBytes: toNumber(env.IMAGE_CACHE_MEMORY_MAX_BYTES),
+    },
+    logging: {
+      level: env.LOG_LEVEL,
+    },
+  };
+}
+
+/**
+ * Lanza un ConfigurationError registrándolo antes en el log.
+ * @param {string} msg - Mensaje del error.
+ * @param {string} code - Código del error.
+ * @throws {ConfigurationError}
+ */
+function fail(msg, code) {
+  logger.error('ConfigurationError: %s', msg);
+  throw new ConfigurationError(msg, null, code);
+}
+
+/**
+ * Comprueba que una sección de la configuración sea un objeto plano (o no esté definida).
+ * @param {*} value - El valor de la sección.
+ * @param {string} name - Nombre de la sección para el mensaje de error.
+ * @returns {object} La sección, o un objeto vacío si no estaba definida.
+ */
+function section(value, name) {
+  if (value === undefined) return {};
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    fail(`La sección '${name}' de la configuración debe ser un objeto.`, 'ERR_INVALID_CONFIG');
+  }
+  return value;
+}
+
+/**
+ * Resuelve el flag `enabled` de una sección: el valor explícito gana; si la sección
+ * se pasó programáticamente sin `enabled`, se considera habilitada; si no, se usa el entorno.
+ */
+function resolveEnabled(userSection, provided, envSection) {
+  if (userSection.enabled !== undefined) return userSection.enabled === true;
+  if (provided) return true;
+  return envSection.enabled === true;
+}
+
+/**
+ * Valida la definición de tamaños de imagen.
+ * @param {object} sizes - Objeto de tamaños (ej. { small: { width: 320, defaultQuality: 80 } }).
+ * @throws {ConfigurationError} Si algún tamaño es inválido.
+ */
+function validateSizes(sizes) {
+  if (typeof sizes !== 'object' || sizes === null || Array.isArray(sizes) || Object.keys(sizes).length === 0) {
+    fail('La configuración de tamaños debe ser un objeto con al menos un tamaño.', 'ERR_INVALID_SIZE_CONFIG');
+  }
+  for (const sizeKey in sizes) {
+    const sizeConfig = sizes[sizeKey];
+    if (!sizeConfig || typeof sizeConfig !== 'object') {
+      fail(`La configuración para el tamaño '${sizeKey}' es inválida: debe ser un objeto.`, 'ERR_INVALID_SIZE_CONFIG');
+    }
+    validateSizeGeometry(sizeKey, sizeConfig);
+    if (typeof sizeConfig.defaultQuality !== 'number' || sizeConfig.defaultQuality < 0 || sizeConfig.defaultQuality > 100) {
+      fail(`La configuración para el tamaño '${sizeKey}' es inválida: 'defaultQuality' debe ser un número entre 0 y 100.`, 'ERR_INVALID_QUALITY_CONFIG');
+    }
+  }
+}
+
+/**
+ * Valida las opciones de geometría de un tamaño: dimensiones, ajuste, posición, relación de aspecto,
+ * fondo y kernel.
+ * @param {string} sizeKey - Clave del tamaño.
+ * @param {object} sizeConfig - Configuración del tamaño.
+ * @throws {ConfigurationError} Si alguna opción es inválida.
+ */
+function validateSizeGeometry(sizeKey, sizeConfig) {
+  const invalid = (detail) => fail(`La configuración para el tamaño '${sizeKey}' es inválida: ${detail}`, 'ERR_INVALID_SIZE_CONFIG');
+  const { width, height, fit, position, aspectRatio, background, kernel } = sizeConfig;
+
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+      invalid(`'${name}' debe ser un número entero positivo.`);
+    }
+  }
+  if (width === undefined && height === undefined) {
+    invalid("se requiere 'width', 'height' o ambos.");
+  }
+  if (aspectRatio !== undefined) {
+    if (parseAspectRatio(aspectRatio) === null) {
+      invalid("'aspectRatio' debe ser un número positivo o una cadena 'ancho:alto' (ej. '16:9').");
+    }
+    if (width !== undefined && height !== undefined) {
+      invalid("'aspectRatio' no puede combinarse con 'width' y 'height' a la vez.");
+    }
+  }
+  if (fit !== undefined && !RESIZE_FITS.includes(fit)) {
+    invalid(`'fit' debe ser uno de: ${RESIZE_FITS.join(', ')}.`);
+  }
+  if (position !== undefined && !RESIZE_POSITIONS.includes(position)) {
+    invalid(`'position' debe ser uno de: ${RESIZE_POSITIONS.join(', ')}.`);
+  }
+  if (kernel !== undefined && !RESIZE_KERNELS.includes(kernel)) {
+    invalid(`'kernel' debe ser uno de: ${RESIZE_KERNELS.join(', ')}.`);
+  }
+  if (background !== undefined) {
+    const isColorObject = typeof background === 'object' && background !== null && !Array.isArray(background) &&
+      ['r', 'g', 'b'].every((channel) => Number.isInteger(background[channel]) && background[channel] >= 0 && background[channel] <= 255) &&
+      (background.alpha === undefined || (typeof background.alpha === 'number' && background.alpha >= 0 && background.alpha <= 1));
+    if (!(typeof background === 'string' && background.trim() !== '') && !isColorObject) {
+      invalid("'background' debe ser un color CSS (ej. '#ffffff') o un objeto { r, g, b, alpha }.");
+    }
+  }
+}
+
+/**
+ * Valida las opciones de procesamiento por defecto que se aplican a cada llamada a `processImage`.
+ * @param {object} defaults - Opciones por defecto.
+ * @param {object} sizes - Tamaños configurados (para validar `watermark.sizes`).
+ * @throws {ConfigurationError} Si alguna opción es inválida.
+ */
+function validateDefaults(defaults, sizes) {
+  if (defaults.outputFormat !== undefined && !SUPPORTED_OUTPUT_FORMATS[String(defaults.outputFormat).toLowerCase()]) {
+    fail(`El formato de salida por defecto '${defaults.outputFormat}' no es soportado. Los formatos soportados son: ${Object.keys(SUPPORTED_OUTPUT_FORMATS).join(', ')}.`, 'ERR_UNSUPPORTED_OUTPUT_FORMAT');
+  }
+  if (defaults.outputFormats !== undefined && (!Array.isArray(defaults.outputFormats) || defaults.outputFormats.length === 0 ||
+    !defaults.outputFormats.every((format) => typeof format === 'string' && SUPPORTED_OUTPUT_FORMATS[format.toLowerCase()]))) {
+    fail(`La opción por defecto \`outputFormats\` debe ser un array no vacío de formatos soportados (${Object.keys(SUPPORTED_OUTPUT_FORMATS).join(', ')}).`, 'ERR_INVALID_OUTPUT_FORMATS');
+  }
+  if (defaults.smartCrop !== undefined && defaults.smartCrop !== false && !SMART_CROP_STRATEGIES.includes(defaults.smartCrop)) {
+    fail(`La opción por defecto \`smartCrop\` es inválida: '${defaults.smartCrop}'. Las estrategias válidas son: ${SMART_CROP_STRATEGIES.join(', ')}.`, 'ERR_INVALID_SMART_CROP');
+  }
+  if (defaults.metadataPolicy !== undefined && !METADATA_POLICIES.includes(defaults.metadataPolicy)) {
+    fail(`La política de metadatos por defecto '${defaults.metadataPolicy}' es inválida. Las políticas válidas son: ${METADATA_POLICIES.join(', ')}.`, 'ERR_INVALID_METADATA_POLICY');
+  }
+  for (const flag of ['autoOrient', 'extractExif', 'wideGamut']) {
+    if (defaults[flag] !== undefined && typeof defaults[flag] !== 'boolean') {
+      fail(`La opción por defecto \`${flag}\` debe ser un booleano.`, 'ERR_INVALID_METADATA_OPTIONS');
+    }
+  }
+  if (defaults.animated !== undefined && typeof defaults.animated !== 'boolean') {
+    fail('La opción por defecto `animated` debe ser un booleano.', 'ERR_INVALID_ANIMATED');
+  }
+  if (defaults.watermark !== undefined && defaults.watermark !== false) {
+    const watermarkError = getWatermarkError(defaults.watermark, Object.keys(sizes));
+    if (watermarkError) fail(`La opción por defecto \`watermark\` es inválida: ${watermarkError}`, 'ERR_INVALID_WATERMARK');
+  }
+  if (defaults.placeholders !== undefined && defaults.placeholders !== false) {
+    const placeholdersError = getPlaceholdersError(defaults.placeholders);
+    if (placeholdersError) fail(`La opción por defecto \`placeholders\` es inválida: ${placeholdersError}`, 'ERR_INVALID_PLACEHOLDERS');
+  }
+  if (defaults.analysis !== undefined && defaults.analysis !== false) {
+    const analysisError = getAnalysisError(defaults.analysis);
+    if (analysisError) fail(`La opción por defecto \`analysis\` es inválida: ${analysisError}`, 'ERR_INVALID_ANALYSIS');
+  }
+  if (defaults.quality !== undefined && (typeof defaults.quality !== 'number' || defaults.quality < 0 || defaults.quality > 100)) {
+    fail('La calidad por defecto debe ser un número entre 0 y 100.', 'ERR_INVALID_QUALITY');
+  }
+  if (defaults.optimizeOutputFormat !== undefined && typeof defaults.optimizeOutputFormat !== 'boolean') {
+    fail('La opción por defecto `optimizeOutputFormat` debe ser un booleano.', 'ERR_INVALID_DEFAULT_OPTIONS');
+  }
+  if (defaults.maxInputBytes !== undefined && (!Number.isInteger(defaults.maxInputBytes) || defaults.maxInputBytes <= 0)) {
+    fail('La opción por defecto `maxInputBytes` debe ser un número entero positivo.', 'ERR_INVALID_MAX_INPUT_BYTES');
+  }
+  if (defaults.streamOutput !== undefined && typeof defaults.streamOutput !== 'boolean') {
+    fail('La opción por defecto `streamOutput` debe ser un booleano.', 'ERR_INVALID_STREAM_OUTPUT');
+  }
+}
+
+/**
+ * Construye y valida la configuración completa de un ImageResizer.
+ * Los valores del objeto de configuración tienen prioridad; las variables de entorno
+ * se usan como respaldo salvo que se pase `useEnv: false`.
+ * @param {object} [config={}] - Configuración programática.
+ * @param {object} [config.sizes] - Definiciones de tamaños (alias heredado: `customSizes`).
+ * @param {object} [config.defaults] - Opciones por defecto de `processImage` (`outputFormat`, `outputFormats`, `smartCrop`, `watermark`, `animated`, `autoOrient`, `metadataPolicy`, `extractExif`, `wideGamut`, `placeholders`, `analysis`, `quality`, `optimizeOutputFormat`, `maxInputBytes`, `streamOutput`).
+ * @param {object} [config.storage] - `{ local: { enabled, path, baseUrl }, s3: { enabled, bucketName, region, accessKeyId, secretAccessKey, sessionToken, credentials, endpoint, forcePathStyle, publicUrl, client, uploadOptions }, adapters: { nombre: adaptador }, transfer, transaction }`.
+ * `transfer` controla el guardado de variantes: `{ concurrency, retries, retryDelay, maxRetryDelay, timeout }` (tiempos en milisegundos).
+ * `transaction` es 'none' (por defecto), 'adapter' (todo o nada en cada adaptador) o 'all' (todo o nada entre adaptadores).
+ * @param {object} [config.cache] - `{ enabled, path, maxBytes, ttl, pruneInterval, memoryMaxBytes, store }` (`ttl` y `pruneInterval` en milisegundos;
+ * `store` reemplaza el almacén en disco por otro que cumpla el contrato de `CacheStore`).
+ * @param {object} [config.logging] - `{ level }`. El logger es compartido por todas las instancias.
+ * @param {boolean} [config.useEnv=true] - Si es false, se ignoran las variables de entorno.
+ * @param {object} [env=process.env] - Variables de entorno a usar como respaldo.
+ * @returns {object} La configuración normalizada.
+ * @throws {ConfigurationError} Si la configuración es inválida o incompleta.
+ */
+function resolveConfig(config = {}, env = process.env) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    fail('La configuración de ImageResizer debe ser un objeto.', 'ERR_INVALID_CONFIG');
+  }
+  if (config.useEnv !== undefined && typeof config.useEnv !== 'boolean') {
+    fail('La opción `useEnv` debe ser un booleano.', 'ERR_INVALID_CONFIG');
+  }
+
+  const envConfig = readEnvConfig(config.useEnv === false ? {} : env);
+  const storage = section(config.storage, 'storage');
+  const localSection = section(storage.local, 'storage.local');
+  const s3Section = section(storage.s3, 'storage.s3');
+  const cacheSection = section(config.cache, 'cache');
+  const loggingSection = section(config.logging, 'logging');
+  const defaults = section(config.defaults, 'defaults');
+  const adapters = section(storage.adapters, 'storage.adapters');
+  const transferSection = section(storage.transfer, 'storage.transfer');
+
+  const local = {
+    enabled: resolveEnabled(localSection, storage.local !== undefined, envConfig.storage.local),
+    path: localSection.path || envConfig.storage.local.path,
+    baseUrl: localSection.baseUrl,
+  };
+  const s3 = {
+    enabled: resolveEnabled(s3Section, storage.s3 !== undefined, envConfig.storage.s3),
+    accessKeyId: s3Section.accessKeyId || envConfig.storage.s3.accessKeyId,
+    secretAccessKey: s3Section.secretAccessKey || envConfig.storage.s3.secretAccessKey,
+    sessionToken: s3Section.sessionToken || envConfig.storage.s3.sessionToken,
+    credentials: s3Section.credentials,
+    region: s3Section.region || envConfig.storage.s3.region,
+    bucketName: s3Section.bucketName || envConfig.storage.s3.bucketName,
+    endpoint: s3Section.endpoint || envConfig.storage.s3.endpoint,
+    forcePathStyle: s3Section.forcePathStyle !== undefined ? s3Section.forcePathStyle : envConfig.storage.s3.forcePathStyle,
+    publicUrl: s3Section.publicUrl,
+    client: s3Section.client,
+    uploadOptions: { ...section(s3Section.uploadOptions, 'storage.s3.uploadOptions') },
+  };
+  const transfer = { ...DEFAULT_TRANSFER_OPTIONS };
+  for (const option in DEFAULT_TRANSFER_OPTIONS) {
+    if (transferSection[option] !== undefined) {
+      transfer[option] = transferSection[option];
+    } else if (envConfig.storage.transfer[option] !== undefined) {
+      transfer[option] = envConfig.storage.transfer[option];
+    }
+  }
+  const transaction = storage.transaction || envConfig.storage.transaction || 'none';
+  const cache = {
+    enabled: resolveEnabled(cacheSection, config.cache !== undefined, envConfig.cache),
+    path: cacheSection.path || envConfig.cache.path,
+    maxBytes: cacheSection.maxBytes !== undefined ? cacheSection.maxBytes : envConfig.cache.maxBytes,
+    ttl: cacheSection.ttl !== undefined ? cacheSection.ttl : envConfig.cache.ttl,
+    pruneInterval: cacheSection.pruneInterval !== undefined ? cacheSection.pruneInterval : envConfig.cache.pruneInterval,
+    memoryMaxBytes: cacheSection.memoryMaxBytes !== undefined ? cacheSection.memoryMaxBytes : envConfig.cache.memoryMaxBytes,
+    store: cacheSection.store,
+  };
+  const logging = {
+    level: loggingSection.level || envConfig.logging.level,
+  };
+  const sizes = config.sizes || config.customSizes || DEFAULT_SIZES;
+
+  // Validaciones de configuración obligatorias
+  if (local.enabled && !local.path) {
+    fail('La ruta de almacenamiento local no está definida (storage.local.path o LOCAL_STORAGE_PATH).', 'ERR_LOCAL_STORAGE_PATH_MISSING');
+  }
+  if (s3.enabled && (!s3.bucketName || (!s3.region && !s3.client))) {
+    fail('Configuración de S3 incompleta: faltan el bucket o la región (storage.s3 o variables AWS_S3_BUCKET_NAME y AWS_REGION).', 'ERR_S3_CONFIG_INCOMPLETE');
+  }
+  // Sin claves estáticas se usa la cadena de proveedores del SDK, pero indicar solo una de las dos es un error
+  if (s3.enabled && !s3.client && !s3.credentials && Boolean(s3.accessKeyId) !== Boolean(s3.secretAccessKey)) {
+    fail('Credenciales de AWS S3 incompletas: se necesitan accessKeyId y secretAccessKey (storage.s3 o variables AWS_*).', 'ERR_AWS_CREDENTIALS_MISSING');
+  }
+  if (s3.enabled && s3.endpoint !== undefined) {
+    try {
+      new URL(s3.endpoint);
+    } catch (error) {
+      fail(`El endpoint de S3 '${s3.endpoint}' no es una URL válida.`, 'ERR_INVALID_S3_ENDPOINT');
+    }
+  }
+  if (typeof s3.forcePathStyle !== 'boolean') {
+    fail('La opción `storage.s3.forcePathStyle` debe ser un booleano.', 'ERR_INVALID_CONFIG');
+  }
+  for (const option of ['concurrency', 'retryDelay', 'maxRetryDelay', 'timeout']) {
+    if (transfer[option] !== undefined && (!Number.isInteger(transfer[option]) || transfer[option] <= 0)) {
+      fail(`La opción 'storage.transfer.${option}' debe ser un número entero positivo.`, 'ERR_INVALID_TRANSFER_CONFIG');
+    }
+  }
+  if (!Number.isInteger(transfer.retries) || transfer.retries < 0) {
+    fail(`La opción 'storage.transfer.retries' debe ser un número entero mayor o igual que 0.`, 'ERR_INVALID_TRANSFER_CONFIG');
+  }
+  if (!STORAGE_TRANSACTION_MODES.includes(transaction)) {
+    fail(`El modo de transacción '${transaction}' es inválido. Los modos válidos son: ${STORAGE_TRANSACTION_MODES.join(', ')}.`, 'ERR_INVALID_STORAGE_TRANSACTION');
+  }
+  if (cache.enabled && !cache.path && !cache.store) {
+    fail('La ruta del caché no está definida (cache.path o IMAGE_CACHE_PATH).', 'ERR_CACHE_PATH_MISSING');
+  }
+  for (const limit of ['maxBytes', 'ttl', 'pruneInterval', 'memoryMaxBytes']) {
+    if (cache[limit] !== undefined && (!Number.isInteger(cache[limit]) || cache[limit] <= 0)) {
+      fail(`La opción 'cache.${limit}' debe ser un número entero positivo.`, 'ERR_INVALID_CACHE_CONFIG');
+    }
+  }
+  if (logging.level !== undefined && !Object.prototype.hasOwnProperty.call(logger.levels, logging.level)) {
+    fail(`El nivel de log '${logging.level}' es inválido. Los niveles válidos son: ${Object.keys(logger.levels).join(', ')}.`, 'ERR_INVALID_LOG_LEVEL');
+  }
+  validateSizes(sizes);
+  validateDefaults(defaults, sizes);
+
+  return {
+    sizes,
+    defaults: { ...defaults },
+    storage: { local, s3, adapters: { ...adapters }, transfer, transaction },
+    cache,
+    logging,
+  };
+}
+
+/**
+ * Retorna una copia de la configuración apta para el log, sin secretos.
+ * @param {object} resolvedConfig - Configuración normalizada por `resolveConfig`.
+ * @returns {object}
+ */
+function redactConfig(resolvedConfig) {
+  const { s3 } = resolvedConfig.storage;
+  return {
+    ...resolvedConfig,
+    storage: {
+      ...resolvedConfig.storage,
+      s3: {
+        ...s3,
+        secretAccessKey: s3.secretAccessKey ? '***' : undefined,
+        sessionToken: s3.sessionToken ? '***' : undefined,
+        credentials: s3.credentials ? '***' : undefined,
+        client: s3.client ? 'personalizado' : undefined,
+      },
+      adapters: Object.keys(resolvedConfig.storage.adapters),
+    },
+    cache: {
+      ...resolvedConfig.cache,
+      store: resolvedConfig.cache.store ? resolvedConfig.cache.store.name || 'personalizado' : undefined,
+    },
+  };
+}
+
+module.exports = { resolveConfig, readEnvConfig, redactConfig };
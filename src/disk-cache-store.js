@@ -0,0 +1,268 @@
+// src/disk-cache-store.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { StorageError } = require('./errors');
+const { CacheStore, listEntryVariants } = require('./cache-store');
+const logger = require('./logger');
+
+const METADATA_FILENAME = 'metadata.json';
+// Prefijo de los directorios temporales donde se escribe cada entrada antes de publicarla con un rename
+const TEMP_ENTRY_PREFIX = '.tmp-';
+// Tiempo tras el cual una escritura interrumpida (directorio temporal o entrada sin metadata.json) se considera abandonada
+const INCOMPLETE_ENTRY_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * Suma el tamaño de los archivos de un directorio de entrada del caché.
+ * @param {string} entryPath - Ruta del directorio de la entrada.
+ * @returns {Promise<number>} Tamaño total en bytes.
+ */
+async function getDirectorySize(entryPath) {
+  let totalBytes = 0;
+  for (const file of await fs.readdir(entryPath)) {
+    totalBytes += (await fs.stat(path.join(entryPath, file))).size;
+  }
+  return totalBytes;
+}
+
+/**
+ * Almacén de caché en disco. Cada entrada es un directorio con un `metadata.json` y un
+ * archivo `<sizeKey>.<formato>` por variante (el `bufferKey` de `listEntryVariants`). El mtime de `metadata.json` registra el último acceso.
+ */
+class DiskCacheStore extends CacheStore {
+  /**
+   * @param {string} cacheDir - Directorio del caché (ruta absoluta).
+   */
+  constructor(cacheDir) {
+    super('disk');
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Crea el directorio de caché si no existe.
+   */
+  async init() {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      logger.info(
+        `CacheManager: Directorio de caché creado/verificado: %s`,
+        this.cacheDir
+      );
+    } catch (error) {
+      logger.error(
+        `CacheManager: Error al inicializar el directorio de caché en %s: %s`,
+        this.cacheDir,
+        error.message,
+        { originalError: error }
+      );
+      throw new StorageError(
+        `Error al inicializar el directorio de caché en '${this.cacheDir}': ${error.message}`,
+        error
+      );
+    }
+  }
+
+  async get(key) {
+    const entryPath = path.join(this.cacheDir, key);
+    try {
+      const metadata = JSON.parse(
+        await fs.readFile(path.join(entryPath, METADATA_FILENAME), 'utf8')
+      );
+      const buffers = {};
+      for (const { bufferKey } of listEntryVariants(metadata)) {
+        const bufferPath = path.join(entryPath, bufferKey);
+        buffers[bufferKey] = await fs.readFile(bufferPath);
+        logger.debug(
+          'CacheManager: Buffer (%s) recuperado de caché: %s',
+          bufferKey,
+          bufferPath
+        );
+      }
+      return { metadata, buffers };
+    } catch (error) {
+      // Sin metadata.json o eliminada mientras se leía: no hay entrada
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    const finalEntryPath = path.join(this.cacheDir, key);
+    // La entrada se escribe en un directorio temporal y se publica con un rename atómico,
+    // de modo que un lector nunca ve un metadata.json a medio escribir
+    const tempEntryPath = path.join(
+      this.cacheDir,
+      `${TEMP_ENTRY_PREFIX}${key}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`
+    );
+    try {
+      await fs.mkdir(tempEntryPath, { recursive: true });
+      for (const { bufferKey, legacyBufferKey } of listEntryVariants(entry.metadata)) {
+        const bufferFilePath = path.join(tempEntryPath, bufferKey);
+        await fs.writeFile(bufferFilePath, entry.buffers[bufferKey] || entry.buffers[legacyBufferKey]);
+        logger.debug('CacheManager: Buffer guardado en caché: %s', bufferFilePath);
+      }
+      await fs.writeFile(
+        path.join(tempEntryPath, METADATA_FILENAME),
+        JSON.stringify(entry.metadata, null, 2),
+        'utf8'
+      );
+
+      try {
+        await fs.rename(tempEntryPath, finalEntryPath);
+      } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error;
+        // Otro proceso publicó la misma entrada primero: su contenido es equivalente
+        await fs.rm(tempEntryPath, { recursive: true, force: true });
+        logger.debug('CacheManager: La entrada %s ya existía, se descarta la copia temporal.', key);
+      }
+    } catch (error) {
+      await fs.rm(tempEntryPath, { recursive: true, force: true }).catch(() => {});
+      throw new StorageError(
+        `Error al guardar la entrada de caché '${key}': ${error.message}`,
+        error,
+        'ERR_CACHE_WRITE_FAILED'
+      );
+    }
+  }
+
+  async touch(key) {
+    const now = new Date();
+    await fs.utimes(path.join(this.cacheDir, key, METADATA_FILENAME), now, now);
+  }
+
+  async delete(key) {
+    const entryPath = path.join(this.cacheDir, key);
+    try {
+      await fs.access(entryPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await fs.rm(entryPath, { recursive: true, force: true });
+    logger.debug('CacheManager: Entrada de caché eliminada: %s', key);
+    return true;
+  }
+
+  async info(key) {
+    const entryPath = path.join(this.cacheDir, key);
+    const metadataFilePath = path.join(entryPath, METADATA_FILENAME);
+    let metadataStat;
+    try {
+      metadataStat = await fs.stat(metadataFilePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // Sin metadata.json la entrada es de una escritura interrumpida (anterior a las escrituras atómicas)
+      let dirStat;
+      try {
+        dirStat = await fs.stat(entryPath);
+      } catch (dirError) {
+        if (dirError.code === 'ENOENT') return null;
+        throw dirError;
+      }
+      return {
+        key,
+        bytes: await getDirectorySize(entryPath),
+        createdAt: Math.floor(dirStat.mtimeMs),
+        lastAccessedAt: Math.floor(dirStat.mtimeMs),
+        expiresAt: null,
+        complete: false,
+      };
+    }
+    let metadata = {};
+    try {
+      metadata = JSON.parse(await fs.readFile(metadataFilePath, 'utf8'));
+    } catch (error) {
+      logger.warn('CacheManager: metadata.json ilegible en la entrada %s: %s', key, error.message);
+    }
+    return {
+      key,
+      // Las entradas anteriores a los límites no guardan su tamaño ni su fecha de creación
+      bytes: typeof metadata.bytes === 'number' ? metadata.bytes : await getDirectorySize(entryPath),
+      createdAt: metadata.createdAt || Math.floor(metadataStat.birthtimeMs || metadataStat.mtimeMs),
+      lastAccessedAt: Math.floor(metadataStat.mtimeMs),
+      expiresAt: metadata.expiresAt || null,
+      // `variants` en las entradas actuales; `original` en las escritas antes de admitir varios formatos
+      complete: metadata.variants !== undefined || metadata.original !== undefined,
+    };
+  }
+
+  async list() {
+    let dirents;
+    try {
+      dirents = await fs.readdir(this.cacheDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      logger.error(
+        'CacheManager: Error al recorrer el caché en %s: %s',
+        this.cacheDir,
+        error.message,
+        { originalError: error }
+      );
+      throw new StorageError(
+        `Error al recorrer el caché en '${this.cacheDir}': ${error.message}`,
+        error,
+        'ERR_CACHE_READ_FAILED'
+      );
+    }
+
+    const infos = [];
+    for (const dirent of dirents) {
+      if (!dirent.isDirectory() || dirent.name.startsWith(TEMP_ENTRY_PREFIX)) continue;
+      try {
+        const info = await this.info(dirent.name);
+        if (info) infos.push(info); // null: eliminada mientras se recorría
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        logger.warn('CacheManager: No se pudo leer la entrada de caché %s: %s', dirent.name, error.message);
+      }
+    }
+    return infos;
+  }
+
+  /**
+   * Elimina los restos de escrituras interrumpidas (ej. por la caída del proceso): directorios
+   * temporales y entradas sin metadata.json más antiguos que el margen de gracia.
+   * @param {number} now - Instante de referencia.
+   * @returns {Promise<{removed: number, removedBytes: number}>}
+   */
+  async cleanup(now) {
+    const result = { removed: 0, removedBytes: 0 };
+    let names;
+    try {
+      names = await fs.readdir(this.cacheDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('CacheManager: No se pudo recorrer el caché en %s: %s', this.cacheDir, error.message);
+      }
+      return result;
+    }
+    for (const name of names) {
+      const entryPath = path.join(this.cacheDir, name);
+      try {
+        if (name.startsWith(TEMP_ENTRY_PREFIX)) {
+          const { mtimeMs } = await fs.stat(entryPath);
+          if (now - mtimeMs <= INCOMPLETE_ENTRY_GRACE_MS) continue;
+        } else {
+          const info = await this.info(name);
+          if (!info || info.complete || now - info.lastAccessedAt <= INCOMPLETE_ENTRY_GRACE_MS) continue;
+        }
+        const bytes = await getDirectorySize(entryPath);
+        await fs.rm(entryPath, { recursive: true, force: true });
+        result.removed++;
+        result.removedBytes += bytes;
+        logger.debug('CacheManager: Escritura de caché abandonada eliminada: %s', name);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          logger.warn('CacheManager: No se pudo limpiar %s: %s', name, error.message);
+        }
+      }
+    }
+    return result;
+  }
+
+  async clear() {
+    await fs.rm(this.cacheDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { DiskCacheStore };
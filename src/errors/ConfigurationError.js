@@ -5,8 +5,8 @@ const CustomError = require('./CustomError'); // Importa la clase base
  * Error relacionado con problemas de configuración de la librería o de las opciones de entrada.
  */
 class ConfigurationError extends CustomError {
-  constructor(message, originalError = null) {
-    super(message, originalError, 'ERR_CONFIGURATION');
+  constructor(message, originalError = null, code = 'ERR_CONFIGURATION') {
+    super(code, message, originalError);
   }
 }
 
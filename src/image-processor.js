@@ -4,30 +4,163 @@ const path = require('path');
 const { ImageProcessingError, ConfigurationError } = require('./errors');
 const {
   SUPPORTED_OUTPUT_FORMATS,
+  ANIMATED_OUTPUT_FORMATS,
+  WIDE_GAMUT_OUTPUT_FORMATS,
+  buildResizePipeline,
   resizeImage,
+  resolveSizeQuality,
+  applyMetadataPolicy,
+  applyColorProfile,
+  applySizeGeometry,
+  applyOutputFormat,
+  sampleForCrop,
+  detectFocalPoint,
+  resolveFocalCrop,
+  resolveSizeDimensions,
   getFileExtensionForFormat,
 } = require('./utils');
+const { prepareWatermark, watermarkAppliesTo, applyWatermark } = require('./watermark');
+const { normalizeTransformations, applyTransformations } = require('./transformations');
+const { generatePlaceholders } = require('./placeholders');
+const { analyzeImage } = require('./analysis');
+const { parseExif } = require('./utils/exif');
+const { parseIccProfile } = require('./utils/icc');
 const logger = require('./logger');
 
 const SUPPORTED_IMAGE_MIME_TYPES = new Set([
   'image/jpeg',
   'image/png',
   'image/webp',
-  'image/gif', // Sharp puede leer GIF, pero no generar GIF animado
+  'image/gif', // Los GIF animados conservan sus fotogramas (ver `ANIMATED_OUTPUT_FORMATS`)
   'image/tiff',
   'image/heif', // Añadir soporte para HEIF/HEIC si Sharp lo tiene activado
 ]);
 
 /**
- * Procesa un buffer de imagen, aplica transformaciones, determina el formato de salida
- * y genera buffers para la imagen original y sus versiones redimensionadas.
- * @param {Buffer} originalBuffer - El buffer de la imagen original.
+ * Convierte un pipeline de Sharp en un objeto imagen cuyo contenido se genera como stream.
+ * Los metadatos (ancho, alto, tamaño) se completan cuando Sharp termina de codificar la variante.
+ * @param {sharp.Sharp} pipeline - El pipeline ya configurado (redimensionado y formato).
+ * @param {string} sizeKey - La clave del tamaño (o 'original').
+ * @param {string} format - El formato de salida.
+ * @returns {{stream: sharp.Sharp, filename: null, sizeKey: string, metadata: object}}
+ */
+function toStreamedImage(pipeline, sizeKey, format) {
+  const image = {
+    stream: pipeline,
+    filename: null, // Placeholder, será generado en ImageResizer
+    sizeKey: sizeKey,
+    metadata: { format: format },
+  };
+  pipeline.on('info', (info) => {
+    image.metadata.width = info.width;
+    image.metadata.height = info.pageHeight || info.height; // En las animadas, el alto de un fotograma
+    image.metadata.size = info.size;
+  });
+  return image;
+}
+
+/**
+ * Describe la animación de una imagen de entrada a partir de sus metadatos.
+ * @param {object} metadata - Metadatos de Sharp (`pages`, `delay`, `loop`).
+ * @returns {{frames: number, duration: number, loop: number} | null} Número de fotogramas, duración total en
+ * milisegundos y repeticiones (0 = infinitas), o null si la imagen no es animada.
+ */
+function describeAnimation(metadata) {
+  // Un TIFF o HEIF de varias páginas no es una animación: solo GIF y WebP informan retardos
+  if (!(metadata.pages > 1) || !Array.isArray(metadata.delay)) return null;
+  const delays = metadata.delay;
+  return {
+    frames: metadata.pages,
+    duration: delays.reduce((total, delay) => total + delay, 0),
+    loop: metadata.loop !== undefined ? metadata.loop : 0,
+  };
+}
+
+// Bits por canal de cada formato de muestra que informa Sharp en `metadata().depth`
+const SAMPLE_BIT_DEPTHS = { uchar: 8, char: 8, ushort: 16, short: 16, uint: 32, int: 32, float: 32, complex: 64, double: 64, dpcomplex: 128 };
+
+/**
+ * Describe el color de una imagen de entrada a partir de sus metadatos.
+ * @param {object} metadata - Metadatos de Sharp (`space`, `depth`, `icc`).
+ * @returns {{space: string, bitDepth: number, profile: string | null, wideGamut: boolean}} El espacio de color ('srgb',
+ * 'cmyk', 'b-w', 'rgb16'...), los bits por canal, el nombre del perfil ICC incrustado (null si no tiene) y si ese perfil
+ * es de gama amplia: un perfil RGB distinto de sRGB, como Display P3 o Adobe RGB.
+ */
+function describeColor(metadata) {
+  const profile = parseIccProfile(metadata.icc);
+  return {
+    space: metadata.space,
+    bitDepth: SAMPLE_BIT_DEPTHS[metadata.depth],
+    profile: profile ? profile.name : null,
+    wideGamut: Boolean(profile && profile.colorSpace === 'rgb' && profile.name && !/srgb/i.test(profile.name)),
+  };
+}
+
+/**
+ * Prepara el recorte alrededor de un punto focal: el indicado en `focalPoint` o, si no hay, el detectado
+ * con `smartCrop`. Solo se analiza la imagen si algún tamaño a generar recorta (ver `resolveFocalCrop`).
+ * @param {sharp.Sharp} baseSharpInstance - Instancia base, con las transformaciones aplicadas.
+ * @param {object} sizes - Configuración de tamaños.
+ * @param {string[]} sizeKeys - Tamaños a generar.
+ * @param {object} options - `{ focalPoint, smartCrop }` de la llamada.
+ * @returns {Promise<{focalPoint: {x: number, y: number, source: string}, aspectRatio: number} | null>}
+ * @throws {ImageProcessingError} Si no se puede analizar la imagen.
+ */
+async function prepareFocalCrop(baseSharpInstance, sizes, sizeKeys, { focalPoint, smartCrop }) {
+  if (!focalPoint && !smartCrop) return null;
+  const point = focalPoint
+    ? { x: focalPoint.x, y: focalPoint.y, source: 'manual' }
+    : { x: 0.5, y: 0.5, source: smartCrop }; // Provisional, hasta detectarlo
+  const cropsAnySize = sizeKeys.some(
+    (sizeKey) => sizes[sizeKey] && resolveFocalCrop(sizes[sizeKey], { focalPoint: point, aspectRatio: 1 })
+  );
+  if (!cropsAnySize) {
+    logger.debug('ImageProcessor: Ningún tamaño recorta, se omite el punto focal.');
+    return null;
+  }
+
+  try {
+    const sample = await sampleForCrop(baseSharpInstance);
+    const resolvedPoint = focalPoint ? point : await detectFocalPoint(sample, smartCrop);
+    logger.info(
+      'ImageProcessor: Punto focal (%s): x=%d, y=%d',
+      resolvedPoint.source,
+      resolvedPoint.x,
+      resolvedPoint.y
+    );
+    return { focalPoint: resolvedPoint, aspectRatio: sample.aspectRatio };
+  } catch (err) {
+    const msg = `No se pudo calcular el punto focal de la imagen: ${err.message}`;
+    logger.error('ImageProcessingError: %s', msg, { originalError: err });
+    throw new ImageProcessingError(msg, err, 'ERR_FOCAL_POINT_FAILED');
+  }
+}
+
+/**
+ * Procesa una imagen, aplica transformaciones, determina el formato de salida
+ * y genera buffers (o streams) para la imagen original y sus versiones redimensionadas.
+ * @param {Buffer | string} originalBuffer - El buffer de la imagen original o la ruta a un archivo con ella
+ * (por ejemplo, el archivo temporal en el que se volcó un stream de entrada).
  * @param {string} originalFilename - El nombre original del archivo.
  * @param {object} sizes - Objeto de configuración de tamaños (ej. { small: { width: 300, ... } }).
- * @param {object} options - Opciones de procesamiento (outputFormat, quality, optimizeOutputFormat, processSizes, transformations).
+ * @param {object} options - Opciones de procesamiento (outputFormat, outputFormats, quality, optimizeOutputFormat, processSizes, transformations, streamOutput).
+ * Con `outputFormats` (ej. `['avif', 'webp', 'jpeg']`) cada variante se codifica en todos esos formatos, en ese orden;
+ * los tamaños usan entonces la calidad por defecto de cada formato (`SUPPORTED_OUTPUT_FORMATS`) salvo que se indique `quality`.
+ * Con `focalPoint` (`{ x, y }` relativos) o `smartCrop` ('attention' | 'entropy'), los tamaños que recortan se encuadran
+ * alrededor de ese punto, que se registra en el `metadata.focalPoint` de cada variante recortada.
+ * Con `watermark`, la marca de agua se superpone a cada variante después de redimensionarla, escalada a su ancho.
+ * Las imágenes animadas (GIF, WebP) conservan todos sus fotogramas, retardos y repeticiones en los formatos animados
+ * (`ANIMATED_OUTPUT_FORMATS`); los demás formatos, o `animated: false`, usan un único fotograma (`posterFrame`, por defecto el primero).
+ * La orientación EXIF se aplica salvo con `autoOrient: false`; `metadataPolicy` ('strip', 'icc', 'preserve') decide qué
+ * metadatos conservan las salidas, y con `extractExif` el original incluye en `metadata.exif` los campos EXIF de la entrada.
+ * Las salidas se convierten a sRGB de 8 bits (incluidas las entradas CMYK y de 16 bits); con `wideGamut`, las AVIF y WebP de
+ * una entrada de gama amplia conservan su perfil (`metadata.colorProfile`). El original informa en `metadata.color` del color de la entrada.
+ * Con `placeholders`, el original del formato principal incluye en `metadata.placeholders` su BlurHash, ThumbHash y/o LQIP,
+ * y con `analysis`, en `metadata.analysis`, su color dominante, su paleta, su brillo medio y su transparencia.
  * @returns {Promise<Array<{buffer: Buffer, filename: string, sizeKey: string, metadata: object}>>}
  * Un array de objetos con los buffers, nombres de archivo (temporales, para el caché),
- * claves de tamaño y metadatos de todas las imágenes procesadas.
+ * claves de tamaño y metadatos de todas las imágenes procesadas, una por tamaño y formato (agrupadas por tamaño).
+ * Con `streamOutput`, cada objeto tiene un `stream` en lugar de `buffer` y sus metadatos se completan al consumirlo.
  * @throws {ImageProcessingError} Si hay un problema durante el procesamiento de la imagen.
  * @throws {ConfigurationError} Si hay un problema con las opciones de configuración.
  */
@@ -45,67 +178,128 @@ async function processAndGenerateImages(
 
   const {
     outputFormat,
+    outputFormats,
     quality,
     optimizeOutputFormat = false,
     processSizes,
     transformations,
+    streamOutput = false,
+    focalPoint,
+    smartCrop,
+    watermark,
+    animated = true,
+    posterFrame = 0,
+    autoOrient = true,
+    metadataPolicy = 'strip',
+    extractExif = false,
+    wideGamut = false,
+    placeholders,
+    analysis,
   } = options;
 
-  let baseSharpInstance;
+  let baseSharpInstance; // Imagen fija (con animación, el fotograma `posterFrame`)
+  let animatedSharpInstance = null; // Todos los fotogramas, para los formatos animados
   let initialImageMetadata; // Metadatos iniciales del buffer antes de transformaciones
 
   try {
-    baseSharpInstance = sharp(originalBuffer);
-    initialImageMetadata = await baseSharpInstance.metadata(); // Obtener metadatos iniciales
+    initialImageMetadata = await sharp(originalBuffer).metadata(); // Obtener metadatos iniciales
   } catch (err) {
     const msg = `No se pudo inicializar Sharp con la imagen. Posiblemente formato no soportado o archivo corrupto: ${err.message}`;
     logger.error('ImageProcessingError: %s', msg, { originalError: err });
     throw new ImageProcessingError(msg, err, 'ERR_SHARP_INIT_FAILED');
   }
 
-  // --- Aplicar transformaciones ---
+  // --- Animación: se decodifican todas las páginas, salvo que se pida un fotograma fijo ---
+  const frameCount = initialImageMetadata.pages || 1;
+  if (posterFrame >= frameCount) {
+    const msg = `El fotograma \`posterFrame\` (${posterFrame}) no existe: la imagen tiene ${frameCount} fotograma(s).`;
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_INVALID_POSTER_FRAME');
+  }
+  const animation = animated ? describeAnimation(initialImageMetadata) : null;
+  // La orientación EXIF se aplica al decodificar, antes de cualquier transformación
+  baseSharpInstance = applyMetadataPolicy(sharp(originalBuffer, { page: posterFrame, autoOrient }), metadataPolicy);
+  if (animation) {
+    animatedSharpInstance = applyMetadataPolicy(sharp(originalBuffer, { animated: true, autoOrient }), metadataPolicy);
+    logger.info(
+      'ImageProcessor: Imagen animada: %d fotogramas, %d ms.',
+      animation.frames,
+      animation.duration
+    );
+  }
+
+  if (autoOrient && initialImageMetadata.orientation > 1) {
+    logger.debug('ImageProcessor: Aplicando la orientación EXIF %d.', initialImageMetadata.orientation);
+  }
+  // EXIF de la entrada (cámara, fecha de captura, exposición, GPS), para los metadatos del original
+  const exif = extractExif ? parseExif(initialImageMetadata.exif) : undefined;
+  // Color de la entrada: las salidas se convierten a sRGB salvo las que conservan su gama amplia
+  const sourceColor = describeColor(initialImageMetadata);
+  logger.debug(
+    'ImageProcessor: Color de la entrada: %s, %d bits, perfil %s.',
+    sourceColor.space,
+    sourceColor.bitDepth,
+    sourceColor.profile || '(ninguno)'
+  );
+
+  // --- Aplicar transformaciones (pasos validados contra la lista de operaciones permitidas) ---
   if (transformations) {
     logger.debug(
       'ImageProcessor: Aplicando transformaciones: %o',
       transformations
     );
-    for (const key in transformations) {
-      if (typeof baseSharpInstance[key] === 'function' && key !== 'resize') {
-        try {
-          baseSharpInstance = baseSharpInstance[key](transformations[key]);
-          logger.debug(`ImageProcessor: Transformación '${key}' aplicada.`);
-        } catch (transformError) {
-          const msg = `Error al aplicar la transformación '${key}': ${transformError.message}`;
-          logger.error('ImageProcessingError: %s', msg, {
-            transformationKey: key,
-            value: transformations[key],
-            originalError: transformError,
-          });
-          throw new ImageProcessingError(msg, transformError, 'ERR_TRANSFORMATION_FAILED');
-        }
-      } else if (key === 'composite' && Array.isArray(transformations[key])) {
-        try {
-          baseSharpInstance = baseSharpInstance.composite(
-            transformations[key]
-          );
-          logger.debug(`ImageProcessor: Transformación 'composite' aplicada.`);
-        } catch (compositeError) {
-          const msg = `Error al aplicar la transformación 'composite': ${compositeError.message}`;
-          logger.error('ImageProcessingError: %s', msg, {
-            transformationKey: key,
-            value: transformations[key],
-            originalError: compositeError,
-          });
-          throw new ImageProcessingError(msg, compositeError, 'ERR_COMPOSITE_FAILED');
-        }
-      } else {
-        logger.warn(
-          `ImageProcessor: Advertencia: La transformación '%s' no es una función de Sharp directamente aplicable o está reservada.`,
-          key
-        );
-      }
+    const steps = normalizeTransformations(transformations);
+    // Si hay que materializar la imagen entre pasos, la nueva instancia conserva las opciones de entrada y los metadatos
+    baseSharpInstance = await applyTransformations(baseSharpInstance, steps, {
+      reopen: (input) => applyMetadataPolicy(sharp(input, { autoOrient }), metadataPolicy),
+    });
+    if (animatedSharpInstance) {
+      animatedSharpInstance = await applyTransformations(animatedSharpInstance, steps, {
+        animated: true,
+        reopen: (input) => applyMetadataPolicy(sharp(input, { animated: true, autoOrient }), metadataPolicy),
+      });
     }
   }
+  const isAnimatedFormat = (format) => Boolean(animatedSharpInstance) && ANIMATED_OUTPUT_FORMATS.includes(format);
+  const keepsSourceProfile = (format) =>
+    wideGamut && sourceColor.wideGamut && WIDE_GAMUT_OUTPUT_FORMATS.includes(format);
+  // Instancia de la que parte cada formato: los animados conservan la animación, y cada uno su perfil de color.
+  // Se crea una por combinación y la comparten los formatos que coinciden.
+  const sourceKeyFor = (format) =>
+    `${isAnimatedFormat(format) ? 'animated' : 'still'}:${keepsSourceProfile(format) ? 'wide' : 'srgb'}`;
+  const sources = new Map();
+  const sourceFor = (format) => {
+    const sourceKey = sourceKeyFor(format);
+    if (!sources.has(sourceKey)) {
+      const base = isAnimatedFormat(format) ? animatedSharpInstance : baseSharpInstance;
+      sources.set(sourceKey, applyColorProfile(base.clone(), metadataPolicy, keepsSourceProfile(format)));
+    }
+    return sources.get(sourceKey);
+  };
+  // Las variantes animadas registran sus fotogramas, duración y repeticiones en sus metadatos,
+  // y las que conservan la gama amplia, el perfil incrustado
+  const recordAnimation = (metadata) => {
+    if (isAnimatedFormat(metadata.format)) Object.assign(metadata, animation);
+    if (keepsSourceProfile(metadata.format)) metadata.colorProfile = sourceColor.profile;
+    return metadata;
+  };
+  // El original incluye el color de la entrada y, con `extractExif`, su EXIF (null si no tiene).
+  // El del formato principal incluye además los placeholders y el análisis de color, que así se guardan también en el caché
+  const recordSource = (metadata) => {
+    metadata.color = sourceColor;
+    if (extractExif) metadata.exif = exif;
+    if (metadata.format === formats[0]) {
+      if (placeholderData) metadata.placeholders = placeholderData;
+      if (analysisData) metadata.analysis = analysisData;
+    }
+    return metadata;
+  };
+  // Metadatos tras las transformaciones; los comparten la optimización del formato y el análisis (canal alfa)
+  let transformedMetadata = null;
+  const getTransformedMetadata = () => {
+    if (!transformedMetadata) transformedMetadata = baseSharpInstance.metadata();
+    return transformedMetadata;
+  };
 
   // --- Determinar el formato de salida final ---
   let finalOutputFormat = outputFormat
@@ -117,10 +311,10 @@ async function processAndGenerateImages(
     finalOutputFormat
   );
 
-  if (optimizeOutputFormat) {
+  if (optimizeOutputFormat && !outputFormats) {
     try {
       // Obtener metadatos DESPUÉS de las transformaciones (si las hubo)
-      const currentMetadataForOptimization = await baseSharpInstance.metadata();
+      const currentMetadataForOptimization = await getTransformedMetadata();
       logger.debug(
         'ImageProcessor: Metadatos de imagen para optimización: %o',
         currentMetadataForOptimization
@@ -159,79 +353,216 @@ async function processAndGenerateImages(
     finalOutputFormat
   );
 
-  if (!SUPPORTED_OUTPUT_FORMATS[finalOutputFormat]) {
-    const msg = `El formato de salida final '${finalOutputFormat}' no es soportado. Los formatos soportados son: ${Object.keys(
-      SUPPORTED_OUTPUT_FORMATS
-    ).join(', ')}.`;
-    logger.error('ConfigurationError: %s', msg);
-    throw new ConfigurationError(msg, null, 'ERR_UNSUPPORTED_OUTPUT_FORMAT');
+  // Con `outputFormats` cada variante se genera en varios formatos; el primero es el principal
+  const formats = outputFormats
+    ? [...new Set(outputFormats.map((format) => format.toLowerCase()))]
+    : [finalOutputFormat];
+  for (const format of formats) {
+    if (!SUPPORTED_OUTPUT_FORMATS[format]) {
+      const msg = `El formato de salida final '${format}' no es soportado. Los formatos soportados son: ${Object.keys(
+        SUPPORTED_OUTPUT_FORMATS
+      ).join(', ')}.`;
+      logger.error('ConfigurationError: %s', msg);
+      throw new ConfigurationError(msg, null, 'ERR_UNSUPPORTED_OUTPUT_FORMAT');
+    }
+  }
+  if (outputFormats) {
+    logger.info('ImageProcessor: Formatos de salida: %s', formats.join(', '));
+  }
+  // Calidad de los tamaños: con varios formatos, la de cada formato (la escala de calidad no es
+  // comparable entre códecs); con uno solo, `undefined` deja la `defaultQuality` de cada tamaño
+  const sizeQualityFor = (format) =>
+    quality === undefined && outputFormats
+      ? SUPPORTED_OUTPUT_FORMATS[format].options.quality
+      : quality;
+
+  // --- Placeholders de baja calidad (BlurHash, ThumbHash, LQIP), sobre la imagen transformada ---
+  const placeholderData = placeholders ? await generatePlaceholders(baseSharpInstance, placeholders) : null;
+
+  // --- Análisis de color (dominante, paleta, brillo, transparencia) ---
+  let analysisData = null;
+  if (analysis) {
+    // Sin canal alfa no hace falta buscar píxeles transparentes
+    const { hasAlpha } = await getTransformedMetadata().catch(() => ({ hasAlpha: true }));
+    analysisData = await analyzeImage(baseSharpInstance, analysis, Boolean(hasAlpha));
   }
 
+  // --- Punto focal de los tamaños que recortan ---
+  const crop = await prepareFocalCrop(
+    baseSharpInstance,
+    sizes,
+    processSizes || Object.keys(sizes),
+    { focalPoint, smartCrop }
+  );
+  // Las variantes recortadas alrededor del punto lo registran en sus metadatos
+  const recordFocalPoint = (metadata, sizeConfig) => {
+    if (resolveFocalCrop(sizeConfig, crop)) metadata.focalPoint = crop.focalPoint;
+    return metadata;
+  };
+
+  // --- Marca de agua: se superpone a cada variante ya redimensionada ---
+  const preparedWatermark = watermark ? await prepareWatermark(watermark) : null;
+  // Dimensiones de un fotograma de la imagen transformada (fija o animada), con las que se calculan las de cada variante
+  const frameDimensions = new Map();
+  const frameDimensionsFor = (format) => {
+    const animatedSource = isAnimatedFormat(format);
+    if (!frameDimensions.has(animatedSource)) {
+      const instance = animatedSource ? animatedSharpInstance : baseSharpInstance;
+      frameDimensions.set(animatedSource, instance.metadata().then((metadata) => {
+        const { width, height } = autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata;
+        return animatedSource
+          ? { width, height: metadata.pageHeight || height, pages: metadata.pages || 1 }
+          : { width, height, pages: 1 };
+      }));
+    }
+    return frameDimensions.get(animatedSource);
+  };
+  // Cada variante con marca de agua se prepara una sola vez, y se codifica después en cada formato
+  const watermarkedSources = new Map();
+  // (una vez por instancia de origen: fija o animada, sRGB o de gama amplia)
+  const watermarkedSourceFor = (sizeKey, format, buildPipeline, sizeConfig) => {
+    const cacheKey = `${sizeKey}:${sourceKeyFor(format)}`;
+    if (!watermarkedSources.has(cacheKey)) {
+      const watermarked = frameDimensionsFor(format).then((frame) => {
+        const { width, height } = sizeConfig ? resolveSizeDimensions(sizeConfig, frame, crop) : frame;
+        return applyWatermark(buildPipeline(sourceFor(format).clone()), preparedWatermark, { width, height, pages: frame.pages });
+      });
+      watermarkedSources.set(cacheKey, watermarked.catch((err) => {
+        const msg = `Error al aplicar la marca de agua a la variante '${sizeKey}': ${err.message}`;
+        logger.error('ImageProcessingError: %s', msg, { sizeKey: sizeKey, originalError: err });
+        throw new ImageProcessingError(msg, err, 'ERR_WATERMARK_FAILED');
+      }));
+    }
+    return watermarkedSources.get(cacheKey);
+  };
+  // Pipeline (sin ejecutar) de una variante en un formato, con la marca de agua si le corresponde
+  const buildOriginalPipeline = async (format) => {
+    const source = watermarkAppliesTo(preparedWatermark, 'original')
+      ? (await watermarkedSourceFor('original', format, (image) => image)).clone()
+      : sourceFor(format).clone();
+    return source.toFormat(format, { quality: quality || 100 }); // Usar calidad general o 100
+  };
+  const buildSizePipeline = async (sizeKey, format, sizeConfig) => {
+    if (!watermarkAppliesTo(preparedWatermark, sizeKey)) {
+      return buildResizePipeline(
+        sourceFor(format).clone(),
+        sizeKey,
+        format,
+        sizeQualityFor(format),
+        sizeConfig,
+        crop
+      );
+    }
+    const source = await watermarkedSourceFor(
+      sizeKey,
+      format,
+      (image) => applySizeGeometry(image, sizeKey, sizeConfig, crop),
+      sizeConfig
+    );
+    return applyOutputFormat(source.clone(), format, resolveSizeQuality(sizeConfig, sizeQualityFor(format)));
+  };
+
   const allImagesToSave = [];
 
+  // --- Salida por streams: se construyen los pipelines sin ejecutarlos ---
+  // Cada variante se codificará cuando el almacenamiento la consuma, sin mantener todos los buffers en memoria.
+  if (streamOutput) {
+    const sizesToStream = options.processSizes || Object.keys(sizes);
+    for (const format of formats) {
+      const image = toStreamedImage(await buildOriginalPipeline(format), 'original', format);
+      recordSource(recordAnimation(image.metadata));
+      allImagesToSave.push(image);
+    }
+    for (const sizeKey of sizesToStream) {
+      const sizeConfig = sizes[sizeKey];
+      if (!sizeConfig || (typeof sizeConfig.width !== 'number' && typeof sizeConfig.height !== 'number')) {
+        const msg = `Tamaño '${sizeKey}' no encontrado o configuración inválida (falta 'width' o 'height').`;
+        logger.error('ConfigurationError: %s', msg, { sizeKey: sizeKey, config: sizeConfig });
+        throw new ConfigurationError(msg, null, 'ERR_INVALID_SIZE_CONFIG');
+      }
+      for (const format of formats) {
+        const image = toStreamedImage(
+          await buildSizePipeline(sizeKey, format, sizeConfig),
+          sizeKey,
+          format
+        );
+        recordFocalPoint(recordAnimation(image.metadata), sizeConfig);
+        allImagesToSave.push(image);
+      }
+    }
+    logger.info(
+      'ImageProcessor: Pipelines de salida por stream preparados para %d imágenes.',
+      allImagesToSave.length
+    );
+    return allImagesToSave;
+  }
+
   // --- 1. Procesar la imagen ORIGINAL (aplicando transformaciones y formato de salida) ---
   logger.debug('ImageProcessor: Procesando imagen original...');
-  let transformedOriginalBuffer;
-  let finalOriginalMetadata; // Metadatos del original transformado
-  try {
-    let originalSharpInstance = baseSharpInstance.clone(); // Clonar para aplicar toFormat
+  for (const format of formats) {
+    let transformedOriginalBuffer;
+    let finalOriginalMetadata; // Metadatos del original transformado
+    try {
+      // Aplicar formato de salida y calidad al original también (y la marca de agua, si le corresponde)
+      const originalSharpInstance = await buildOriginalPipeline(format);
+      transformedOriginalBuffer = await originalSharpInstance.toBuffer();
+      finalOriginalMetadata = await sharp(transformedOriginalBuffer).metadata(); // Obtener metadatos del buffer final del original
+      logger.debug('ImageProcessor: Metadatos original transformado (%s): %o', format, finalOriginalMetadata);
+    } catch (err) {
+      const msg = `Error al procesar la imagen original con Sharp (formato '${format}'): ${err.message}`;
+      logger.error('ImageProcessingError: %s', msg, { originalError: err });
+      throw new ImageProcessingError(msg, err, 'ERR_ORIGINAL_IMAGE_PROCESS_FAILED');
+    }
 
-    // Aplicar formato de salida y calidad al original también
-    originalSharpInstance = originalSharpInstance.toFormat(
-      finalOutputFormat,
-      { quality: quality || 100 } // Usar calidad general o 100
-    );
-    transformedOriginalBuffer = await originalSharpInstance.toBuffer();
-    finalOriginalMetadata = await sharp(transformedOriginalBuffer).metadata(); // Obtener metadatos del buffer final del original
-    logger.debug('ImageProcessor: Metadatos original transformado: %o', finalOriginalMetadata);
-  } catch (err) {
-    const msg = `Error al procesar la imagen original con Sharp: ${err.message}`;
-    logger.error('ImageProcessingError: %s', msg, { originalError: err });
-    throw new ImageProcessingError(msg, err, 'ERR_ORIGINAL_IMAGE_PROCESS_FAILED');
+    // Se añade el objeto de la imagen original a la lista.
+    // El nombre de archivo temporal será generado por ImageResizer o el generador personalizado.
+    allImagesToSave.push({
+      buffer: transformedOriginalBuffer,
+      filename: null, // Placeholder, será generado en ImageResizer
+      sizeKey: 'original',
+      metadata: recordSource(recordAnimation({
+        width: finalOriginalMetadata.width,
+        height: finalOriginalMetadata.height, // En las animadas, el alto de un fotograma
+        format: format, // Sharp reporta AVIF como 'heif', se usa el formato codificado
+        size: transformedOriginalBuffer.length,
+      })),
+    });
   }
 
-  // Se añade el objeto de la imagen original a la lista.
-  // El nombre de archivo temporal será generado por ImageResizer o el generador personalizado.
-  allImagesToSave.push({
-    buffer: transformedOriginalBuffer,
-    filename: null, // Placeholder, será generado en ImageResizer
-    sizeKey: 'original',
-    metadata: {
-      width: finalOriginalMetadata.width,
-      height: finalOriginalMetadata.height,
-      format: finalOriginalMetadata.format,
-      size: transformedOriginalBuffer.length,
-    },
-  });
-
   // --- 2. Procesar las imágenes REDIMENSIONADAS (en paralelo) ---
   const sizesToProcess = options.processSizes || Object.keys(sizes);
   logger.debug('ImageProcessor: Tamaños a procesar: %o', sizesToProcess);
 
-  const processingPromises = sizesToProcess.map(async (sizeKey) => {
+  const processingPromises = sizesToProcess.flatMap((sizeKey) => formats.map(async (format) => {
     const sizeConfig = sizes[sizeKey];
-    if (!sizeConfig || typeof sizeConfig.width !== 'number') { // Añadir validación de width
-      const msg = `Tamaño '${sizeKey}' no encontrado o configuración inválida (falta 'width').`;
+    if (!sizeConfig || (typeof sizeConfig.width !== 'number' && typeof sizeConfig.height !== 'number')) {
+      const msg = `Tamaño '${sizeKey}' no encontrado o configuración inválida (falta 'width' o 'height').`;
       logger.error('ConfigurationError: %s', msg, { sizeKey: sizeKey, config: sizeConfig });
       throw new ConfigurationError(msg, null, 'ERR_INVALID_SIZE_CONFIG');
     }
     logger.debug(
-      'ImageProcessor: Procesando tamaño en paralelo: %s con configuración: %o',
+      'ImageProcessor: Procesando tamaño en paralelo: %s (%s) con configuración: %o',
       sizeKey,
+      format,
       sizeConfig
     );
 
     let resizedBuffer;
     let resizedMetadata;
     try {
-      const sharpInstanceForResize = baseSharpInstance.clone(); // Clonar la instancia base
-      resizedBuffer = await resizeImage(
-        sharpInstanceForResize,
-        sizeKey,
-        finalOutputFormat,
-        quality,
-        sizeConfig
-      );
+      if (watermarkAppliesTo(preparedWatermark, sizeKey)) {
+        resizedBuffer = await (await buildSizePipeline(sizeKey, format, sizeConfig)).toBuffer();
+      } else {
+        const sharpInstanceForResize = sourceFor(format).clone(); // Clonar la instancia base
+        resizedBuffer = await resizeImage(
+          sharpInstanceForResize,
+          sizeKey,
+          format,
+          sizeQualityFor(format),
+          sizeConfig,
+          crop
+        );
+      }
       resizedMetadata = await sharp(resizedBuffer).metadata();
       logger.debug(
         'ImageProcessor: Metadatos para tamaño %s: %o',
@@ -239,9 +570,10 @@ async function processAndGenerateImages(
         resizedMetadata
       );
     } catch (err) {
-      const msg = `Error al redimensionar la imagen para el tamaño '${sizeKey}': ${err.message}`;
+      const msg = `Error al redimensionar la imagen para el tamaño '${sizeKey}' (formato '${format}'): ${err.message}`;
       logger.error('ImageProcessingError: %s', msg, {
         sizeKey: sizeKey,
+        format: format,
         originalError: err,
       });
       throw new ImageProcessingError(msg, err, 'ERR_RESIZE_FAILED');
@@ -251,14 +583,14 @@ async function processAndGenerateImages(
       buffer: resizedBuffer,
       filename: null, // Placeholder, será generado en ImageResizer
       sizeKey: sizeKey,
-      metadata: {
+      metadata: recordFocalPoint(recordAnimation({
         width: resizedMetadata.width,
         height: resizedMetadata.height,
-        format: resizedMetadata.format,
+        format: format,
         size: resizedBuffer.length,
-      },
+      }), sizeConfig),
     };
-  });
+  }));
 
   try {
     const resizedImagesToSave = await Promise.all(processingPromises);
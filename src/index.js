@@ -1,19 +1,30 @@
 // src/index.js
-require('dotenv').config(); // Carga las variables de entorno desde el archivo .env
-
 const path = require('path'); // Módulo para trabajar con rutas de archivos y directorios
 const { Readable } = require('stream'); // Clase para trabajar con streams de lectura
 const { fileTypeFromBuffer } = require('file-type'); // Para detectar el tipo de archivo de un buffer
 
 // Importaciones de módulos internos de la librería
 const { processAndGenerateImages } = require('./image-processor'); // Lógica de procesamiento de imágenes con Sharp
-const { saveImageLocally } = require('./local-storage'); // Funciones para guardar imágenes localmente
-const { initS3, uploadImageToS3 } = require('./s3-storage'); // Funciones para interactuar con AWS S3
-const { CacheManager, generateCacheKey } = require('./cache-manager'); // Clase para gestionar el caché y función para generar claves
+const { LocalStorageAdapter } = require('./local-storage'); // Adaptador integrado de almacenamiento local
+const { S3StorageAdapter } = require('./s3-storage'); // Adaptador integrado de AWS S3
+const { StorageAdapter, STORAGE_TRANSACTION_MODES, getMissingAdapterMethods, saveImagesWithAdapter, saveStreamedImages, rollbackSavedImages, deleteWithRetry } = require('./storage-adapter'); // Contrato de adaptadores de almacenamiento
+const { resolveConfig, redactConfig } = require('./config'); // Resolución y validación de la configuración
+const { CacheManager, generateCacheKeyFromHash, hashImage, resolveWatermarkForCacheKey } = require('./cache-manager'); // Clase para gestionar el caché y funciones para generar claves
+const { CacheStore } = require('./cache-store'); // Contrato de almacenes de caché
+const { DiskCacheStore } = require('./disk-cache-store'); // Almacén de caché en disco
+const { MemoryCacheStore } = require('./memory-cache-store'); // Almacén de caché en memoria (LRU)
+const { getWatermarkError } = require('./watermark'); // Validación de la marca de agua
+const { getPlaceholdersError } = require('./placeholders'); // Validación de los placeholders
+const { getAnalysisError } = require('./analysis'); // Validación del análisis de color
+const { normalizeTransformations } = require('./transformations'); // Validación de los pasos de transformación
 const logger = require('./logger'); // Módulo de logging configurado con Winston
 const { ConfigurationError, ImageProcessingError, StorageError } = require('./errors'); // Clases de errores personalizados
-const { getFileExtensionForFormat } = require('./utils'); // Funciones de utilidad (ej. obtener extensión)
+const { getFileExtensionForFormat, isValidFocalPoint, isSafeImageId, SUPPORTED_OUTPUT_FORMATS, SMART_CROP_STRATEGIES, METADATA_POLICIES } = require('./utils'); // Funciones de utilidad (ej. obtener extensión)
 const { generateTimestampedRandomString } = require('./utils/uuid'); // Función para generar nombres aleatorios/únicos
+const { spoolStreamToTempFile } = require('./utils/stream'); // Lectura de streams de entrada
+const { mapWithConcurrency } = require('./utils/async'); // Operaciones asíncronas con concurrencia limitada
+const { createImageServer } = require('./server'); // Servidor HTTP de imágenes bajo demanda
+const { buildSrcset, buildSizes, buildPicture, buildManifest } = require('./responsive'); // Marcado y manifiestos de imágenes responsivas
 
 // Tipos MIME de imagen soportados por la librería
 const SUPPORTED_IMAGE_MIME_TYPES = new Set([
@@ -25,13 +36,6 @@ const SUPPORTED_IMAGE_MIME_TYPES = new Set([
     'image/heif', // Soporte para HEIF/HEIC si Sharp lo tiene activado
 ]);
 
-// Tamaños de imagen por defecto si no se especifican tamaños personalizados
-const DEFAULT_SIZES = {
-    small: { width: 320, defaultQuality: 80 },
-    medium: { width: 640, defaultQuality: 85 },
-    large: { width: 1024, defaultQuality: 90 },
-};
-
 /**
  * Clase principal para la librería de redimensionamiento de imágenes YSL.
  * Permite procesar imágenes (redimensionar, transformar) y almacenarlas
@@ -41,91 +45,303 @@ class ImageResizer {
     /**
      * Constructor de la clase ImageResizer.
      * Inicializa las configuraciones de almacenamiento, caché y tamaños de imagen.
+     * Cada valor no indicado en `config` se toma de las variables de entorno (salvo `useEnv: false`),
+     * por lo que varias instancias pueden convivir en el mismo proceso con buckets y rutas distintos.
+     * La librería no carga el archivo .env: hazlo en tu aplicación (ej. `require('dotenv').config()`) si lo necesitas.
      * @param {object} [config={}] - Objeto de configuración opcional.
-     * @param {object} [config.customSizes] - Objeto con definiciones de tamaños personalizados.
-     * @throws {ConfigurationError} Si la configuración de entorno es inválida o incompleta.
+     * @param {object} [config.sizes] - Objeto con definiciones de tamaños personalizados (alias: `customSizes`).
+     * @param {object} [config.defaults] - Opciones por defecto para `processImage` (`outputFormat`, `outputFormats`, `quality`, `optimizeOutputFormat`, `smartCrop`, `watermark`, `animated`, `autoOrient`, `metadataPolicy`, `extractExif`, `wideGamut`, `placeholders`, `analysis`, `maxInputBytes`, `streamOutput`).
+     * @param {object} [config.storage] - Almacenamiento: `{ local: { enabled, path, baseUrl }, s3: { enabled, bucketName, region, endpoint, ... }, adapters: { nombre: adaptador }, transfer: { concurrency, retries, retryDelay, maxRetryDelay, timeout } }`.
+     * @param {object} [config.cache] - Caché: `{ enabled, path, maxBytes, ttl, pruneInterval, memoryMaxBytes, store }` (tiempos en milisegundos).
+     * @param {object} [config.logging] - `{ level }`. Afecta al logger compartido de la librería.
+     * @param {boolean} [config.useEnv=true] - Usar las variables de entorno como respaldo.
+     * @throws {ConfigurationError} Si la configuración es inválida o incompleta.
      */
     constructor(config = {}) {
-        logger.info('ImageResizer: Inicializando con configuración: %o', config);
-
-        // --- Carga y validación de variables de entorno ---
-        const enableLocalStorage = process.env.ENABLE_LOCAL_STORAGE === 'true';
-        const localStoragePath = process.env.LOCAL_STORAGE_PATH;
-
-        const enableS3Storage = process.env.ENABLE_S3_STORAGE === 'true';
-        const awsConfig = enableS3Storage ? {
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-            region: process.env.AWS_REGION,
-            bucketName: process.env.AWS_S3_BUCKET_NAME
-        } : null;
-
-        const enableCache = process.env.ENABLE_IMAGE_CACHE === 'true';
-        const cachePath = process.env.IMAGE_CACHE_PATH;
-
-        // Validaciones de configuración obligatorias
-        if (enableLocalStorage && !localStoragePath) {
-            const msg = 'LOCAL_STORAGE_PATH no está definido en las variables de entorno.';
+        // --- Resolución y validación de la configuración (objeto + variables de entorno) ---
+        const resolvedConfig = resolveConfig(config);
+        if (config.logging && config.logging.level) {
+            logger.level = resolvedConfig.logging.level;
+        }
+        logger.info('ImageResizer: Inicializando con configuración: %o', redactConfig(resolvedConfig));
+
+        const { storage, cache } = resolvedConfig;
+        if (!storage.local.enabled && !storage.s3.enabled && Object.keys(storage.adapters).length === 0) {
+            logger.warn('ImageResizer: No hay ningún adaptador de almacenamiento habilitado. Las imágenes procesadas no se guardarán hasta registrar uno.');
+        }
+
+        this.config = resolvedConfig;
+        // Tamaños de imagen (personalizados o por defecto) y opciones por defecto de processImage
+        this.sizes = resolvedConfig.sizes;
+        this.defaults = resolvedConfig.defaults;
+
+        // --- Inicialización de adaptadores de almacenamiento y caché ---
+        // Los adaptadores se registran por nombre; los integrados usan 'local' y 's3'.
+        this.storages = new Map();
+        if (storage.local.enabled) {
+            this.registerStorage('local', new LocalStorageAdapter({ path: storage.local.path, baseUrl: storage.local.baseUrl }));
+        }
+        if (storage.s3.enabled) {
+            this.registerStorage('s3', new S3StorageAdapter(storage.s3));
+        }
+        for (const name in storage.adapters) {
+            this.registerStorage(name, storage.adapters[name]);
+        }
+        // Procesamientos en curso indexados por clave de caché (single-flight)
+        this._inFlight = new Map();
+        this.cacheManager = cache.enabled
+            ? new CacheManager(cache.path, cache.enabled, {
+                maxBytes: cache.maxBytes,
+                ttl: cache.ttl,
+                pruneInterval: cache.pruneInterval,
+                memoryMaxBytes: cache.memoryMaxBytes,
+                store: cache.store
+            })
+            : null; // Pasa enableCache, los límites de tamaño/antigüedad y los almacenes al constructor
+
+        // Inicializa el directorio de caché
+        if (this.cacheManager) {
+            this.cacheManager.init().catch(err => {
+                logger.error('ImageResizer: Error al inicializar el directorio de caché: %s', err.message, { originalError: err });
+                // No lanzar, el caché es una optimización, no debe detener la librería
+            });
+        }
+
+        logger.info('ImageResizer: Módulos de almacenamiento y caché inicializados.');
+    }
+
+    /**
+     * Registra un adaptador de almacenamiento con un nombre.
+     * Las imágenes procesadas se guardan en todos los adaptadores registrados, en orden de registro.
+     * @param {string} name - Nombre único del adaptador (ej. 'gcs'). Se usa como clave en `finalResults.storage`.
+     * @param {StorageAdapter} adapter - Objeto que implementa `save`, `exists`, `delete` y `getUrl`.
+     * @returns {ImageResizer} La propia instancia, para encadenar llamadas.
+     * @throws {ConfigurationError} Si el nombre está vacío o ya existe, o si el adaptador no cumple el contrato.
+     */
+    registerStorage(name, adapter) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            const msg = 'El nombre del adaptador de almacenamiento debe ser una cadena de texto no vacía.';
             logger.error('ConfigurationError: %s', msg);
-            throw new ConfigurationError(msg, null, 'ERR_LOCAL_STORAGE_PATH_MISSING');
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_STORAGE_NAME');
         }
-        if (enableS3Storage && (!awsConfig.accessKeyId || !awsConfig.secretAccessKey || !awsConfig.region || !awsConfig.bucketName)) {
-            const msg = 'Credenciales de AWS S3 incompletas o faltantes en las variables de entorno.';
+        if (this.storages.has(name)) {
+            const msg = `Ya existe un adaptador de almacenamiento registrado con el nombre '${name}'.`;
             logger.error('ConfigurationError: %s', msg);
-            throw new ConfigurationError(msg, null, 'ERR_AWS_CREDENTIALS_MISSING');
+            throw new ConfigurationError(msg, null, 'ERR_DUPLICATE_STORAGE_NAME');
         }
-        if (enableCache && !cachePath) {
-            const msg = 'IMAGE_CACHE_PATH no está definido en las variables de entorno.';
+        const missingMethods = getMissingAdapterMethods(adapter);
+        if (missingMethods.length > 0) {
+            const msg = `El adaptador de almacenamiento '${name}' es inválido: faltan los métodos ${missingMethods.join(', ')}.`;
             logger.error('ConfigurationError: %s', msg);
-            throw new ConfigurationError(msg, null, 'ERR_CACHE_PATH_MISSING');
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_STORAGE_ADAPTER');
+        }
+        this.storages.set(name, adapter);
+        logger.info('ImageResizer: Adaptador de almacenamiento registrado: %s', name);
+        return this;
+    }
+
+    /**
+     * Elimina un adaptador de almacenamiento registrado.
+     * @param {string} name - Nombre del adaptador.
+     * @returns {boolean} `true` si el adaptador existía y fue eliminado.
+     */
+    unregisterStorage(name) {
+        const removed = this.storages.delete(name);
+        if (removed) {
+            logger.info('ImageResizer: Adaptador de almacenamiento eliminado: %s', name);
         }
-        if (!enableLocalStorage && !enableS3Storage) {
-            logger.warn('ImageResizer: Ni almacenamiento local ni S3 están habilitados. Las imágenes procesadas no se guardarán.');
+        return removed;
+    }
+
+    /**
+     * Obtiene un adaptador de almacenamiento registrado.
+     * @param {string} name - Nombre del adaptador.
+     * @returns {StorageAdapter | undefined}
+     */
+    getStorage(name) {
+        return this.storages.get(name);
+    }
+
+    /**
+     * Elimina una imagen procesada: todas sus variantes de todos los adaptadores registrados y su entrada de caché.
+     * Con un resultado de `processImage` se eliminan exactamente los archivos de `metadata` y la entrada `cacheKey`.
+     * Con un id (`result.id`, ej. 'foto-1718000000000-ab12cd34') se eliminan los archivos que el generador de nombres
+     * por defecto produce para ese id en cualquier formato y tamaño configurado; con un `filenameGenerator` propio
+     * hay que pasar el resultado. La entrada de caché solo se elimina si se indica `options.cacheKey`.
+     * Un archivo que no puede eliminarse no detiene al resto: se informa en el resultado.
+     * @param {object | string} target - El resultado de `processImage` o el id de la imagen.
+     * @param {object} [options={}]
+     * @param {string} [options.cacheKey] - Clave de caché a eliminar (por defecto, `result.cacheKey`).
+     * @returns {Promise<{id: string | null, deleted: number, failed: number, files: Array<object>, cache: object}>}
+     * `files` registra `{ storage, key, sizeKey, status, error? }` por archivo y adaptador, con `status` 'deleted',
+     * 'not_found' o 'failed' (con un id se omiten los nombres candidatos que no existían). `cache` es `{ key, status }`,
+     * con `status` 'deleted', 'not_found', 'skipped' (sin clave o sin caché) o 'failed'.
+     * @throws {ConfigurationError} Si `target` no es un resultado de `processImage` ni un id válido.
+     */
+    async deleteImage(target, options = {}) {
+        const { id, variants, exact, cacheKey } = this._resolveDeleteTarget(target, options);
+        logger.info('ImageResizer: Eliminando la imagen %s (%d archivos candidatos en %d adaptadores).', id || '(resultado)', variants.length, this.storages.size);
+        const { transfer } = this.config.storage;
+
+        const outcomes = await Promise.all([...this.storages].map(([name, adapter]) =>
+            mapWithConcurrency(variants, transfer.concurrency, async ({ key, sizeKey }) => {
+                try {
+                    const existed = await deleteWithRetry(adapter, name, key, transfer);
+                    return { storage: name, key, sizeKey, status: existed ? 'deleted' : 'not_found' };
+                } catch (error) {
+                    logger.error('ImageResizer: No se pudo eliminar %s de \'%s\': %s', key, name, error.message, { originalError: error });
+                    return { storage: name, key, sizeKey, status: 'failed', error: { message: error.message, code: error.code } };
+                }
+            })
+        ));
+        const files = outcomes.flat().filter(file => exact || file.status !== 'not_found');
+
+        const cache = { key: cacheKey || null, status: 'skipped' };
+        if (cacheKey && this.cacheManager) {
+            try {
+                cache.status = (await this.cacheManager.deleteEntry(cacheKey)) ? 'deleted' : 'not_found';
+            } catch (error) {
+                cache.status = 'failed';
+                cache.error = { message: error.message, code: error.code };
+            }
         }
 
-        // --- Configuración de tamaños de imagen ---
-        // Permite al usuario definir tamaños personalizados o usa los por defecto.
-        this.sizes = config.customSizes || DEFAULT_SIZES;
+        const report = {
+            id,
+            deleted: files.filter(file => file.status === 'deleted').length,
+            failed: files.filter(file => file.status === 'failed').length,
+            files,
+            cache
+        };
+        logger.info('ImageResizer: Imagen %s eliminada: %d archivos eliminados, %d fallidos, caché: %s.', id || '(resultado)', report.deleted, report.failed, cache.status);
+        return report;
+    }
 
-        // Validar la estructura de los tamaños de imagen
-        for (const sizeKey in this.sizes) {
-            const sizeConfig = this.sizes[sizeKey];
-            if (typeof sizeConfig.width !== 'number' || sizeConfig.width <= 0) {
-                const msg = `La configuración para el tamaño '${sizeKey}' es inválida: 'width' debe ser un número positivo.`;
+    /**
+     * Obtiene los archivos a eliminar por `deleteImage` a partir de un resultado o de un id.
+     * @returns {{id: string | null, variants: Array<{key: string, sizeKey: string}>, exact: boolean, cacheKey: string | undefined}}
+     * `exact` indica si los nombres son los guardados (resultado) o candidatos derivados del id.
+     * @throws {ConfigurationError} Si el objetivo es inválido.
+     * @private
+     */
+    _resolveDeleteTarget(target, options) {
+        if (typeof target === 'string' && target.trim() !== '') {
+            if (!isSafeImageId(target)) {
+                const msg = `El id de imagen '${target}' es inválido: no puede ser una ruta absoluta ni contener segmentos '.' o '..'.`;
                 logger.error('ConfigurationError: %s', msg);
-                throw new ConfigurationError(msg, null, 'ERR_INVALID_SIZE_CONFIG');
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_IMAGE_ID');
             }
-            if (typeof sizeConfig.defaultQuality !== 'number' || sizeConfig.defaultQuality < 0 || sizeConfig.defaultQuality > 100) {
-                const msg = `La configuración para el tamaño '${sizeKey}' es inválida: 'defaultQuality' debe ser un número entre 0 y 100.`;
+            // El id es '<nombre base>-<uniqueImageId>' y uniqueImageId tiene la forma '<timestamp>-<aleatorio>'
+            const match = target.match(/^(.+)-(\d+-[a-z0-9]+)$/);
+            if (!match) {
+                const msg = `El id de imagen '${target}' no tiene el formato '<nombre>-<timestamp>-<aleatorio>' del generador de nombres por defecto.`;
                 logger.error('ConfigurationError: %s', msg);
-                throw new ConfigurationError(msg, null, 'ERR_INVALID_QUALITY_CONFIG');
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_IMAGE_ID');
             }
+            const [, baseName, uniqueImageId] = match;
+            const variants = [];
+            for (const sizeKey of ['original', ...Object.keys(this.sizes)]) {
+                for (const outputFormat of Object.keys(SUPPORTED_OUTPUT_FORMATS)) {
+                    const key = this.defaultFilenameGenerator({
+                        baseName,
+                        extension: getFileExtensionForFormat(outputFormat),
+                        sizeKey,
+                        outputFormat,
+                        isOriginal: sizeKey === 'original',
+                        uniqueImageId
+                    });
+                    variants.push({ key, sizeKey });
+                }
+            }
+            return { id: target, variants, exact: false, cacheKey: options.cacheKey };
         }
 
-        // --- Inicialización de módulos de almacenamiento y caché ---
-        // Ahora, almacenamos la ruta directamente en el objeto localStorage para que sea accesible
-        this.localStorage = enableLocalStorage ? { saveImage: saveImageLocally, path: localStoragePath } : null;
-        this.s3Storage = enableS3Storage ? { init: initS3, uploadImage: uploadImageToS3, config: awsConfig } : null; // Almacena la config de AWS
-        this.cacheManager = enableCache ? new CacheManager(cachePath, enableCache) : null; // Pasa enableCache al constructor
-
-        // Inicializa S3 si está habilitado
-        if (this.s3Storage) {
-            this.s3Storage.init(this.s3Storage.config.accessKeyId, this.s3Storage.config.secretAccessKey, this.s3Storage.config.region);
-        }
-        // Inicializa el directorio de caché
-        if (this.cacheManager) {
-            this.cacheManager.init().catch(err => {
-                logger.error('ImageResizer: Error al inicializar el directorio de caché: %s', err.message, { originalError: err });
-                // No lanzar, el caché es una optimización, no debe detener la librería
-            });
+        if (target && typeof target === 'object' && target.metadata && typeof target.metadata === 'object') {
+            const { original, resized = {}, variants: bySize } = target.metadata;
+            const variants = [];
+            const addVariant = (sizeKey, metadata) => {
+                if (metadata && metadata.filename) variants.push({ key: metadata.filename, sizeKey });
+            };
+            if (bySize) {
+                // Todos los formatos de cada tamaño
+                for (const sizeKey in bySize) {
+                    Object.values(bySize[sizeKey]).forEach(metadata => addVariant(sizeKey, metadata));
+                }
+            } else {
+                // Resultados sin `variants`: un formato por tamaño
+                addVariant('original', original);
+                for (const sizeKey in resized) addVariant(sizeKey, resized[sizeKey]);
+            }
+            return { id: target.id || null, variants, exact: true, cacheKey: options.cacheKey || target.cacheKey };
         }
 
-        logger.info('ImageResizer: Módulos de almacenamiento y caché inicializados.');
+        const msg = 'El parámetro de `deleteImage` debe ser un resultado de `processImage` o un id de imagen.';
+        logger.error('ConfigurationError: %s', msg);
+        throw new ConfigurationError(msg, null, 'ERR_INVALID_DELETE_TARGET');
+    }
+
+    /**
+     * Crea un servidor HTTP que sirve las imágenes almacenadas y genera variantes bajo demanda
+     * a partir de la URL (ej. `/img/foto.original.jpg?w=640&fmt=webp&q=80`).
+     * Solo se permiten los anchos de `this.sizes` y los formatos de `SUPPORTED_OUTPUT_FORMATS`.
+     * @param {object} [options={}] - Opciones del servidor (`storage`, `basePath`, `cacheControl`, `formats`).
+     * @returns {import('http').Server} El servidor, sin escuchar todavía (llamar a `listen`).
+     * @throws {ConfigurationError} Si no hay un adaptador de almacenamiento legible.
+     */
+    createServer(options = {}) {
+        return createImageServer(this, options);
+    }
+
+    /**
+     * Genera un elemento `<picture>` (un `<source>` por formato y un `<img>` de respaldo) a partir de
+     * un resultado de `processImage`. Ver `buildPicture` en `src/responsive.js` para las opciones.
+     * Si las URLs salen del almacenamiento local, se usa `storage.local.baseUrl` como URL pública base.
+     * @param {object} result - Resultado de `processImage`.
+     * @param {object} [options={}] - `{ alt, sizes, storage, baseUrl, includeOriginal, loading, decoding, className }`.
+     * @returns {string} El HTML del elemento.
+     * @throws {ConfigurationError} Si no se pueden generar URLs públicas.
+     */
+    buildPicture(result, options = {}) {
+        return buildPicture(result, this._withPublicBaseUrl(result, options));
+    }
+
+    /**
+     * Genera el `srcset` de un resultado de `processImage` para un formato.
+     * @param {object} result - Resultado de `processImage`.
+     * @param {object} [options={}] - `{ format, storage, baseUrl, includeOriginal }`.
+     * @returns {string}
+     */
+    buildSrcset(result, options = {}) {
+        return buildSrcset(result, this._withPublicBaseUrl(result, options));
+    }
+
+    /**
+     * Genera un manifiesto JSON con las variantes, `srcset` por formato y dimensiones de un resultado.
+     * @param {object} result - Resultado de `processImage`.
+     * @param {object} [options={}] - `{ sizes, storage, baseUrl, includeOriginal }`.
+     * @returns {object}
+     */
+    buildManifest(result, options = {}) {
+        return buildManifest(result, this._withPublicBaseUrl(result, options));
+    }
+
+    /**
+     * Completa `baseUrl` con `storage.local.baseUrl` cuando las URLs se tomarían del almacenamiento local.
+     * @private
+     */
+    _withPublicBaseUrl(result, options) {
+        const localBaseUrl = this.config.storage.local.baseUrl;
+        if (options.baseUrl || !localBaseUrl) return options;
+        const storageNames = Object.keys(result.storage || {});
+        const storageName = options.storage || (storageNames.includes('s3') ? 's3' : storageNames[0]);
+        return storageName === 'local' ? { ...options, baseUrl: localBaseUrl } : options;
     }
 
     /**
      * Generador de nombres de archivo por defecto.
      * Crea un nombre único combinando el nombre base original, un ID aleatorio y el tamaño/original.
+     * La extensión es el formato de salida, por lo que cada formato de un mismo tamaño tiene su propio nombre
+     * (ej. 'foto-<id>.small.avif' y 'foto-<id>.small.jpeg').
      * @param {object} params - Parámetros para la generación del nombre.
      * @param {string} params.baseName - El nombre base del archivo original (sin extensión).
      * @param {string} params.extension - La extensión de archivo final (ej. 'jpg', 'webp').
@@ -153,18 +369,62 @@ class ImageResizer {
      * @param {string} originalFilename - El nombre original del archivo (ej. "mi-imagen.jpg").
      * @param {object} [options={}] - Opciones adicionales para el procesamiento.
      * @param {string} [options.outputFormat] - El formato de salida deseado (ej. 'jpeg', 'png', 'webp').
+     * @param {string[]} [options.outputFormats] - Varios formatos de salida (ej. `['avif', 'webp', 'jpeg']`): cada variante se
+     * genera en todos, en una sola pasada. El primero es el principal. Tiene prioridad sobre `outputFormat` y `optimizeOutputFormat`.
      * @param {number} [options.quality] - La calidad de la imagen de salida (0-100).
      * @param {boolean} [options.optimizeOutputFormat=false] - Si es true, la librería intentará elegir el mejor formato.
      * @param {string[]} [options.processSizes] - Un array de strings con las claves de los tamaños a procesar.
      * @param {function(object): string} [options.filenameGenerator] - Función para generar nombres personalizados.
-     * @param {object} [options.transformations] - Objeto con opciones de transformación adicionales para `sharp`.
-     * @returns {Promise<object>} Un objeto con los resultados de cada tipo de almacenamiento (local y/o S3),
-     * incluyendo metadatos de las imágenes.
+     * @param {Array<object>} [options.transformations] - Pasos de transformación aplicados en orden antes de redimensionar
+     * (ej. `[{ op: 'rotate', angle: 90 }, { op: 'grayscale' }]`). Solo se admiten las operaciones de la lista permitida
+     * (ver `src/transformations.js`), con sus argumentos validados; un paso inválido lanza `ERR_INVALID_TRANSFORMATION` indicando su posición.
+     * @param {{x: number, y: number}} [options.focalPoint] - Punto a conservar en los tamaños que recortan, en coordenadas
+     * relativas (0-1) de la imagen transformada. Acepta el `metadata.focalPoint` de un resultado anterior.
+     * @param {string} [options.smartCrop] - Sin `focalPoint`, detecta el punto con 'attention' (zonas salientes) o 'entropy' (más detalle).
+     * @param {boolean} [options.autoOrient=true] - Aplica la orientación EXIF (fotos de móvil) antes de cualquier transformación.
+     * @param {string} [options.metadataPolicy='strip'] - Metadatos que conservan las salidas: 'strip' (ninguno: EXIF, GPS, XMP, ICC...),
+     * 'icc' (solo el perfil de color) o 'preserve' (todos). Con 'icc' y 'preserve' el perfil incrustado es sRGB, el de las salidas.
+     * @param {boolean} [options.extractExif=false] - Incluye en `metadata.original.exif` la cámara, la fecha de captura, la exposición
+     * y la posición GPS de la entrada (o null si no tiene EXIF), sea cual sea `metadataPolicy`.
+     * @param {boolean} [options.wideGamut=false] - Las salidas se convierten a sRGB de 8 bits (también las entradas CMYK y de 16 bits);
+     * con `true`, las AVIF y WebP de una entrada de gama amplia (Display P3, Adobe RGB...) conservan su perfil y sus colores.
+     * El espacio de color, los bits y el perfil de la entrada se informan en `metadata.original.color`.
+     * @param {boolean} [options.animated=true] - Conserva la animación de los GIF/WebP animados (todos los fotogramas, retardos y
+     * repeticiones) en los formatos de salida animados (webp, gif). Con `false` se genera una imagen fija.
+     * @param {number} [options.posterFrame=0] - Fotograma usado como imagen fija (con `animated: false` o en formatos sin animación, como AVIF o JPEG).
+     * @param {object | false} [options.watermark] - Marca de agua que se superpone a cada variante después de redimensionarla:
+     * `{ image }` (Buffer o ruta) o `{ text, font, color }`, con `position` (gravedad, por defecto 'southeast'), `margin` y `width`
+     * relativos al ancho de la salida (0.02 y 0.2), `opacity` (0.5), `tile` (mosaico) y `sizes` (variantes a las que se aplica,
+     * incluida 'original'; por defecto, todas). `false` desactiva la marca de agua por defecto de la instancia.
+     * @param {boolean | object} [options.placeholders] - Placeholders de baja calidad, en `metadata.placeholders` (y en el caché):
+     * `true` (todos) o `{ blurhash, thumbhash, lqip }`, cada uno `true` o sus opciones: `blurhash: { componentsX, componentsY }`
+     * (1-9, por defecto 4x3) y `lqip: { width, height, format, quality }` (miniatura en data URI; por defecto 16 px de ancho en WebP).
+     * @param {boolean | object} [options.analysis] - Análisis de color, en `metadata.analysis` (y en el caché): color dominante,
+     * paleta de `paletteSize` colores (1-16, por defecto 5) con sus pesos, brillo medio y si la imagen es mayormente transparente.
+     * @param {number} [options.maxInputBytes] - Tamaño máximo de la imagen de entrada en bytes. Un stream se aborta al superarlo.
+     * @param {boolean} [options.streamOutput=false] - Si es true, cada variante se genera y se envía al almacenamiento
+     * como stream, sin mantener todos los buffers en memoria. En este modo el resultado no se guarda en caché.
+     * @param {object} [options.storageOptions] - Opciones de almacenamiento de esta llamada, por nombre de adaptador
+     * (ej. `{ s3: { cacheControl: 'no-cache', tagging: { tenant: 'acme' } } }`). Se combinan con las del adaptador.
+     * @param {string} [options.transaction] - Modo de transacción del almacenamiento para esta llamada (por defecto, `storage.transaction`):
+     * 'none', 'adapter' (si falla una variante se eliminan las ya guardadas en ese adaptador) o 'all' (si falla cualquier adaptador se revierten todos).
+     * @param {number} [options.cacheTtl] - Tiempo de vida en milisegundos de la entrada de caché de esta imagen (por defecto, `cache.ttl`).
+     * @returns {Promise<object>} Un objeto con los metadatos de las imágenes y, en `storage`,
+     * los resultados de cada adaptador de almacenamiento indexados por su nombre. `metadata.original`/`metadata.resized`
+     * (y `original`/`resized` de cada adaptador) describen el formato principal; `variants` tiene todos los formatos
+     * por tamaño y formato (`{ small: { avif: {...}, jpeg: {...} } }`). `metadata.focalPoint` es el punto focal usado
+     * (`{ x, y, source }`, con `source` 'manual', 'attention' o 'entropy'), o null; `metadata.placeholders`, los
+     * placeholders generados (`{ blurhash, thumbhash, lqip }`), o null; `metadata.analysis`, el análisis de color
+     * (`{ dominant, palette, brightness, transparency, mostlyTransparent }`), o null. Las variantes animadas incluyen
+     * `frames`, `duration` (ms) y `loop` en sus metadatos. `storageReport` indica, por adaptador,
+     * el estado, los intentos y la duración del guardado de cada variante.
      * @throws {ConfigurationError} Si hay un problema con la configuración o las opciones de entrada.
      * @throws {ImageProcessingError} Si hay un problema durante el procesamiento de la imagen.
      * @throws {StorageError} Si hay un problema durante el almacenamiento de la imagen.
      */
     async processImage(imageSource, originalFilename, options = {}) {
+        // Las opciones de la llamada tienen prioridad sobre las opciones por defecto de la instancia
+        options = { ...this.defaults, ...options };
         logger.info('ImageResizer: Iniciando procesamiento para %s con opciones: %o', originalFilename, options);
 
         // Validaciones de entrada (aquí se mantienen las validaciones generales)
@@ -178,14 +438,85 @@ class ImageResizer {
             logger.error('ImageProcessingError: %s', msg);
             throw new ImageProcessingError(msg, null, 'ERR_INVALID_FILENAME');
         }
+        if (options.outputFormats !== undefined) {
+            const invalidFormats = Array.isArray(options.outputFormats)
+                ? options.outputFormats.filter(format => typeof format !== 'string' || !SUPPORTED_OUTPUT_FORMATS[format.toLowerCase()])
+                : [];
+            if (!Array.isArray(options.outputFormats) || options.outputFormats.length === 0 || invalidFormats.length > 0) {
+                const msg = `El parámetro \`outputFormats\` debe ser un array no vacío de formatos soportados (${Object.keys(SUPPORTED_OUTPUT_FORMATS).join(', ')})${invalidFormats.length > 0 ? `. Formatos inválidos: ${invalidFormats.join(', ')}` : ''}.`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_OUTPUT_FORMATS');
+            }
+        }
+        if (options.focalPoint !== undefined && options.focalPoint !== null && !isValidFocalPoint(options.focalPoint)) {
+            const msg = 'El parámetro `focalPoint` debe ser un objeto `{ x, y }` con coordenadas relativas entre 0 y 1.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_FOCAL_POINT');
+        }
+        if (options.smartCrop !== undefined && options.smartCrop !== false && !SMART_CROP_STRATEGIES.includes(options.smartCrop)) {
+            const msg = `El parámetro \`smartCrop\` es inválido: '${options.smartCrop}'. Las estrategias válidas son: ${SMART_CROP_STRATEGIES.join(', ')}.`;
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_SMART_CROP');
+        }
+        if (options.metadataPolicy !== undefined && !METADATA_POLICIES.includes(options.metadataPolicy)) {
+            const msg = `El parámetro \`metadataPolicy\` es inválido: '${options.metadataPolicy}'. Las políticas válidas son: ${METADATA_POLICIES.join(', ')}.`;
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_METADATA_POLICY');
+        }
+        for (const flag of ['autoOrient', 'extractExif', 'wideGamut']) {
+            if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+                const msg = `El parámetro \`${flag}\` debe ser un booleano.`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_METADATA_OPTIONS');
+            }
+        }
+        if (options.animated !== undefined && typeof options.animated !== 'boolean') {
+            const msg = 'El parámetro `animated` debe ser un booleano.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_ANIMATED');
+        }
+        if (options.posterFrame !== undefined && (!Number.isInteger(options.posterFrame) || options.posterFrame < 0)) {
+            const msg = 'El parámetro `posterFrame` debe ser un número entero mayor o igual que 0.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_POSTER_FRAME');
+        }
+        if (options.watermark !== undefined && options.watermark !== false) {
+            const watermarkError = getWatermarkError(options.watermark, Object.keys(this.sizes));
+            if (watermarkError) {
+                const msg = `El parámetro \`watermark\` es inválido: ${watermarkError}`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_WATERMARK');
+            }
+        }
+        if (options.placeholders !== undefined && options.placeholders !== false) {
+            const placeholdersError = getPlaceholdersError(options.placeholders);
+            if (placeholdersError) {
+                const msg = `El parámetro \`placeholders\` es inválido: ${placeholdersError}`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_PLACEHOLDERS');
+            }
+        }
+        if (options.analysis !== undefined && options.analysis !== false) {
+            const analysisError = getAnalysisError(options.analysis);
+            if (analysisError) {
+                const msg = `El parámetro \`analysis\` es inválido: ${analysisError}`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_ANALYSIS');
+            }
+        }
         if (options.quality !== undefined && (typeof options.quality !== 'number' || options.quality < 0 || options.quality > 100)) {
             const msg = 'La calidad debe ser un número entre 0 y 100.';
             logger.error('ConfigurationError: %s', msg);
             throw new ConfigurationError(msg, null, 'ERR_INVALID_QUALITY');
         }
         if (options.processSizes !== undefined) {
-            if (!Array.isArray(options.processSizes) || !options.processSizes.every(size => typeof size === 'string' && this.sizes[size])) {
-                const invalidSizes = options.processSizes.filter(size => !this.sizes[size]);
+            if (!Array.isArray(options.processSizes)) {
+                const msg = `El parámetro 'processSizes' debe ser un array de claves de tamaño. Las claves válidas son: ${Object.keys(this.sizes).join(', ')}.`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_INVALID_PROCESS_SIZES');
+            }
+            const invalidSizes = options.processSizes.filter(size => typeof size !== 'string' || !Object.prototype.hasOwnProperty.call(this.sizes, size));
+            if (invalidSizes.length > 0) {
                 const msg = `El parámetro 'processSizes' contiene claves de tamaño inválidas: ${invalidSizes.join(', ')}. Las claves válidas son: ${Object.keys(this.sizes).join(', ')}.`;
                 logger.error('ConfigurationError: %s', msg);
                 throw new ConfigurationError(msg, null, 'ERR_INVALID_PROCESS_SIZES');
@@ -196,10 +527,35 @@ class ImageResizer {
             logger.error('ConfigurationError: %s', msg);
             throw new ConfigurationError(msg, null, 'ERR_INVALID_FILENAME_GENERATOR');
         }
-        if (options.transformations !== undefined && (typeof options.transformations !== 'object' || options.transformations === null || Array.isArray(options.transformations))) {
-            const msg = 'El parámetro `transformations` debe ser un objeto válido.';
+        if (options.transformations !== undefined) {
+            // Lanza ConfigurationError indicando el paso inválido
+            normalizeTransformations(options.transformations);
+        }
+
+        if (options.maxInputBytes !== undefined && (!Number.isInteger(options.maxInputBytes) || options.maxInputBytes <= 0)) {
+            const msg = 'El parámetro `maxInputBytes` debe ser un número entero positivo.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_MAX_INPUT_BYTES');
+        }
+        if (options.streamOutput !== undefined && typeof options.streamOutput !== 'boolean') {
+            const msg = 'El parámetro `streamOutput` debe ser un booleano.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_STREAM_OUTPUT');
+        }
+        if (options.storageOptions !== undefined && (typeof options.storageOptions !== 'object' || options.storageOptions === null || Array.isArray(options.storageOptions))) {
+            const msg = 'El parámetro `storageOptions` debe ser un objeto indexado por nombre de adaptador.';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_STORAGE_OPTIONS');
+        }
+        if (options.transaction !== undefined && !STORAGE_TRANSACTION_MODES.includes(options.transaction)) {
+            const msg = `El parámetro \`transaction\` es inválido: '${options.transaction}'. Los modos válidos son: ${STORAGE_TRANSACTION_MODES.join(', ')}.`;
             logger.error('ConfigurationError: %s', msg);
-            throw new ConfigurationError(msg, null, 'ERR_INVALID_TRANSFORMATIONS_OBJECT');
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_STORAGE_TRANSACTION');
+        }
+        if (options.cacheTtl !== undefined && (!Number.isInteger(options.cacheTtl) || options.cacheTtl <= 0)) {
+            const msg = 'El parámetro `cacheTtl` debe ser un número entero positivo (milisegundos).';
+            logger.error('ConfigurationError: %s', msg);
+            throw new ConfigurationError(msg, null, 'ERR_INVALID_CACHE_TTL');
         }
 
         // Generar un ID único para esta sesión de procesamiento de imagen
@@ -209,109 +565,73 @@ class ImageResizer {
         // Usar el generador de nombre de archivo proporcionado o el por defecto
         const filenameGenerator = options.filenameGenerator || this.defaultFilenameGenerator;
 
-        // --- Lógica de Caché (comprobación) ---
-        let allImagesToSave; // Este array contendrá los buffers y metadatos de todas las imágenes procesadas
         let finalResults = { // Objeto para el resultado final a retornar
+            // Identificador de la imagen (prefijo común de sus archivos con el generador por defecto), para `deleteImage`
+            id: `${path.parse(originalFilename).name}-${uniqueImageId}`,
+            // Entrada de caché de la imagen (null si no se cachea), para `deleteImage`
+            cacheKey: null,
             metadata: {
                 original: null,
-                resized: {}
+                resized: {},
+                variants: {},
+                // Punto focal usado para recortar, reutilizable como `focalPoint` al reprocesar
+                focalPoint: null,
+                // BlurHash, ThumbHash y LQIP de la imagen (con `placeholders`)
+                placeholders: null,
+                // Color dominante, paleta, brillo y transparencia (con `analysis`)
+                analysis: null
             },
-            local: {},
-            s3: {}
+            storage: {},
+            storageReport: {}
         };
 
-        if (this.cacheManager) {
-            // generateCacheKey es una función independiente, no un método de instancia
-            // La clave de caché NO debe incluir el uniqueImageId, ya que el ID es para el nombre de archivo,
-            // no para la identificación del contenido del caché.
-            const cacheKey = generateCacheKey(imageSource, options, this.sizes);
-            try {
-                const cachedData = await this.cacheManager.getCachedImages(cacheKey); // Obtener buffers y metadatos cacheados
-                if (cachedData) {
-                    logger.info('ImageResizer: Cache HIT para %s. Retornando resultados cacheados.', originalFilename);
-                    allImagesToSave = cachedData;
-
-                    // Reconstruir finalResults.metadata y asignar nombres de archivo definitivos
-                    const originalFileBaseName = path.parse(originalFilename).name;
-                    for (const img of allImagesToSave) {
-                        const isOriginal = img.sizeKey === 'original';
-                        const baseName = originalFileBaseName;
-                        const extension = getFileExtensionForFormat(img.metadata.format);
-
-                        // Pasar el uniqueImageId generado para esta sesión
-                        const finalFilename = filenameGenerator({
-                            originalFilename: originalFilename,
-                            baseName: baseName,
-                            extension: extension,
-                            sizeKey: img.sizeKey,
-                            outputFormat: img.metadata.format,
-                            isOriginal: isOriginal,
-                            uniqueImageId: uniqueImageId // Pasa el ID único
-                        });
-                        img.filename = finalFilename; // Asignar el nombre generado
-
-                        if (isOriginal) {
-                            finalResults.metadata.original = { ...img.metadata, filename: finalFilename };
-                        } else {
-                            finalResults.metadata.resized[img.sizeKey] = { ...img.metadata, filename: finalFilename };
-                        }
-                    }
-
-                    // Proceder directamente al almacenamiento con las imágenes cacheadas
-                    return this._performStorageOperations(allImagesToSave, finalResults, originalFilename);
-                }
-            } catch (cacheError) {
-                logger.warn('ImageResizer: Error al buscar en caché para %s. Procediendo con el procesamiento normal. Error: %s', originalFilename, cacheError.message, { originalError: cacheError });
-                // No lanzar, el caché es una optimización
-            }
+        // --- Lectura de la entrada (buffer o stream) ---
+        let readInput;
+        try {
+            readInput = await this._readImageSource(imageSource, options);
+        } catch (error) {
+            logger.error('ImageResizer: Error al leer la imagen de entrada %s: %s (Code: %s)', originalFilename, error.message, error.code, { originalError: error.originalError });
+            throw error;
         }
 
-        // --- Procesamiento de imagen (si no hubo cache hit) ---
-        logger.info('ImageResizer: Cache MISS o caché deshabilitado. Procesando imagen %s.', originalFilename);
         try {
-            // `processAndGenerateImages` retorna los buffers y metadatos de las imágenes
-            allImagesToSave = await processAndGenerateImages(
-                imageSource,
-                originalFilename,
-                this.sizes, // Pasa la configuración de tamaños del ImageResizer
-                options // Pasa las opciones de procesamiento (outputFormat, quality, etc.)
-            );
-
-            // Después del procesamiento, generar los nombres de archivo definitivos
-            const originalFileBaseName = path.parse(originalFilename).name;
-            for (const img of allImagesToSave) {
-                const isOriginal = img.sizeKey === 'original';
-                const baseName = originalFileBaseName;
-                const extension = getFileExtensionForFormat(img.metadata.format);
-
-                // Pasar el uniqueImageId generado para esta sesión
-                const finalFilename = filenameGenerator({
-                    originalFilename: originalFilename,
-                    baseName: baseName,
-                    extension: extension,
-                    sizeKey: img.sizeKey,
-                    outputFormat: img.metadata.format,
-                    isOriginal: isOriginal,
-                    uniqueImageId: uniqueImageId // Pasa el ID único
-                });
-                img.filename = finalFilename; // Asignar el nombre generado
+            // La clave de caché NO debe incluir el uniqueImageId, ya que el ID es para el nombre de archivo,
+            // no para la identificación del contenido del caché. También identifica el procesamiento en curso.
+            // Incluye los tamaños de la instancia y el contenido (no la ruta) de la imagen de la marca de agua.
+            const cacheKey = generateCacheKeyFromHash(readInput.hash, {
+                ...options,
+                sizes: this.sizes,
+                watermark: await resolveWatermarkForCacheKey(options.watermark)
+            });
+            if (this.cacheManager && !options.streamOutput) {
+                finalResults.cacheKey = cacheKey;
+            }
 
-                if (isOriginal) {
-                    finalResults.metadata.original = { ...img.metadata, filename: finalFilename };
+            let images;
+            if (options.streamOutput) {
+                // Los streams de salida solo pueden consumirse una vez: no se comparten ni se cachean
+                logger.debug('ImageResizer: Salida por streams activa, sin caché ni procesamiento compartido para %s.', originalFilename);
+                images = await processAndGenerateImages(readInput.input, originalFilename, this.sizes, options);
+            } else {
+                // Single-flight: las llamadas concurrentes con la misma clave comparten un único procesamiento
+                let inFlight = this._inFlight.get(cacheKey);
+                if (inFlight) {
+                    logger.info('ImageResizer: Procesamiento en curso para la misma imagen y opciones, se reutiliza para %s.', originalFilename);
                 } else {
-                    finalResults.metadata.resized[img.sizeKey] = { ...img.metadata, filename: finalFilename };
+                    inFlight = this._loadOrProcess(cacheKey, readInput.input, originalFilename, options)
+                        .finally(() => this._inFlight.delete(cacheKey));
+                    this._inFlight.set(cacheKey, inFlight);
                 }
+                // Cada llamada asigna sus propios nombres de archivo, por lo que trabaja sobre una copia
+                images = (await inFlight).map(img => ({ ...img, metadata: { ...img.metadata } }));
             }
 
-            // Guardar los resultados del procesamiento en caché para futuras solicitudes
-            if (this.cacheManager) {
-                const cacheKey = generateCacheKey(imageSource, options, this.sizes);
-                await this.cacheManager.setCachedImages(cacheKey, allImagesToSave); // Guarda los buffers y metadatos
-                logger.info('ImageResizer: Imágenes procesadas y guardadas en caché para %s.', originalFilename);
-            }
+            // Después del procesamiento, generar los nombres de archivo definitivos
+            this._assignFilenames(images, originalFilename, filenameGenerator, uniqueImageId);
 
             // --- Realizar operaciones de almacenamiento ---
-            return this._performStorageOperations(allImagesToSave, finalResults, originalFilename);
+            await this._performStorageOperations(images, finalResults, originalFilename, options.storageOptions, options.transaction || this.config.storage.transaction);
+            return this._collectMetadata(images, finalResults, options.focalPoint);
 
         } catch (error) {
             // Relanzar errores que ya son de nuestras clases personalizadas
@@ -323,49 +643,266 @@ class ImageResizer {
             const msg = `Error inesperado al procesar la imagen '${originalFilename}': ${error.message}`;
             logger.error('ImageResizer: %s', msg, { originalError: error, stack: error.stack });
             throw new ImageProcessingError(msg, error, 'ERR_UNEXPECTED_PROCESSING_ERROR');
+        } finally {
+            // Eliminar el archivo temporal de un stream de entrada, si lo hubo
+            if (readInput.cleanup) {
+                await readInput.cleanup().catch(err => {
+                    logger.warn('ImageResizer: No se pudo eliminar el archivo temporal de %s: %s', originalFilename, err.message);
+                });
+            }
         }
     }
 
     /**
-     * Método auxiliar para realizar las operaciones de almacenamiento (local y S3).
-     * @param {Array<object>} imagesToSave - Array de objetos de imagen con buffers y nombres de archivo definitivos.
-     * @param {object} finalResults - Objeto de resultados que se está construyendo.
-     * @param {string} originalFilename - Nombre del archivo original para logging.
-     * @returns {Promise<object>} El objeto finalResults actualizado con las URLs/rutas de almacenamiento.
+     * Prepara la entrada de `processImage` para Sharp.
+     * Un Buffer se usa directamente. Un Readable se consume una sola vez: se vuelca a un archivo temporal
+     * (del que Sharp decodifica) mientras se calcula su hash, respetando `options.maxInputBytes`.
+     * @param {Buffer | Readable} imageSource - El buffer de la imagen o un ReadableStream.
+     * @param {object} options - Opciones de procesamiento.
+     * @returns {Promise<{input: Buffer | string, hash: string, cleanup: function(): Promise<void> | null}>}
+     * La entrada para Sharp, el hash SHA-256 (base de la clave de caché y del procesamiento compartido)
+     * y la función que elimina el archivo temporal.
+     * @throws {ImageProcessingError} Si la entrada supera el tamaño máximo o el stream falla.
+     * @private
+     */
+    async _readImageSource(imageSource, options) {
+        const { maxInputBytes } = options;
+        if (imageSource instanceof Readable) {
+            const spooled = await spoolStreamToTempFile(imageSource, { maxBytes: maxInputBytes });
+            logger.debug('ImageResizer: Stream de entrada leído (%d bytes) en %s.', spooled.bytes, spooled.filePath);
+            return { input: spooled.filePath, hash: spooled.hash, cleanup: spooled.cleanup };
+        }
+        if (maxInputBytes !== undefined && imageSource.length > maxInputBytes) {
+            throw new ImageProcessingError(`La imagen de entrada supera el tamaño máximo permitido de ${maxInputBytes} bytes.`, null, 'ERR_INPUT_TOO_LARGE');
+        }
+        return {
+            input: imageSource,
+            hash: hashImage(imageSource),
+            cleanup: null
+        };
+    }
+
+    /**
+     * Obtiene las imágenes de una clave desde el caché o, si no están, las procesa y las guarda en él.
+     * Es la unidad de trabajo que comparten las llamadas concurrentes a `processImage` con la misma clave.
+     * @param {string} cacheKey - Clave de caché de la imagen y opciones.
+     * @param {Buffer | string} input - Buffer de la imagen o ruta del archivo temporal.
+     * @param {string} originalFilename - El nombre original del archivo.
+     * @param {object} options - Opciones de procesamiento.
+     * @returns {Promise<Array<object>>} Imágenes con buffers y metadatos, sin nombres de archivo.
      * @private
      */
-    async _performStorageOperations(imagesToSave, finalResults, originalFilename) {
-        // --- Guardar en Local Storage ---
-        if (this.localStorage) {
-            logger.info('ImageResizer: Iniciando almacenamiento local para %s.', originalFilename);
+    async _loadOrProcess(cacheKey, input, originalFilename, options) {
+        // --- Lógica de Caché (comprobación) ---
+        if (this.cacheManager) {
+            let cachedData = null;
             try {
-                // Pasa el array completo de imágenes y la ruta base de almacenamiento local
-                const localResults = await this.localStorage.saveImage(imagesToSave, this.localStorage.path);
-                finalResults.local = localResults;
-                logger.info('ImageResizer: Almacenamiento local completado para %s.', originalFilename);
-            } catch (error) {
-                logger.error('ImageResizer: Fallo al guardar en almacenamiento local para %s: %s', originalFilename, error.message, { originalError: error });
-                // No lanzar, permite que otros almacenamientos continúen o solo reporte el error
-                // finalResults.local podría quedar incompleto o con error si se desea reflejarlo
+                cachedData = await this.cacheManager.getCachedImages(cacheKey); // Obtener buffers y metadatos cacheados
+            } catch (cacheError) {
+                logger.warn('ImageResizer: Error al buscar en caché para %s. Procediendo con el procesamiento normal. Error: %s', originalFilename, cacheError.message, { originalError: cacheError });
+                // No lanzar, el caché es una optimización
+            }
+            if (cachedData) {
+                logger.info('ImageResizer: Cache HIT para %s. Retornando resultados cacheados.', originalFilename);
+                return cachedData;
             }
         }
 
-        // --- Guardar en S3 ---
-        if (this.s3Storage) {
-            logger.info('ImageResizer: Iniciando subida a S3 para %s.', originalFilename);
-            try {
-                // Pasa el array completo de imágenes y el nombre del bucket S3
-                const s3Results = await this.s3Storage.uploadImage(imagesToSave, this.s3Storage.config.bucketName);
-                finalResults.s3 = s3Results;
-                logger.info('ImageResizer: Subida a S3 completada para %s.', originalFilename);
-            } catch (error) {
-                logger.error('ImageResizer: Fallo al subir a S3 para %s: %s', originalFilename, error.message, { originalError: error });
-                // No lanzar, permite que otros almacenamientos continúen o solo reporte el error
-                // finalResults.s3 podría quedar incompleto o con error si se desea reflejarlo
+        // --- Procesamiento de imagen (si no hubo cache hit) ---
+        logger.info('ImageResizer: Cache MISS o caché deshabilitado. Procesando imagen %s.', originalFilename);
+        // `processAndGenerateImages` retorna los buffers y metadatos de las imágenes
+        const allImagesToSave = await processAndGenerateImages(
+            input,
+            originalFilename,
+            this.sizes, // Pasa la configuración de tamaños del ImageResizer
+            options // Pasa las opciones de procesamiento (outputFormat, quality, etc.)
+        );
+
+        // Guardar los resultados del procesamiento en caché para futuras solicitudes
+        if (this.cacheManager) {
+            await this.cacheManager.setCachedImages(cacheKey, allImagesToSave, { ttl: options.cacheTtl }); // Guarda los buffers y metadatos
+            logger.info('ImageResizer: Imágenes procesadas y guardadas en caché para %s.', originalFilename);
+        }
+        return allImagesToSave;
+    }
+
+    /**
+     * Asigna el nombre de archivo definitivo a cada imagen usando el generador de nombres, y su `variantKey`:
+     * el sizeKey para el primer formato (principal) de cada tamaño y '<sizeKey>.<formato>' para los demás.
+     * @param {Array<object>} images - Imágenes procesadas o recuperadas del caché.
+     * @param {string} originalFilename - El nombre original del archivo.
+     * @param {function(object): string} filenameGenerator - Generador de nombres.
+     * @param {string} uniqueImageId - El ID único de esta sesión de procesamiento.
+     * @throws {ConfigurationError} Si el generador produce el mismo nombre para dos variantes.
+     * @private
+     */
+    _assignFilenames(images, originalFilename, filenameGenerator, uniqueImageId) {
+        const originalFileBaseName = path.parse(originalFilename).name;
+        const seenSizes = new Set();
+        const seenFilenames = new Set();
+        for (const img of images) {
+            const isOriginal = img.sizeKey === 'original';
+            img.variantKey = seenSizes.has(img.sizeKey) ? `${img.sizeKey}.${img.metadata.format}` : img.sizeKey;
+            seenSizes.add(img.sizeKey);
+            img.filename = filenameGenerator({
+                originalFilename: originalFilename,
+                baseName: originalFileBaseName,
+                extension: getFileExtensionForFormat(img.metadata.format),
+                sizeKey: img.sizeKey,
+                outputFormat: img.metadata.format,
+                isOriginal: isOriginal,
+                uniqueImageId: uniqueImageId // Pasa el ID único
+            });
+            // Dos variantes con el mismo nombre se sobrescribirían en el almacenamiento
+            if (seenFilenames.has(img.filename)) {
+                const msg = `El generador de nombres produjo el mismo nombre '${img.filename}' para dos variantes. Con varios formatos de salida, el nombre debe incluir el formato (\`outputFormat\` o \`extension\`).`;
+                logger.error('ConfigurationError: %s', msg);
+                throw new ConfigurationError(msg, null, 'ERR_DUPLICATE_FILENAME');
+            }
+            seenFilenames.add(img.filename);
+        }
+    }
+
+    /**
+     * Copia los metadatos de cada imagen (con su nombre de archivo) en `finalResults.metadata`.
+     * Se ejecuta después del almacenamiento porque, con salida por streams, los metadatos
+     * solo están completos una vez que cada variante se ha generado.
+     * El punto focal es el registrado por las variantes recortadas (incluido el detectado con `smartCrop`) o,
+     * si ningún tamaño recorta, el indicado en la llamada. Los placeholders y el análisis de color son los registrados por el original.
+     * @param {Array<object>} images - Imágenes almacenadas.
+     * @param {object} finalResults - Objeto de resultados que se está construyendo.
+     * @param {{x: number, y: number}} [focalPoint] - Punto focal de la llamada.
+     * @returns {object} El objeto finalResults actualizado.
+     * @private
+     */
+    _collectMetadata(images, finalResults, focalPoint) {
+        const cropped = images.find(img => img.metadata.focalPoint);
+        if (cropped) {
+            finalResults.metadata.focalPoint = cropped.metadata.focalPoint;
+        } else if (focalPoint) {
+            finalResults.metadata.focalPoint = { x: focalPoint.x, y: focalPoint.y, source: 'manual' };
+        }
+        const withPlaceholders = images.find(img => img.metadata.placeholders);
+        if (withPlaceholders) {
+            finalResults.metadata.placeholders = withPlaceholders.metadata.placeholders;
+        }
+        const analyzed = images.find(img => img.metadata.analysis);
+        if (analyzed) {
+            finalResults.metadata.analysis = analyzed.metadata.analysis;
+        }
+        for (const img of images) {
+            const metadata = { ...img.metadata, filename: img.filename };
+            finalResults.metadata.variants[img.sizeKey] = finalResults.metadata.variants[img.sizeKey] || {};
+            finalResults.metadata.variants[img.sizeKey][img.metadata.format] = metadata;
+            if (img.variantKey !== img.sizeKey) continue; // Solo el formato principal ocupa `original`/`resized`
+            if (img.sizeKey === 'original') {
+                finalResults.metadata.original = metadata;
+            } else {
+                finalResults.metadata.resized[img.sizeKey] = metadata;
             }
         }
         return finalResults;
     }
+
+    /**
+     * Método auxiliar para realizar las operaciones de almacenamiento en todos los adaptadores registrados.
+     * Los adaptadores trabajan en paralelo y cada uno guarda hasta `storage.transfer.concurrency` variantes a la vez,
+     * con reintentos ante errores transitorios. Si las imágenes llegan como streams, cada variante se reparte
+     * entre los adaptadores a medida que se genera.
+     * Con `transaction` 'adapter', un adaptador que falla elimina las variantes que ya había guardado; con 'all',
+     * además se revierten todos los adaptadores si falla cualquiera de ellos.
+     * Además de `storage`, rellena `storageReport` con, por adaptador, `{ status, attempts, durationMs, files, error?, rollback? }`:
+     * `status` es 'succeeded', 'failed' o 'rolled_back' y `files` registra `{ key, attempts, durationMs, error? }` por `variantKey`.
+     * Un adaptador fallido o revertido no aparece en `storage`.
+     * Si falla la generación de una variante por stream, con `transaction` 'adapter' o 'all' se revierte lo que ya
+     * se había guardado en cada adaptador y se relanza el error.
+     * @param {Array<object>} imagesToSave - Array de objetos de imagen con buffers (o streams) y nombres de archivo definitivos.
+     * @param {object} finalResults - Objeto de resultados que se está construyendo.
+     * @param {string} originalFilename - Nombre del archivo original (para logging y para el contexto de cada variante).
+     * @param {object} [storageOptions] - Opciones de almacenamiento de la llamada, por nombre de adaptador.
+     * @param {string} [transaction='none'] - Modo de transacción: 'none', 'adapter' o 'all'.
+     * @returns {Promise<object>} El objeto finalResults actualizado con las URLs/rutas de cada adaptador en `storage`.
+     * @throws {ImageProcessingError} Si falla la generación de una variante por stream.
+     * @private
+     */
+    async _performStorageOperations(imagesToSave, finalResults, originalFilename, storageOptions, transaction = 'none') {
+        const { transfer } = this.config.storage;
+        const saveOptions = { originalFilename, storageOptions, transfer };
+        const startedAt = Date.now();
+        let outcomes;
+        if (imagesToSave.some(img => img.stream)) {
+            logger.info('ImageResizer: Iniciando almacenamiento por streams en %d adaptadores para %s.', this.storages.size, originalFilename);
+            const { results, errors, files, sourceError } = await saveStreamedImages(this.storages, imagesToSave, saveOptions);
+            if (sourceError) {
+                if (transaction !== 'none') {
+                    await Promise.all([...this.storages].map(([name, adapter]) => {
+                        logger.warn('ImageResizer: Revirtiendo el almacenamiento \'%s\' para %s (transacción \'%s\').', name, originalFilename, transaction);
+                        return rollbackSavedImages(adapter, name, files[name], transfer);
+                    }));
+                }
+                throw sourceError;
+            }
+            const durationMs = Date.now() - startedAt;
+            outcomes = [...this.storages.keys()].map(name => ({ name, results: results[name], files: files[name], error: errors[name] || null, durationMs }));
+        } else {
+            outcomes = await Promise.all([...this.storages].map(async ([name, adapter]) => {
+                logger.info('ImageResizer: Iniciando almacenamiento \'%s\' para %s.', name, originalFilename);
+                const outcome = await saveImagesWithAdapter(adapter, name, imagesToSave, saveOptions);
+                return { name, ...outcome, durationMs: Date.now() - startedAt };
+            }));
+        }
+
+        // En modo 'all' basta un adaptador fallido para revertir también los que terminaron bien
+        const transactionFailed = transaction === 'all' && outcomes.some(outcome => outcome.error);
+        const reports = await Promise.all(outcomes.map(async ({ name, files, error, durationMs }) => {
+            const report = this._buildStorageReport(files, error, durationMs);
+            if ((error && transaction !== 'none') || transactionFailed) {
+                logger.warn('ImageResizer: Revirtiendo el almacenamiento \'%s\' para %s (transacción \'%s\').', name, originalFilename, transaction);
+                report.rollback = await rollbackSavedImages(this.storages.get(name), name, files, transfer);
+                report.status = report.rollback.complete ? 'rolled_back' : 'failed';
+            }
+            return report;
+        }));
+
+        // Los resultados se asignan en orden de registro, aunque los adaptadores terminen en otro orden
+        outcomes.forEach(({ name, results, error, durationMs }, i) => {
+            const report = reports[i];
+            finalResults.storageReport[name] = report;
+            if (error) {
+                logger.error('ImageResizer: Fallo en el almacenamiento \'%s\' para %s: %s', name, originalFilename, error.message, { originalError: error });
+                // No lanzar, permite que otros almacenamientos continúen o solo reporte el error
+                // finalResults.storage[name] queda sin definir si el adaptador falla
+            } else if (report.status === 'succeeded') {
+                finalResults.storage[name] = results;
+                logger.info('ImageResizer: Almacenamiento \'%s\' completado para %s en %d ms.', name, originalFilename, durationMs);
+            }
+            if (report.rollback && !report.rollback.complete) {
+                logger.error('ImageResizer: La reversión del almacenamiento \'%s\' para %s quedó incompleta (%d archivos sin eliminar).', name, originalFilename, report.rollback.failed);
+            }
+        });
+        return finalResults;
+    }
+
+    /**
+     * Construye la entrada de `storageReport` de un adaptador.
+     * @param {Object<string, object>} files - `{ key, attempts, durationMs, error? }` por `variantKey`.
+     * @param {Error | null} error - El fallo del adaptador, si lo hubo.
+     * @param {number} durationMs - Duración total del almacenamiento en el adaptador.
+     * @returns {{status: string, attempts: number, durationMs: number, files: object, error?: object}}
+     * @private
+     */
+    _buildStorageReport(files, error, durationMs) {
+        const report = {
+            status: error ? 'failed' : 'succeeded',
+            attempts: Object.values(files).reduce((sum, file) => sum + file.attempts, 0),
+            durationMs,
+            files
+        };
+        if (error) {
+            report.error = { message: error.message, code: error.code };
+        }
+        return report;
+    }
 }
 
 // --- Exportaciones de la librería ---
@@ -375,4 +912,29 @@ module.exports = ImageResizer;
 // Exportar las clases de error para que los consumidores de la librería puedan usarlas
 module.exports.ConfigurationError = ConfigurationError;
 module.exports.ImageProcessingError = ImageProcessingError;
-module.exports.StorageError = StorageError;
\ No newline at end of file
+module.exports.StorageError = StorageError;
+
+// Exportar el contrato y los adaptadores integrados para permitir backends de almacenamiento propios
+module.exports.StorageAdapter = StorageAdapter;
+module.exports.LocalStorageAdapter = LocalStorageAdapter;
+module.exports.S3StorageAdapter = S3StorageAdapter;
+
+// Exportar los tipos MIME de entrada soportados
+module.exports.SUPPORTED_IMAGE_MIME_TYPES = SUPPORTED_IMAGE_MIME_TYPES;
+
+// Exportar la fábrica del servidor HTTP de imágenes
+module.exports.createImageServer = createImageServer;
+
+// Exportar los generadores de marcado responsivo (srcset, <picture> y manifiesto)
+module.exports.buildSrcset = buildSrcset;
+module.exports.buildSizes = buildSizes;
+module.exports.buildPicture = buildPicture;
+module.exports.buildManifest = buildManifest;
+
+// Exportar el contrato y los almacenes de caché integrados para permitir almacenes propios (ej. Redis)
+module.exports.CacheStore = CacheStore;
+module.exports.DiskCacheStore = DiskCacheStore;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+
+// Exportar la validación de pasos de transformación, para rechazar parámetros de edición recibidos de un API antes de procesar
+module.exports.normalizeTransformations = normalizeTransformations;
\ No newline at end of file
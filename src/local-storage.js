@@ -1,21 +1,43 @@
 // src/local-storage.js
 const fs = require('fs').promises; // Usamos la versión de promesas de fs
+const { createWriteStream } = require('fs'); // Para escribir variantes recibidas como stream
+const { pipeline } = require('stream/promises'); // Encadena streams propagando errores
 const path = require('path'); // Módulo para trabajar con rutas de archivos y directorios
 const { StorageError } = require('./errors'); // Importa la clase de error personalizada
+const { StorageAdapter } = require('./storage-adapter'); // Contrato base de los adaptadores
 const logger = require('./logger'); // Importa el módulo de logging
 
+/**
+ * Construye la ruta completa de una clave dentro del directorio de almacenamiento.
+ * Una clave que resuelve fuera del directorio (ej. con segmentos '..' o una ruta absoluta) se rechaza.
+ * @param {string} basePath - La ruta base de almacenamiento.
+ * @param {string} key - La clave (nombre de archivo, con subdirectorios si los hay).
+ * @returns {string} La ruta completa (`basePath` unido a la clave).
+ * @throws {StorageError} Si la clave sale del directorio de almacenamiento.
+ */
+function resolveStoragePath(basePath, key) {
+    const root = path.resolve(basePath);
+    if (!path.resolve(root, key).startsWith(root + path.sep)) {
+        const msg = `La clave '${key}' apunta fuera del directorio de almacenamiento '${basePath}'.`;
+        logger.error('StorageError: %s', msg);
+        throw new StorageError(msg, null, 'ERR_LOCAL_PATH_OUTSIDE_ROOT');
+    }
+    return path.join(basePath, key);
+}
+
 /**
  * Guarda un único buffer de imagen en el sistema de archivos local.
  * Asegura que el directorio de destino exista, creándolo recursivamente si es necesario.
  * @param {Buffer} imageBuffer - El buffer de la imagen a guardar.
  * @param {string} filename - El nombre de archivo completo (incluyendo subdirectorios si los hay).
  * @param {string} basePath - La ruta base donde se guardará el archivo (ej. './output/images').
+ * @param {AbortSignal} [signal] - Señal para cancelar la escritura (ej. al vencer el plazo de la operación).
  * @returns {Promise<string>} La ruta completa del archivo guardado.
- * @throws {StorageError} Si hay un error al guardar el archivo.
+ * @throws {StorageError} Si hay un error al guardar el archivo o la ruta sale de `basePath`.
  */
-async function saveSingleImageLocally(imageBuffer, filename, basePath) {
+async function saveSingleImageLocally(imageBuffer, filename, basePath, signal) {
     // Construye la ruta completa del archivo
-    const fullPath = path.join(basePath, filename);
+    const fullPath = resolveStoragePath(basePath, filename);
     // Extrae el directorio del archivo
     const dir = path.dirname(fullPath);
 
@@ -25,7 +47,7 @@ async function saveSingleImageLocally(imageBuffer, filename, basePath) {
         await fs.mkdir(dir, { recursive: true });
         logger.debug('LocalStorage: Escribiendo archivo local: %s', fullPath);
         // Escribe el buffer de la imagen en la ruta especificada
-        await fs.writeFile(fullPath, imageBuffer);
+        await fs.writeFile(fullPath, imageBuffer, { signal });
         logger.info('LocalStorage: Imagen guardada localmente: %s', fullPath);
         return fullPath; // Retorna la ruta completa del archivo guardado
     } catch (error) {
@@ -37,36 +59,103 @@ async function saveSingleImageLocally(imageBuffer, filename, basePath) {
 }
 
 /**
- * Guarda un array de objetos de imagen (original y redimensionadas) en el almacenamiento local.
- * @param {Array<{buffer: Buffer, filename: string, sizeKey: string}>} imagesToSave - Array de objetos con buffers, nombres de archivo y claves de tamaño.
- * @param {string} localStoragePath - La ruta base de almacenamiento local.
- * @returns {Promise<object>} Un objeto con las rutas de las imágenes guardadas.
- * @throws {StorageError} Si hay un error al guardar los archivos.
+ * Guarda un stream de imagen en el sistema de archivos local, escribiéndolo a medida que llega.
+ * Si la escritura falla, se elimina el archivo parcial.
+ * @param {import('stream').Readable} imageStream - El stream de la imagen a guardar.
+ * @param {string} filename - El nombre de archivo completo (incluyendo subdirectorios si los hay).
+ * @param {string} basePath - La ruta base donde se guardará el archivo.
+ * @param {AbortSignal} [signal] - Señal para cancelar la escritura.
+ * @returns {Promise<string>} La ruta completa del archivo guardado.
+ * @throws {StorageError} Si hay un error al guardar el archivo o la ruta sale de `basePath`.
  */
-async function saveImageLocally(imagesToSave, localStoragePath) {
-    logger.info('LocalStorage: Iniciando proceso de guardado de imágenes localmente. Base path: %s', localStoragePath);
-    const results = {
-        original: null,
-        resized: {}
-    };
+async function saveStreamLocally(imageStream, filename, basePath, signal) {
+    const fullPath = resolveStoragePath(basePath, filename);
+    const dir = path.dirname(fullPath);
 
     try {
-        // Itera sobre cada imagen en el array y la guarda individualmente
-        for (const img of imagesToSave) {
-            logger.debug('LocalStorage: Guardando imagen local: %s (sizeKey: %s)', img.filename, img.sizeKey);
-            if (img.sizeKey === 'original') {
-                results.original = await saveSingleImageLocally(img.buffer, img.filename, localStoragePath);
-            } else {
-                results.resized[img.sizeKey] = await saveSingleImageLocally(img.buffer, img.filename, localStoragePath);
+        logger.debug('LocalStorage: Verificando/Creando directorio recursivamente: %s', dir);
+        await fs.mkdir(dir, { recursive: true });
+        logger.debug('LocalStorage: Escribiendo stream en archivo local: %s', fullPath);
+        await pipeline(imageStream, createWriteStream(fullPath), { signal });
+        logger.info('LocalStorage: Imagen guardada localmente: %s', fullPath);
+        return fullPath;
+    } catch (error) {
+        await fs.rm(fullPath, { force: true }).catch(() => {}); // No dejar archivos a medio escribir
+        logger.error('StorageError: Error al guardar el stream localmente en %s: %s', fullPath, error.message, { originalError: error });
+        throw new StorageError(`Error al guardar la imagen localmente en '${fullPath}': ${error.message}`, error, 'ERR_LOCAL_SAVE_FAILED');
+    }
+}
+
+/**
+ * Adaptador de almacenamiento integrado para el sistema de archivos local.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {object} options - Opciones del adaptador.
+     * @param {string} options.path - La ruta base de almacenamiento local.
+     * @param {string} [options.baseUrl] - URL pública base desde la que se sirven los archivos.
+     * Si no se indica, `getUrl` retorna la ruta completa en disco.
+     * @param {string} [name='local'] - Nombre del adaptador.
+     */
+    constructor({ path: basePath, baseUrl } = {}, name = 'local') {
+        super(name);
+        this.path = basePath;
+        this.baseUrl = baseUrl || null;
+    }
+
+    async save(buffer, key, context = {}) {
+        return saveSingleImageLocally(buffer, key, this.path, context.signal);
+    }
+
+    async saveStream(stream, key, context = {}) {
+        return saveStreamLocally(stream, key, this.path, context.signal);
+    }
+
+    async exists(key) {
+        const fullPath = resolveStoragePath(this.path, key);
+        try {
+            await fs.access(fullPath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw new StorageError(`Error al comprobar el archivo local '${key}': ${error.message}`, error, 'ERR_LOCAL_EXISTS_FAILED');
+        }
+    }
+
+    async read(key) {
+        const fullPath = resolveStoragePath(this.path, key);
+        try {
+            return await fs.readFile(fullPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            logger.error('StorageError: Error al leer la imagen local %s: %s', fullPath, error.message, { originalError: error });
+            throw new StorageError(`Error al leer la imagen local '${fullPath}': ${error.message}`, error, 'ERR_LOCAL_READ_FAILED');
+        }
+    }
+
+    async delete(key) {
+        const fullPath = resolveStoragePath(this.path, key);
+        try {
+            await fs.unlink(fullPath);
+            logger.info('LocalStorage: Imagen eliminada localmente: %s', fullPath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.debug('LocalStorage: El archivo a eliminar no existe: %s', fullPath);
+                return false;
             }
+            logger.error('StorageError: Error al eliminar la imagen local %s: %s', fullPath, error.message, { originalError: error });
+            throw new StorageError(`Error al eliminar la imagen local '${fullPath}': ${error.message}`, error, 'ERR_LOCAL_DELETE_FAILED');
         }
-        logger.info('LocalStorage: Todas las imágenes procesadas guardadas localmente.');
-        return results; // Retorna el objeto con todas las rutas de los archivos guardados
-    } catch (error) {
-        // saveSingleImageLocally ya lanza un StorageError, solo lo relanzamos aquí
-        logger.error('StorageError: Fallo al procesar el almacenamiento local: %s', error.message, { originalError: error.originalError || error });
-        throw error;
+    }
+
+    async getUrl(key) {
+        if (this.baseUrl) {
+            // Normaliza separadores para que la URL sea válida también en Windows
+            return `${this.baseUrl.replace(/\/+$/, '')}/${key.split(path.sep).join('/')}`;
+        }
+        return path.join(this.path, key);
     }
 }
 
-module.exports = { saveImageLocally };
\ No newline at end of file
+module.exports = { LocalStorageAdapter, saveSingleImageLocally, saveStreamLocally };
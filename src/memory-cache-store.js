@@ -0,0 +1,110 @@
+// src/memory-cache-store.js
+const { CacheStore, getEntryBytes } = require('./cache-store');
+const logger = require('./logger');
+
+/**
+ * Almacén de caché en la memoria del proceso, acotado por bytes con expulsión LRU.
+ * CacheManager lo usa como nivel rápido delante del almacén principal (`memoryMaxBytes`),
+ * pero también puede usarse como almacén único (ej. en pruebas).
+ * El orden de inserción del Map es el orden de uso: la primera entrada es la usada hace más tiempo.
+ */
+class MemoryCacheStore extends CacheStore {
+  /**
+   * @param {object} [options={}]
+   * @param {number} [options.maxBytes] - Tamaño máximo en bytes. Sin él, la memoria no se acota.
+   */
+  constructor({ maxBytes } = {}) {
+    super('memory');
+    this.maxBytes = maxBytes || null;
+    this.totalBytes = 0;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const record = this.entries.get(key);
+    return record ? { metadata: record.metadata, buffers: record.buffers } : null;
+  }
+
+  /**
+   * Guarda una entrada y expulsa las usadas hace más tiempo si se supera `maxBytes`.
+   * Una entrada más grande que `maxBytes` no se guarda.
+   */
+  async set(key, entry) {
+    const bytes = getEntryBytes(entry);
+    this._remove(key);
+    if (this.maxBytes && bytes > this.maxBytes) {
+      logger.debug('CacheManager: Entrada %s (%d bytes) demasiado grande para el caché en memoria.', key, bytes);
+      return;
+    }
+    this.entries.set(key, {
+      metadata: entry.metadata,
+      buffers: entry.buffers,
+      bytes,
+      lastAccessedAt: Date.now(),
+    });
+    this.totalBytes += bytes;
+
+    if (this.maxBytes) {
+      for (const [oldestKey] of this.entries) {
+        if (this.totalBytes <= this.maxBytes) break;
+        this._remove(oldestKey);
+        logger.debug('CacheManager: Entrada expulsada del caché en memoria: %s', oldestKey);
+      }
+    }
+  }
+
+  async touch(key) {
+    const record = this.entries.get(key);
+    if (!record) return;
+    // Reinsertar la entrada la mueve al final del orden de uso
+    this.entries.delete(key);
+    record.lastAccessedAt = Date.now();
+    this.entries.set(key, record);
+  }
+
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  async info(key) {
+    const record = this.entries.get(key);
+    return record ? this._toInfo(key, record) : null;
+  }
+
+  async list() {
+    return [...this.entries].map(([key, record]) => this._toInfo(key, record));
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Elimina una entrada y descuenta su tamaño.
+   * @private
+   */
+  _remove(key) {
+    const record = this.entries.get(key);
+    if (!record) return false;
+    this.entries.delete(key);
+    this.totalBytes -= record.bytes;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _toInfo(key, record) {
+    return {
+      key,
+      bytes: record.bytes,
+      createdAt: record.metadata.createdAt,
+      lastAccessedAt: record.lastAccessedAt,
+      expiresAt: record.metadata.expiresAt || null,
+      complete: true,
+    };
+  }
+}
+
+module.exports = { MemoryCacheStore };
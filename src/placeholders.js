@@ -0,0 +1,134 @@
+// src/placeholders.js
+const { ImageProcessingError } = require('./errors');
+const { applyColorProfile, toRgbaPixels, getMimeTypeForFormat } = require('./utils');
+const { encodeBlurHash } = require('./utils/blurhash');
+const { encodeThumbHash, THUMBHASH_MAX_SIZE } = require('./utils/thumbhash');
+const logger = require('./logger');
+
+const PLACEHOLDER_DEFAULTS = {
+  blurhash: { componentsX: 4, componentsY: 3 },
+  thumbhash: {},
+  lqip: { width: 16, height: undefined, format: 'webp', quality: 50 },
+};
+
+// Formatos admitidos para la LQIP (todos los navegadores los muestran en una data URI)
+const LQIP_FORMATS = ['webp', 'jpeg', 'png'];
+
+// Lado máximo de la LQIP: es una miniatura que se incrusta en el HTML
+const LQIP_MAX_SIZE = 64;
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Comprueba la opción `placeholders` de `processImage`.
+ * @param {*} placeholders - El valor de la opción.
+ * @returns {string | null} El motivo por el que es inválida, o null si es válida.
+ */
+function getPlaceholdersError(placeholders) {
+  if (placeholders === true) return null;
+  if (typeof placeholders !== 'object' || placeholders === null || Array.isArray(placeholders)) {
+    return 'debe ser true (todos los tipos), false o un objeto con `blurhash`, `thumbhash` y/o `lqip`.';
+  }
+  const unknownKeys = Object.keys(placeholders).filter((key) => !PLACEHOLDER_DEFAULTS[key]);
+  if (unknownKeys.length > 0) {
+    return `contiene tipos desconocidos: ${unknownKeys.join(', ')}. Los tipos válidos son: ${Object.keys(PLACEHOLDER_DEFAULTS).join(', ')}.`;
+  }
+  for (const [key, value] of Object.entries(placeholders)) {
+    if (typeof value !== 'boolean' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+      return `\`${key}\` debe ser un booleano o un objeto de opciones.`;
+    }
+  }
+  const { blurhash, thumbhash, lqip } = placeholders;
+  if (typeof blurhash === 'object') {
+    for (const axis of ['componentsX', 'componentsY']) {
+      if (blurhash[axis] !== undefined && !isInteger(blurhash[axis], 1, 9)) {
+        return `\`blurhash.${axis}\` debe ser un número entero entre 1 y 9.`;
+      }
+    }
+  }
+  if (typeof thumbhash === 'object' && Object.keys(thumbhash).length > 0) {
+    return '`thumbhash` no admite opciones (usa true).';
+  }
+  if (typeof lqip === 'object') {
+    for (const dimension of ['width', 'height']) {
+      if (lqip[dimension] !== undefined && !isInteger(lqip[dimension], 1, LQIP_MAX_SIZE)) {
+        return `\`lqip.${dimension}\` debe ser un número entero entre 1 y ${LQIP_MAX_SIZE}.`;
+      }
+    }
+    if (lqip.format !== undefined && !LQIP_FORMATS.includes(lqip.format)) {
+      return `\`lqip.format\` es inválido: '${lqip.format}'. Los formatos válidos son: ${LQIP_FORMATS.join(', ')}.`;
+    }
+    if (lqip.quality !== undefined && !isInteger(lqip.quality, 1, 100)) {
+      return '`lqip.quality` debe ser un número entero entre 1 y 100.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Resuelve la opción `placeholders` (ya validada) con los valores por defecto de cada tipo pedido.
+ * @param {true | object} placeholders - La opción.
+ * @returns {{blurhash?: object, thumbhash?: object, lqip?: object}} Las opciones de los tipos a generar.
+ */
+function resolvePlaceholderOptions(placeholders) {
+  const requested = placeholders === true
+    ? { blurhash: true, thumbhash: true, lqip: true }
+    : placeholders;
+  const resolved = {};
+  for (const [key, value] of Object.entries(requested)) {
+    if (value === false) continue;
+    resolved[key] = { ...PLACEHOLDER_DEFAULTS[key], ...(value === true ? {} : value) };
+  }
+  // Con solo el alto de la LQIP, el ancho se deriva de la proporción de la imagen (y no se limita al por defecto)
+  if (resolved.lqip && requested.lqip.height !== undefined && requested.lqip.width === undefined) {
+    resolved.lqip.width = undefined;
+  }
+  return resolved;
+}
+
+/**
+ * Genera los placeholders de baja calidad de una imagen, para mostrarlos mientras carga: una BlurHash, una ThumbHash
+ * (en base64) y una LQIP (una miniatura como data URI). Se calculan una sola vez, sobre la imagen ya transformada y en
+ * sRGB; las dos hashes, sobre una muestra de como máximo `THUMBHASH_MAX_SIZE` píxeles de lado.
+ * @param {sharp.Sharp} sharpInstance - Instancia base (imagen fija, con las transformaciones aplicadas); no se modifica.
+ * @param {true | object} placeholders - Opción `placeholders` ya validada.
+ * @returns {Promise<{blurhash?: string, thumbhash?: string, lqip?: string}>} Los placeholders pedidos.
+ * @throws {ImageProcessingError} Si no se pueden generar.
+ */
+async function generatePlaceholders(sharpInstance, placeholders) {
+  const { blurhash, thumbhash, lqip } = resolvePlaceholderOptions(placeholders);
+  const result = {};
+  try {
+    if (blurhash || thumbhash) {
+      const { data, info } = await toRgbaPixels(
+        applyColorProfile(sharpInstance.clone(), 'strip').resize({ width: THUMBHASH_MAX_SIZE, height: THUMBHASH_MAX_SIZE, fit: 'inside' })
+      );
+      if (blurhash) {
+        result.blurhash = encodeBlurHash(data, info.width, info.height, blurhash.componentsX, blurhash.componentsY);
+      }
+      if (thumbhash) {
+        result.thumbhash = encodeThumbHash(data, info.width, info.height).toString('base64');
+      }
+    }
+    if (lqip) {
+      const buffer = await applyColorProfile(sharpInstance.clone(), 'strip')
+        .resize({ width: lqip.width, height: lqip.height, fit: 'inside' })
+        .toFormat(lqip.format, { quality: lqip.quality })
+        .toBuffer();
+      result.lqip = `data:${getMimeTypeForFormat(lqip.format)};base64,${buffer.toString('base64')}`;
+    }
+  } catch (err) {
+    const msg = `No se pudieron generar los placeholders de la imagen: ${err.message}`;
+    logger.error('ImageProcessingError: %s', msg, { originalError: err });
+    throw new ImageProcessingError(msg, err, 'ERR_PLACEHOLDER_FAILED');
+  }
+  logger.debug('Placeholders: Generados: %s', Object.keys(result).join(', '));
+  return result;
+}
+
+module.exports = {
+  PLACEHOLDER_DEFAULTS,
+  LQIP_FORMATS,
+  getPlaceholdersError,
+  generatePlaceholders,
+};
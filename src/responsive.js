@@ -0,0 +1,287 @@
+// src/responsive.js
+const { ConfigurationError } = require('./errors');
+const { getMimeTypeForFormat } = require('./utils');
+const logger = require('./logger');
+
+// Orden de preferencia de formatos en <picture>: el navegador usa el primer <source> que soporta
+const FORMAT_PREFERENCE = ['avif', 'webp', 'jpeg', 'png', 'tiff', 'gif'];
+// Formatos que todos los navegadores soportan y pueden usarse en el <img> de respaldo
+const FALLBACK_FORMATS = ['jpeg', 'png', 'gif'];
+
+/**
+ * Escapa un valor para usarlo dentro de un atributo HTML entre comillas dobles.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Elige el adaptador cuyas rutas/URLs se usarán: el indicado, o 's3', o el primero con resultados.
+ * @param {object} result - Resultado de `processImage`.
+ * @param {string} [storage] - Nombre del adaptador preferido.
+ * @returns {string | undefined}
+ */
+function pickStorage(result, storage) {
+  if (storage) return storage;
+  const names = Object.keys(result.storage || {});
+  return names.includes('s3') ? 's3' : names[0];
+}
+
+/**
+ * Construye un resolvedor de URLs públicas para las imágenes de un resultado.
+ * Con `baseUrl` la URL es `baseUrl/<filename>` (necesario para el almacenamiento local, cuyas
+ * rutas son de disco). Sin él, se usa la URL guardada por el adaptador (ej. S3).
+ * @param {object} result - Resultado de `processImage`.
+ * @param {object} options - `{ storage, baseUrl }`.
+ * @returns {function(string, object): string} Función `(sizeKey, metadata) => url`.
+ * @throws {ConfigurationError} Si no hay forma de obtener una URL pública.
+ */
+function createUrlResolver(result, { storage, baseUrl } = {}) {
+  if (baseUrl) {
+    const base = baseUrl.replace(/\/+$/, '');
+    // Se codifica cada segmento: un espacio o una coma en el nombre romperían el srcset
+    return (sizeKey, metadata) =>
+      `${base}/${metadata.filename.split(/[\\/]/).map(encodeURIComponent).join('/')}`;
+  }
+  const storageName = pickStorage(result, storage);
+  const storageResult = storageName && result.storage ? result.storage[storageName] : null;
+  if (!storageResult) {
+    const msg = `No hay resultados del almacenamiento '${storageName}' para generar URLs.`;
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_STORAGE_RESULT_MISSING');
+  }
+  if (storageName === 'local') {
+    const msg = 'El almacenamiento local guarda rutas de disco: indique un `baseUrl` público para generar las URLs.';
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_BASE_URL_REQUIRED');
+  }
+  return (sizeKey, metadata) => {
+    const byFormat = storageResult.variants && storageResult.variants[sizeKey];
+    if (byFormat) return byFormat[metadata.format];
+    return sizeKey === 'original' ? storageResult.original : storageResult.resized[sizeKey];
+  };
+}
+
+/**
+ * Lista las variantes de un resultado como pares `[sizeKey, metadata]`, todos los formatos de cada tamaño.
+ * Los resultados sin `metadata.variants` tienen un solo formato por tamaño (`original` y `resized`).
+ * @param {object} result - Resultado de `processImage`.
+ * @param {boolean} includeOriginal - Incluir el original aunque haya variantes redimensionadas.
+ * @returns {Array<[string, object]>}
+ */
+function listResultVariants(result, includeOriginal) {
+  const { original, resized = {}, variants } = result.metadata;
+  const bySize = variants || {
+    ...Object.fromEntries(Object.entries(resized).map(([sizeKey, metadata]) => [sizeKey, [metadata]])),
+    original: [original],
+  };
+  const entries = [];
+  for (const sizeKey in bySize) {
+    if (sizeKey === 'original') continue;
+    for (const metadata of Object.values(bySize[sizeKey])) entries.push([sizeKey, metadata]);
+  }
+  if (entries.length === 0 || includeOriginal) {
+    for (const metadata of Object.values(bySize.original || {})) entries.push(['original', metadata]);
+  }
+  return entries;
+}
+
+/**
+ * Lista las variantes de un resultado con su URL, agrupadas por formato y ordenadas por ancho.
+ * Si no hay variantes redimensionadas (o `includeOriginal` es true), se incluye el original.
+ * @param {object} result - Resultado de `processImage`.
+ * @param {object} options - `{ storage, baseUrl, includeOriginal }`.
+ * @returns {Map<string, Array<{sizeKey: string, url: string, width: number, height: number, format: string, size: number}>>}
+ */
+function collectVariants(result, options = {}) {
+  const resolveUrl = createUrlResolver(result, options);
+  const entries = listResultVariants(result, options.includeOriginal);
+
+  const byFormat = new Map();
+  for (const [sizeKey, metadata] of entries) {
+    if (!metadata) continue;
+    const url = resolveUrl(sizeKey, metadata);
+    if (!url) continue; // El adaptador no guardó esta variante
+    const variants = byFormat.get(metadata.format) || [];
+    variants.push({
+      sizeKey,
+      url,
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      size: metadata.size,
+    });
+    byFormat.set(metadata.format, variants);
+  }
+
+  for (const [format, variants] of byFormat) {
+    variants.sort((a, b) => a.width - b.width);
+    // Un solo candidato por ancho en el srcset
+    byFormat.set(
+      format,
+      variants.filter((variant, i) => i === 0 || variant.width !== variants[i - 1].width)
+    );
+  }
+  // Ordenar los formatos del más moderno al más compatible
+  const rank = (format) => {
+    const index = FORMAT_PREFERENCE.indexOf(format);
+    return index === -1 ? FORMAT_PREFERENCE.length : index;
+  };
+  return new Map([...byFormat].sort(([a], [b]) => rank(a) - rank(b)));
+}
+
+/**
+ * Genera el valor del atributo `srcset` (ej. "https://cdn/a.small.webp 320w, https://cdn/a.medium.webp 640w").
+ * @param {Array<{url: string, width: number}>} variants - Variantes de un mismo formato.
+ * @returns {string}
+ */
+function formatSrcset(variants) {
+  return variants.map((variant) => `${variant.url} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Genera el valor del atributo `sizes`.
+ * @param {string | Array<{media?: string, size: string}>} [spec='100vw'] - Cadena ya formada o lista
+ * de condiciones; la última entrada sin `media` es el valor por defecto.
+ * @returns {string}
+ */
+function buildSizes(spec = '100vw') {
+  if (typeof spec === 'string') return spec;
+  if (!Array.isArray(spec)) {
+    const msg = 'La opción `sizes` debe ser una cadena o un array de { media, size }.';
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_INVALID_SIZES_ATTRIBUTE');
+  }
+  return spec.map(({ media, size }) => (media ? `${media} ${size}` : size)).join(', ');
+}
+
+/**
+ * Genera el `srcset` de un resultado de `processImage`.
+ * @param {object} result - Resultado de `processImage`.
+ * @param {object} [options={}]
+ * @param {string} [options.format] - Formato a usar. Por defecto, el más compatible disponible.
+ * @param {string} [options.storage] - Adaptador del que tomar las URLs (por defecto 's3' o el primero).
+ * @param {string} [options.baseUrl] - URL pública base; obligatoria para el almacenamiento local.
+ * @param {boolean} [options.includeOriginal=false] - Incluir la imagen original como candidato.
+ * @returns {string}
+ */
+function buildSrcset(result, options = {}) {
+  const variantsByFormat = collectVariants(result, options);
+  const format = options.format || pickFallbackFormat(variantsByFormat);
+  return formatSrcset(variantsByFormat.get(format) || []);
+}
+
+/**
+ * Elige el formato del <img> de respaldo: el primero universalmente soportado, o el último disponible.
+ * @param {Map<string, Array>} variantsByFormat
+ * @returns {string | undefined}
+ */
+function pickFallbackFormat(variantsByFormat) {
+  const formats = [...variantsByFormat.keys()];
+  return formats.find((format) => FALLBACK_FORMATS.includes(format)) || formats[formats.length - 1];
+}
+
+/**
+ * Genera un elemento `<picture>` completo: un `<source type>` por formato y un `<img>` de respaldo
+ * con `width`/`height` (de la variante más grande) para reservar el espacio y evitar saltos de diseño.
+ * @param {object} result - Resultado de `processImage`.
+ * @param {object} [options={}]
+ * @param {string} [options.alt=''] - Texto alternativo.
+ * @param {string | Array<{media?: string, size: string}>} [options.sizes='100vw'] - Atributo `sizes`.
+ * @param {string} [options.storage] - Adaptador del que tomar las URLs.
+ * @param {string} [options.baseUrl] - URL pública base; obligatoria para el almacenamiento local.
+ * @param {boolean} [options.includeOriginal=false] - Incluir la imagen original como candidato.
+ * @param {string} [options.loading='lazy'] - Atributo `loading` del `<img>`.
+ * @param {string} [options.decoding='async'] - Atributo `decoding` del `<img>`.
+ * @param {string} [options.className] - Clase CSS del `<img>`.
+ * @returns {string} El HTML del elemento.
+ * @throws {ConfigurationError} Si no se pueden generar URLs o no hay variantes.
+ */
+function buildPicture(result, options = {}) {
+  const { alt = '', loading = 'lazy', decoding = 'async', className } = options;
+  const variantsByFormat = collectVariants(result, options);
+  const fallbackFormat = pickFallbackFormat(variantsByFormat);
+  if (!fallbackFormat) {
+    const msg = 'El resultado no contiene variantes con URL para generar el <picture>.';
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_NO_VARIANTS');
+  }
+  const sizes = buildSizes(options.sizes);
+
+  const sources = [...variantsByFormat]
+    .filter(([format]) => format !== fallbackFormat)
+    .map(
+      ([format, variants]) =>
+        `  <source type="${escapeAttribute(getMimeTypeForFormat(format))}" srcset="${escapeAttribute(formatSrcset(variants))}" sizes="${escapeAttribute(sizes)}">`
+    );
+
+  const fallbackVariants = variantsByFormat.get(fallbackFormat);
+  const largest = fallbackVariants[fallbackVariants.length - 1];
+  const imgAttributes = [
+    `src="${escapeAttribute(largest.url)}"`,
+    `srcset="${escapeAttribute(formatSrcset(fallbackVariants))}"`,
+    `sizes="${escapeAttribute(sizes)}"`,
+    `width="${escapeAttribute(largest.width)}"`,
+    `height="${escapeAttribute(largest.height)}"`,
+    `alt="${escapeAttribute(alt)}"`,
+  ];
+  if (loading) imgAttributes.push(`loading="${escapeAttribute(loading)}"`);
+  if (decoding) imgAttributes.push(`decoding="${escapeAttribute(decoding)}"`);
+  if (className) imgAttributes.push(`class="${escapeAttribute(className)}"`);
+
+  return ['<picture>', ...sources, `  <img ${imgAttributes.join(' ')}>`, '</picture>'].join('\n');
+}
+
+/**
+ * Genera un manifiesto JSON serializable con toda la información que un frontend necesita
+ * para montar la imagen responsiva por su cuenta.
+ * @param {object} result - Resultado de `processImage`.
+ * @param {object} [options={}] - Mismas opciones que `buildPicture` (`sizes`, `storage`, `baseUrl`, `includeOriginal`).
+ * @returns {object} `{ version, width, height, sizes, fallback, sources, variants, original }`.
+ */
+function buildManifest(result, options = {}) {
+  const variantsByFormat = collectVariants(result, options);
+  const fallbackFormat = pickFallbackFormat(variantsByFormat);
+  const fallbackVariants = fallbackFormat ? variantsByFormat.get(fallbackFormat) : [];
+  const largest = fallbackVariants[fallbackVariants.length - 1];
+  const original = result.metadata.original;
+  const toEntry = (variant) => ({ ...variant, type: getMimeTypeForFormat(variant.format) });
+
+  let originalUrl = null;
+  try {
+    originalUrl = createUrlResolver(result, options)('original', original) || null;
+  } catch (error) {
+    // Sin URL pública para el original: se omite del manifiesto
+  }
+
+  return {
+    version: 1,
+    width: original ? original.width : null,
+    height: original ? original.height : null,
+    sizes: buildSizes(options.sizes),
+    fallback: largest
+      ? { src: largest.url, type: getMimeTypeForFormat(fallbackFormat), width: largest.width, height: largest.height, srcset: formatSrcset(fallbackVariants) }
+      : null,
+    sources: [...variantsByFormat].map(([format, variants]) => ({
+      type: getMimeTypeForFormat(format),
+      srcset: formatSrcset(variants),
+    })),
+    variants: [...variantsByFormat.values()].flat().map(toEntry),
+    original: original
+      ? { url: originalUrl, width: original.width, height: original.height, format: original.format, type: getMimeTypeForFormat(original.format), size: original.size }
+      : null,
+  };
+}
+
+module.exports = {
+  buildSrcset,
+  buildSizes,
+  buildPicture,
+  buildManifest,
+};
@@ -1,19 +1,46 @@
 // src/s3-storage.js
-const AWS = require('aws-sdk');
-const { StorageError } = require('./errors');
+const {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { StorageError, ConfigurationError } = require('./errors');
+const { StorageAdapter } = require('./storage-adapter');
 const logger = require('./logger');
 
-let s3;
-
-function initS3(accessKeyId, secretAccessKey, region) {
-  logger.info('Inicializando cliente AWS S3 para región: %s', region);
+/**
+ * Crea un cliente S3 (AWS SDK v3). Sirve también para servicios compatibles con S3 (MinIO, R2, etc.)
+ * indicando `endpoint` y, si el servicio no admite subdominios por bucket, `forcePathStyle`.
+ * Las credenciales se resuelven en este orden: `credentials` (objeto o proveedor), las claves
+ * estáticas `accessKeyId`/`secretAccessKey` y, si no hay ninguna, la cadena de proveedores por
+ * defecto del SDK (variables de entorno, perfiles, SSO, roles de IAM...).
+ * @param {object} options
+ * @param {string} options.region - Región del bucket.
+ * @param {string} [options.accessKeyId] - Access key de AWS.
+ * @param {string} [options.secretAccessKey] - Secret key de AWS.
+ * @param {string} [options.sessionToken] - Token de sesión para credenciales temporales.
+ * @param {object | function} [options.credentials] - Credenciales o proveedor de credenciales del SDK v3.
+ * @param {string} [options.endpoint] - URL de un servicio compatible con S3 (ej. 'http://localhost:9000').
+ * @param {boolean} [options.forcePathStyle=false] - Usa URLs `endpoint/bucket/key` en lugar de `bucket.endpoint/key`.
+ * @returns {S3Client} El cliente S3 inicializado.
+ * @throws {StorageError} Si el cliente no puede crearse.
+ */
+function initS3({ region, accessKeyId, secretAccessKey, sessionToken, credentials, endpoint, forcePathStyle = false } = {}) {
+  logger.info('Inicializando cliente S3 para región: %s%s', region, endpoint ? ` (endpoint: ${endpoint})` : '');
   try {
-    s3 = new AWS.S3({
-      accessKeyId,
-      secretAccessKey,
-      region,
-    });
+    const clientConfig = { region, forcePathStyle };
+    if (endpoint) clientConfig.endpoint = endpoint;
+    if (credentials) {
+      clientConfig.credentials = credentials;
+    } else if (accessKeyId && secretAccessKey) {
+      clientConfig.credentials = { accessKeyId, secretAccessKey, sessionToken };
+    }
+    const client = new S3Client(clientConfig);
     logger.info('Cliente S3 inicializado.');
+    return client;
   } catch (error) {
     logger.error(
       'StorageError: Error al inicializar el cliente S3: %s',
@@ -27,16 +54,152 @@ function initS3(accessKeyId, secretAccessKey, region) {
   }
 }
 
-async function uploadSingleImageToS3(imageBuffer, key, bucketName) {
+/**
+ * Indica si un error del SDK corresponde a un objeto inexistente.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNotFoundError(error) {
+  return (
+    error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    (error.$metadata !== undefined && error.$metadata.httpStatusCode === 404)
+  );
+}
+
+// Opciones de subida admitidas y el parámetro de S3 al que corresponde cada una
+const UPLOAD_OPTION_PARAMS = {
+  cacheControl: 'CacheControl',
+  acl: 'ACL',
+  serverSideEncryption: 'ServerSideEncryption',
+  sseKmsKeyId: 'SSEKMSKeyId',
+  storageClass: 'StorageClass',
+  tagging: 'Tagging',
+  metadata: 'Metadata',
+};
+
+/**
+ * Valida un objeto de opciones de subida (del adaptador o de una llamada).
+ * @param {object} uploadOptions - Opciones a validar.
+ * @param {string} origin - Descripción del origen para el mensaje de error.
+ * @throws {ConfigurationError} Si hay opciones desconocidas o con un tipo inválido.
+ */
+function validateUploadOptions(uploadOptions, origin) {
+  const fail = (msg) => {
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_INVALID_S3_UPLOAD_OPTIONS');
+  };
+  if (typeof uploadOptions !== 'object' || uploadOptions === null || Array.isArray(uploadOptions)) {
+    fail(`Las opciones de subida a S3 (${origin}) deben ser un objeto.`);
+  }
+  for (const option in uploadOptions) {
+    const value = uploadOptions[option];
+    if (!UPLOAD_OPTION_PARAMS[option]) {
+      fail(`Opción de subida a S3 desconocida (${origin}): '${option}'. Las opciones válidas son: ${Object.keys(UPLOAD_OPTION_PARAMS).join(', ')}.`);
+    }
+    const isPlainObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+    if (option === 'metadata' && !isPlainObject) {
+      fail(`La opción de subida a S3 'metadata' (${origin}) debe ser un objeto.`);
+    } else if (option === 'tagging' && !isPlainObject && typeof value !== 'string') {
+      fail(`La opción de subida a S3 'tagging' (${origin}) debe ser un objeto o una cadena de consulta.`);
+    } else if (option !== 'metadata' && option !== 'tagging' && typeof value !== 'string') {
+      fail(`La opción de subida a S3 '${option}' (${origin}) debe ser una cadena de texto.`);
+    }
+  }
+}
+
+/**
+ * Convierte las etiquetas a la cadena de consulta que espera S3 (ej. 'tenant=acme&tipo=avatar').
+ * @param {object | string} tagging
+ * @returns {string}
+ */
+function toTaggingString(tagging) {
+  return typeof tagging === 'string' ? tagging : new URLSearchParams(tagging).toString();
+}
+
+/**
+ * Construye los parámetros de subida de una variante: tipo de contenido, opciones del adaptador
+ * y de la llamada (estas tienen prioridad; `metadata` y `tagging` se combinan clave a clave)
+ * y metadatos con el nombre original y las dimensiones de la imagen.
+ * @param {object} adapterOptions - Opciones de subida del adaptador.
+ * @param {object} [context={}] - Contexto de la variante (ver `buildSaveContext` en storage-adapter).
+ * @returns {object} Parámetros adicionales para `s3.upload` (sin Bucket, Key ni Body).
+ * @throws {ConfigurationError} Si las opciones de la llamada son inválidas.
+ */
+function buildUploadParams(adapterOptions, context = {}) {
+  const callOptions = context.options || {};
+  validateUploadOptions(callOptions, 'llamada a processImage');
+  const merged = { ...adapterOptions, ...callOptions };
+
+  const params = {};
+  if (context.contentType) params.ContentType = context.contentType;
+  for (const option of ['cacheControl', 'acl', 'serverSideEncryption', 'sseKmsKeyId', 'storageClass']) {
+    if (merged[option] !== undefined) params[UPLOAD_OPTION_PARAMS[option]] = merged[option];
+  }
+
+  if (adapterOptions.tagging !== undefined || callOptions.tagging !== undefined) {
+    const tags = [adapterOptions.tagging, callOptions.tagging]
+      .filter((tagging) => tagging !== undefined)
+      .map((tagging) => Object.fromEntries(new URLSearchParams(toTaggingString(tagging))));
+    params.Tagging = toTaggingString(Object.assign({}, ...tags));
+  }
+
+  // Los metadatos de S3 viajan como cabeceras x-amz-meta-*: solo cadenas ASCII
+  const imageMetadata = {};
+  if (context.originalFilename) imageMetadata['original-filename'] = encodeURIComponent(context.originalFilename);
+  if (context.sizeKey) imageMetadata['size-key'] = context.sizeKey;
+  if (context.metadata && context.metadata.width) imageMetadata.width = String(context.metadata.width);
+  if (context.metadata && context.metadata.height) imageMetadata.height = String(context.metadata.height);
+  const metadata = { ...imageMetadata, ...adapterOptions.metadata, ...callOptions.metadata };
+  if (Object.keys(metadata).length > 0) {
+    params.Metadata = Object.fromEntries(
+      Object.entries(metadata).map(([key, value]) => [key, String(value)])
+    );
+  }
+  return params;
+}
+
+// Tamaño de cada parte en las subidas multipart de streams (mínimo permitido por S3: 5 MB)
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+// Número de partes que se suben en paralelo por cada stream
+const MULTIPART_QUEUE_SIZE = 4;
+
+/**
+ * Sube un objeto a S3. Los buffers se suben con un único `PutObjectCommand` enviado con `send()`, por lo que
+ * basta cualquier cliente que lo implemente. Los streams se suben con `Upload` (lib-storage), que usa subida
+ * multipart para no mantener el objeto completo en memoria y necesita un `S3Client` real (lee su `config`).
+ * @param {S3Client} s3 - El cliente S3.
+ * @param {Buffer | import('stream').Readable} body - El contenido de la imagen.
+ * @param {string} key - La clave del objeto.
+ * @param {string} bucketName - El nombre del bucket.
+ * @param {object} [extraParams={}] - Parámetros adicionales (ContentType, CacheControl, Metadata, etc.).
+ * @param {AbortSignal} [signal] - Señal que cancela la subida (ej. al vencer el plazo de la operación).
+ * @returns {Promise<string | undefined>} La URL del objeto subido, si el servicio la informa.
+ * @throws {StorageError} Si la subida falla.
+ */
+async function uploadSingleImageToS3(s3, body, key, bucketName, extraParams = {}, signal) {
   const params = {
+    ...extraParams,
     Bucket: bucketName,
     Key: key,
-    Body: imageBuffer,
+    Body: body,
   };
 
   try {
     logger.debug('Subiendo objeto a S3. Bucket: %s, Key: %s', bucketName, key);
-    const data = await s3.upload(params).promise();
+    if (Buffer.isBuffer(body)) {
+      await s3.send(new PutObjectCommand(params), { abortSignal: signal });
+      logger.info('Imagen subida a S3: %s', key);
+      return undefined;
+    }
+    const upload = new Upload({
+      client: s3,
+      params,
+      partSize: MULTIPART_PART_SIZE,
+      queueSize: MULTIPART_QUEUE_SIZE,
+    });
+    if (signal) signal.addEventListener('abort', () => upload.abort().catch(() => {}), { once: true });
+    const data = await upload.done();
     logger.info('Imagen subida a S3: %s', data.Location);
     return data.Location;
   } catch (error) {
@@ -54,61 +217,142 @@ async function uploadSingleImageToS3(imageBuffer, key, bucketName) {
 }
 
 /**
- * Sube un array de objetos de imagen (original y redimensionadas) a AWS S3.
- * @param {Array<{buffer: Buffer, filename: string, sizeKey: string}>} imagesToSave - Array de objetos con buffers, nombres de archivo y claves de tamaño.
- * @param {string} s3BucketName - El nombre del bucket S3.
- * @returns {Promise<object>} Un objeto con las URLs de las imágenes subidas.
- * @throws {StorageError} Si hay un error al subir los archivos.
+ * Adaptador de almacenamiento integrado para AWS S3 y servicios compatibles.
+ * Cada instancia mantiene su propio cliente, por lo que pueden coexistir varios buckets.
  */
-async function uploadImageToS3(imagesToSave, s3BucketName) {
-  logger.info(
-    'Iniciando proceso de subida de imágenes a S3. Bucket: %s',
-    s3BucketName
-  );
-  if (!s3) {
-    logger.error('StorageError: El cliente S3 no ha sido inicializado.');
-    throw new StorageError(
-      'El cliente S3 no ha sido inicializado. Asegúrese de llamar a initS3.'
-    );
+class S3StorageAdapter extends StorageAdapter {
+  /**
+   * @param {object} options - Opciones del adaptador.
+   * @param {string} options.bucketName - El nombre del bucket S3.
+   * @param {string} [options.region] - La región del bucket (obligatoria salvo que se inyecte `client`).
+   * @param {string} [options.accessKeyId] - Access key de AWS.
+   * @param {string} [options.secretAccessKey] - Secret key de AWS.
+   * @param {string} [options.sessionToken] - Token de sesión para credenciales temporales.
+   * @param {object | function} [options.credentials] - Credenciales o proveedor de credenciales del SDK v3
+   * (ej. `fromIni({ profile })`). Sin credenciales se usa la cadena de proveedores por defecto.
+   * @param {string} [options.endpoint] - URL de un servicio compatible con S3 (MinIO, R2, un doble local para CI...).
+   * @param {boolean} [options.forcePathStyle=false] - Direccionamiento por ruta (`endpoint/bucket/key`).
+   * @param {string} [options.publicUrl] - URL base pública de los objetos (ej. un CDN). Por defecto se deriva del endpoint.
+   * @param {object} [options.client] - Cliente ya configurado (`S3Client` o cualquier objeto con `send(command)`).
+   * Si se pasa, se ignoran las opciones de conexión y credenciales.
+   * @param {object} [options.uploadOptions={}] - Opciones aplicadas a cada subida: `cacheControl`, `acl`,
+   * `serverSideEncryption` ('AES256' o 'aws:kms'), `sseKmsKeyId`, `storageClass`, `tagging` (objeto o cadena)
+   * y `metadata` (objeto). Cada llamada puede sobrescribirlas con `storageOptions` en `processImage`.
+   * @param {string} [name='s3'] - Nombre del adaptador.
+   * @throws {ConfigurationError} Si el cliente inyectado o las opciones de subida son inválidos.
+   */
+  constructor({
+    bucketName,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken,
+    credentials,
+    endpoint,
+    forcePathStyle = false,
+    publicUrl,
+    client,
+    uploadOptions = {},
+  } = {}, name = 's3') {
+    super(name);
+    validateUploadOptions(uploadOptions, `adaptador '${name}'`);
+    if (client !== undefined && (client === null || typeof client.send !== 'function')) {
+      const msg = `El cliente S3 inyectado en el adaptador '${name}' debe implementar send(command).`;
+      logger.error('ConfigurationError: %s', msg);
+      throw new ConfigurationError(msg, null, 'ERR_INVALID_S3_CLIENT');
+    }
+    this.bucketName = bucketName;
+    this.region = region;
+    this.endpoint = endpoint;
+    this.forcePathStyle = forcePathStyle;
+    this.publicUrl = publicUrl;
+    this.uploadOptions = uploadOptions;
+    this.client = client || initS3({ region, accessKeyId, secretAccessKey, sessionToken, credentials, endpoint, forcePathStyle });
   }
 
-  const results = {
-    original: null,
-    resized: {},
-  };
+  async save(buffer, key, context = {}) {
+    const location = await uploadSingleImageToS3(this.client, buffer, key, this.bucketName, buildUploadParams(this.uploadOptions, context), context.signal);
+    return location || this.getUrl(key);
+  }
 
-  try {
-    for (const img of imagesToSave) {
-      logger.debug(
-        'Subiendo imagen S3: %s (sizeKey: %s)',
-        img.filename,
-        img.sizeKey
+  async saveStream(stream, key, context = {}) {
+    // Con salida por streams las dimensiones aún no se conocen al iniciar la subida y no se incluyen en los metadatos
+    const location = await uploadSingleImageToS3(this.client, stream, key, this.bucketName, buildUploadParams(this.uploadOptions, context), context.signal);
+    return location || this.getUrl(key);
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFoundError(error)) return false;
+      throw new StorageError(
+        `Error al comprobar el objeto S3 (Key: ${key}): ${error.message}`,
+        error
+      );
+    }
+  }
+
+  async read(key) {
+    try {
+      const data = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return Buffer.from(await data.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFoundError(error)) return null;
+      logger.error(
+        'StorageError: Error al leer la imagen de S3 (Key: %s): %s',
+        key,
+        error.message,
+        { originalError: error }
+      );
+      throw new StorageError(
+        `Error al leer la imagen de S3 (Key: ${key}): ${error.message}`,
+        error
+      );
+    }
+  }
+
+  async delete(key) {
+    // DeleteObject no falla si el objeto no existe, por eso se comprueba antes
+    const existed = await this.exists(key);
+    if (!existed) {
+      logger.debug('El objeto S3 a eliminar no existe. Key: %s', key);
+      return false;
+    }
+    try {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+      logger.info('Imagen eliminada de S3. Bucket: %s, Key: %s', this.bucketName, key);
+      return true;
+    } catch (error) {
+      logger.error(
+        'StorageError: Error al eliminar la imagen de S3 (Key: %s): %s',
+        key,
+        error.message,
+        { originalError: error }
+      );
+      throw new StorageError(
+        `Error al eliminar la imagen de S3 (Key: ${key}): ${error.message}`,
+        error
       );
-      if (img.sizeKey === 'original') {
-        results.original = await uploadSingleImageToS3(
-          img.buffer,
-          img.filename,
-          s3BucketName
-        );
-      } else {
-        results.resized[img.sizeKey] = await uploadSingleImageToS3(
-          img.buffer,
-          img.filename,
-          s3BucketName
-        );
+    }
+  }
+
+  async getUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/+$/, '')}/${encodedKey}`;
+    }
+    if (this.endpoint) {
+      const endpointUrl = new URL(this.endpoint);
+      const basePath = endpointUrl.pathname.replace(/\/+$/, '');
+      if (this.forcePathStyle) {
+        return `${endpointUrl.origin}${basePath}/${this.bucketName}/${encodedKey}`;
       }
+      return `${endpointUrl.protocol}//${this.bucketName}.${endpointUrl.host}${basePath}/${encodedKey}`;
     }
-    logger.info('Todas las imágenes subidas a S3.');
-    return results;
-  } catch (error) {
-    // uploadSingleImageToS3 ya lanza StorageError, solo re-lanzamos
-    logger.error(
-      'StorageError: Fallo al procesar la subida a S3: %s',
-      error.message,
-      { originalError: error.originalError || error }
-    );
-    throw error;
+    return `https://${this.bucketName}.s3.${this.region}.amazonaws.com/${encodedKey}`;
   }
 }
 
-module.exports = { initS3, uploadImageToS3 };
+module.exports = { S3StorageAdapter, initS3, buildUploadParams };
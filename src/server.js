@@ -0,0 +1,307 @@
+// src/server.js
+const http = require('http');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { processAndGenerateImages } = require('./image-processor');
+const { generateCacheKeyFromHash, hashImage, resolveWatermarkForCacheKey } = require('./cache-manager');
+const { ConfigurationError, ImageProcessingError } = require('./errors');
+const { watermarkAppliesTo } = require('./watermark');
+const {
+  SUPPORTED_OUTPUT_FORMATS,
+  resolveSizeGeometry,
+  getMimeTypeForFormat,
+  isSafeImageId,
+} = require('./utils');
+const logger = require('./logger');
+
+const DEFAULT_SERVER_OPTIONS = {
+  basePath: '/img',
+  cacheControl: 'public, max-age=31536000, immutable',
+};
+
+// Opciones por defecto del resizer que no se aplican a las variantes servidas: el formato y la calidad los decide la
+// URL, se genera una sola variante y no se calculan datos derivados (placeholders, análisis, EXIF)
+const IGNORED_DEFAULTS = [
+  'outputFormat', 'outputFormats', 'optimizeOutputFormat', 'streamOutput', 'maxInputBytes',
+  'placeholders', 'analysis', 'extractExif',
+];
+
+/**
+ * Error de petición HTTP con su código de estado.
+ * Solo se usa dentro del servidor para traducir errores a respuestas.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Interpreta los parámetros de la URL (`w`, `fmt`, `q`) contra la lista de valores permitidos.
+ * @param {URLSearchParams} searchParams - Parámetros de la URL.
+ * @param {Map<number, string>} widths - Anchos permitidos y la clave de tamaño de cada uno.
+ * @param {string[]} formats - Formatos de salida permitidos.
+ * @returns {{sizeKey: string | null, width: number | null, format: string | null, quality: number | null}}
+ * @throws {HttpError} Con estado 400 si algún parámetro no está permitido.
+ */
+function parseVariantParams(searchParams, widths, formats) {
+  const params = { sizeKey: null, width: null, format: null, quality: null };
+
+  if (searchParams.has('w')) {
+    const width = Number(searchParams.get('w'));
+    if (!widths.has(width)) {
+      throw new HttpError(400, `Ancho no permitido: '${searchParams.get('w')}'. Anchos permitidos: ${[...widths.keys()].join(', ')}.`);
+    }
+    params.width = width;
+    params.sizeKey = widths.get(width);
+  }
+  if (searchParams.has('fmt')) {
+    const format = searchParams.get('fmt').toLowerCase();
+    if (!formats.includes(format)) {
+      throw new HttpError(400, `Formato no permitido: '${searchParams.get('fmt')}'. Formatos permitidos: ${formats.join(', ')}.`);
+    }
+    params.format = format;
+  }
+  if (searchParams.has('q')) {
+    const quality = Number(searchParams.get('q'));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new HttpError(400, `Calidad inválida: '${searchParams.get('q')}'. Debe ser un entero entre 1 y 100.`);
+    }
+    params.quality = quality;
+  }
+  return params;
+}
+
+/**
+ * Comprueba si la cabecera If-None-Match coincide con el ETag de la respuesta.
+ * @param {string | undefined} header - Valor de la cabecera If-None-Match.
+ * @param {string} etag - ETag de la respuesta (entre comillas).
+ * @returns {boolean}
+ */
+function matchesIfNoneMatch(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Crea un servidor HTTP (módulo `http` nativo) que sirve imágenes del almacenamiento de un
+ * ImageResizer y genera variantes bajo demanda a partir de la URL, ej. `/img/foto.original.jpg?w=640&fmt=webp&q=80`.
+ *
+ * - `w`: ancho de salida. Solo se aceptan los anchos de los tamaños configurados (`resizer.sizes`).
+ * - `fmt`: formato de salida. Solo se aceptan formatos de `SUPPORTED_OUTPUT_FORMATS` (o `options.formats`).
+ * - `q`: calidad (1-100). Si se omite, se usa la `defaultQuality` del tamaño.
+ * Sin parámetros se sirve el archivo almacenado tal cual.
+ *
+ * Las variantes se generan como en `processImage`, con las opciones por defecto del resizer (`defaults`: marca de
+ * agua, política de metadatos, gama amplia...). El archivo almacenado se trata como el original: si la marca de
+ * agua se aplica al original, ya la lleva y no se superpone otra.
+ *
+ * Las variantes generadas se guardan en el CacheManager del resizer (si está habilitado).
+ * La clave de caché y el ETag se derivan del identificador y los parámetros, por lo que se asume
+ * que los archivos almacenados no cambian de contenido (los nombres generados incluyen un ID único).
+ *
+ * @param {import('./index')} resizer - La instancia de ImageResizer.
+ * @param {object} [options={}] - Opciones del servidor.
+ * @param {string} [options.storage] - Nombre del adaptador del que se leen las imágenes. Por defecto,
+ * el primero registrado que implemente `read`.
+ * @param {string} [options.basePath='/img'] - Prefijo de las URLs de imagen.
+ * @param {string} [options.cacheControl='public, max-age=31536000, immutable'] - Valor de la cabecera Cache-Control.
+ * @param {string[]} [options.formats] - Subconjunto de formatos de salida permitidos.
+ * @returns {http.Server} El servidor, sin escuchar todavía (llamar a `listen`).
+ * @throws {ConfigurationError} Si no hay un adaptador legible o las opciones son inválidas.
+ */
+function createImageServer(resizer, options = {}) {
+  const { basePath, cacheControl } = { ...DEFAULT_SERVER_OPTIONS, ...options };
+
+  let storageName = options.storage;
+  if (storageName === undefined) {
+    storageName = [...resizer.storages.keys()].find(
+      (name) => typeof resizer.storages.get(name).read === 'function'
+    );
+  }
+  const adapter = storageName !== undefined ? resizer.getStorage(storageName) : undefined;
+  if (!adapter || typeof adapter.read !== 'function') {
+    const msg = storageName
+      ? `El adaptador de almacenamiento '${storageName}' no existe o no implementa read().`
+      : 'No hay ningún adaptador de almacenamiento que implemente read() para servir imágenes.';
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_SERVER_STORAGE_UNAVAILABLE');
+  }
+
+  const formats = options.formats || Object.keys(SUPPORTED_OUTPUT_FORMATS);
+  const unsupportedFormats = formats.filter((format) => !SUPPORTED_OUTPUT_FORMATS[format]);
+  if (unsupportedFormats.length > 0) {
+    const msg = `Formatos no soportados en la lista de formatos del servidor: ${unsupportedFormats.join(', ')}.`;
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_UNSUPPORTED_OUTPUT_FORMAT');
+  }
+
+  // Lista de anchos permitidos derivada de los tamaños configurados (los tamaños sin ancho calculable,
+  // definidos solo por 'height', no se pueden pedir con ?w=)
+  const widths = new Map();
+  for (const sizeKey in resizer.sizes) {
+    const { width } = resolveSizeGeometry(resizer.sizes[sizeKey]);
+    if (width && !widths.has(width)) {
+      widths.set(width, sizeKey);
+    }
+  }
+  const prefix = `${basePath.replace(/\/+$/, '')}/`;
+
+  // Las variantes se generan con las opciones por defecto de processImage (marca de agua, metadatos, gama amplia...),
+  // que forman parte de su clave de caché y su ETag junto con los tamaños
+  const processingDefaults = Object.fromEntries(
+    Object.entries(resizer.defaults || {}).filter(([key]) => !IGNORED_DEFAULTS.includes(key))
+  );
+
+  /**
+   * Obtiene (del caché o generándola) la variante pedida.
+   * @returns {Promise<{buffer: Buffer, format: string} | null>} La variante, o null si la imagen no existe.
+   */
+  async function getVariant(id, params, cacheKey) {
+    if (resizer.cacheManager) {
+      const cached = await resizer.cacheManager.getCachedImages(cacheKey);
+      if (cached && cached.length > 0) {
+        logger.debug('ImageServer: Cache HIT para %s', id);
+        return { buffer: cached[0].buffer, format: cached[0].metadata.format };
+      }
+    }
+
+    const sourceBuffer = await adapter.read(id);
+    if (!sourceBuffer) return null;
+
+    let sourceFormat;
+    try {
+      ({ format: sourceFormat } = await sharp(sourceBuffer).metadata());
+    } catch (err) {
+      throw new ImageProcessingError(`La imagen almacenada '${id}' no se pudo decodificar: ${err.message}`, err, 'ERR_SHARP_INIT_FAILED');
+    }
+
+    if (!params.sizeKey && !params.format && !params.quality) {
+      // Sin parámetros: se sirve el archivo almacenado tal cual
+      return { buffer: sourceBuffer, format: sourceFormat };
+    }
+
+    const format = params.format || (SUPPORTED_OUTPUT_FORMATS[sourceFormat] ? sourceFormat : 'jpeg');
+    const sizeKey = params.sizeKey || 'original';
+    // El archivo almacenado es el original: si la marca de agua se le aplica, ya la lleva y no se superpone otra
+    const { watermark } = processingDefaults;
+    const images = await processAndGenerateImages(sourceBuffer, id, resizer.sizes, {
+      ...processingDefaults,
+      outputFormat: format,
+      quality: params.quality !== null ? params.quality : processingDefaults.quality,
+      watermark: params.sizeKey && !watermarkAppliesTo(watermark, 'original') ? watermark : undefined,
+      processSizes: params.sizeKey ? [params.sizeKey] : [],
+      // Los pipelines por stream no se ejecutan hasta consumirlos, así que solo se genera la variante pedida
+      streamOutput: true,
+    });
+    const image = images.find((candidate) => candidate.sizeKey === sizeKey);
+    const variant = { buffer: await image.stream.toBuffer(), sizeKey, format };
+
+    if (resizer.cacheManager) {
+      await resizer.cacheManager.setCachedImages(cacheKey, [
+        {
+          buffer: variant.buffer,
+          filename: null,
+          sizeKey: variant.sizeKey,
+          metadata: { format: variant.format, size: variant.buffer.length },
+        },
+      ]);
+    }
+    return { buffer: variant.buffer, format: variant.format };
+  }
+
+  async function handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      throw new HttpError(405, 'Método no permitido.');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(prefix)) {
+      throw new HttpError(404, 'Ruta no encontrada.');
+    }
+    let id;
+    try {
+      id = decodeURIComponent(url.pathname.slice(prefix.length));
+    } catch (error) {
+      throw new HttpError(400, 'Identificador de imagen mal codificado.');
+    }
+    if (!isSafeImageId(id)) {
+      throw new HttpError(400, 'Identificador de imagen inválido.');
+    }
+
+    const params = parseVariantParams(url.searchParams, widths, formats);
+    // La imagen de la marca de agua se resuelve en cada petición, por si su archivo cambia
+    const defaults = { ...processingDefaults, watermark: await resolveWatermarkForCacheKey(processingDefaults.watermark) };
+    const cacheKey = generateCacheKeyFromHash(
+      hashImage(Buffer.from(`${storageName}:${id}`)),
+      {
+        server: true,
+        sizeKey: params.sizeKey,
+        format: params.format,
+        quality: params.quality,
+        defaults: hashImage(Buffer.from(JSON.stringify(defaults))),
+        sizes: resizer.sizes,
+      }
+    );
+    const etag = `"${crypto.createHash('sha1').update(cacheKey).digest('hex')}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', cacheControl);
+
+    const notFound = () => {
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      return new HttpError(404, `Imagen no encontrada: ${id}`);
+    };
+    if (matchesIfNoneMatch(req.headers['if-none-match'], etag)) {
+      // El ETag no depende del contenido: antes de confirmar la copia del cliente se comprueba que la imagen sigue existiendo
+      if (!(await adapter.exists(id))) throw notFound();
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+
+    const variant = await getVariant(id, params, cacheKey);
+    if (!variant) throw notFound();
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', getMimeTypeForFormat(variant.format));
+    res.setHeader('Content-Length', variant.buffer.length);
+    res.end(req.method === 'HEAD' ? undefined : variant.buffer);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      let statusCode = error instanceof HttpError ? error.statusCode : 500;
+      if (error instanceof ImageProcessingError) {
+        statusCode = 422; // La imagen almacenada no se pudo decodificar o transformar
+      }
+      if (statusCode >= 500) {
+        logger.error('ImageServer: Error al servir %s: %s', req.url, error.message, { originalError: error });
+      } else {
+        logger.debug('ImageServer: Petición rechazada %s (%d): %s', req.url, statusCode, error.message);
+      }
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      const body = JSON.stringify({ error: statusCode >= 500 ? 'Error interno del servidor.' : error.message });
+      res.statusCode = statusCode;
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Length', Buffer.byteLength(body));
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  });
+
+  logger.info('ImageServer: Servidor creado. Prefijo: %s, Almacenamiento: %s', prefix, storageName);
+  return server;
+}
+
+module.exports = { createImageServer };
@@ -0,0 +1,511 @@
+// src/storage-adapter.js
+const { StorageError, ImageProcessingError } = require('./errors');
+const { teeStream, collectStream } = require('./utils/stream');
+const { getMimeTypeForFormat } = require('./utils');
+const { retryWithBackoff, withTimeout, mapWithConcurrency } = require('./utils/async');
+const logger = require('./logger');
+
+// Métodos que todo adaptador de almacenamiento debe implementar
+const STORAGE_ADAPTER_METHODS = ['save', 'exists', 'delete', 'getUrl'];
+
+// Opciones por defecto de transferencia de variantes (`storage.transfer`)
+const DEFAULT_TRANSFER_OPTIONS = {
+  concurrency: 4, // Variantes que se guardan a la vez en cada adaptador
+  retries: 3, // Reintentos de una variante tras un error reintentable
+  retryDelay: 200, // Espera base del backoff exponencial, en milisegundos
+  maxRetryDelay: 5000, // Espera máxima entre reintentos, en milisegundos
+  timeout: undefined, // Plazo de cada intento, en milisegundos (sin límite por defecto)
+};
+
+// Modos de transacción del almacenamiento: sin transacción, todo o nada por adaptador o entre todos los adaptadores
+const STORAGE_TRANSACTION_MODES = ['none', 'adapter', 'all'];
+
+// Códigos de error de red o del sistema de archivos que suelen ser transitorios
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'EBUSY', 'EMFILE', 'ENFILE',
+  'ERR_STORAGE_TIMEOUT',
+];
+// Nombres de error de S3 (y servicios compatibles) por limitación de peticiones o fallos del servicio
+const RETRYABLE_ERROR_NAMES = [
+  'SlowDown', 'Throttling', 'ThrottlingException', 'TooManyRequestsException',
+  'RequestTimeout', 'RequestTimeoutException', 'InternalError', 'ServiceUnavailable', 'TimeoutError',
+];
+
+/**
+ * Contrato base para los backends de almacenamiento de ImageResizer.
+ *
+ * Un adaptador trabaja con archivos individuales identificados por una `key`
+ * (el nombre de archivo generado por el `filenameGenerator`, ej. 'resized/small/foto-123.small.webp').
+ * Para añadir un backend propio (GCS, Azure, memoria, etc.) basta con extender esta clase
+ * e implementar los cuatro métodos, o pasar cualquier objeto que los implemente.
+ *
+ * - `save(buffer, key, context)`: guarda el buffer y retorna la ruta o URL resultante.
+ * - `exists(key)`: retorna `true` si el archivo existe en el backend.
+ * - `delete(key)`: elimina el archivo. Retorna `false` si no existía.
+ * - `getUrl(key)`: retorna la ruta o URL pública del archivo.
+ *
+ * Opcionalmente puede implementar `saveStream(stream, key, context)` para guardar una variante
+ * a medida que se genera, sin tenerla entera en memoria. Si no lo implementa,
+ * el stream se lee completo y se guarda con `save`.
+ *
+ * `context` describe la variante que se guarda (ver `buildSaveContext`) y puede ignorarse:
+ * `{ sizeKey, contentType, metadata, originalFilename, options, signal }`, donde `options` son las
+ * opciones de la llamada para este adaptador (`processImage(..., { storageOptions: { [nombre]: {...} } })`)
+ * y `signal` es un AbortSignal que se aborta cuando el intento supera `storage.transfer.timeout`.
+ *
+ * Las variantes que fallan con un error reintentable (ver `isRetryableStorageError`) se reintentan
+ * con backoff exponencial, por lo que `save` debe poder repetirse con la misma `key`.
+ *
+ * También puede implementar `read(key)`, que retorna el contenido del archivo o `null` si no existe.
+ * Es necesario para que el servidor HTTP pueda servir imágenes desde ese backend.
+ */
+class StorageAdapter {
+  /**
+   * @param {string} name - Nombre del adaptador (ej. 'local', 's3', 'gcs').
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Guarda un único buffer de imagen en el backend.
+   * @param {Buffer} buffer - El buffer de la imagen a guardar.
+   * @param {string} key - El nombre de archivo completo (incluyendo subdirectorios si los hay).
+   * @param {object} [context] - Información de la variante (ver `buildSaveContext`).
+   * @returns {Promise<string>} La ruta o URL del archivo guardado.
+   * @abstract
+   */
+  async save(buffer, key, context) {
+    throw new StorageError(
+      `El adaptador '${this.name}' no implementa save().`,
+      null,
+      'ERR_STORAGE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+
+  /**
+   * Guarda una imagen a partir de un stream. La implementación por defecto lee el stream
+   * completo en memoria y delega en `save`; los adaptadores pueden sobrescribirla.
+   * @param {import('stream').Readable} stream - El stream con el contenido de la imagen.
+   * @param {string} key - El nombre de archivo completo.
+   * @param {object} [context] - Información de la variante (ver `buildSaveContext`).
+   * @returns {Promise<string>} La ruta o URL del archivo guardado.
+   */
+  async saveStream(stream, key, context) {
+    return this.save(await collectStream(stream), key, context);
+  }
+
+  /**
+   * Comprueba si un archivo existe en el backend.
+   * @param {string} key - El nombre de archivo completo.
+   * @returns {Promise<boolean>}
+   * @abstract
+   */
+  async exists(key) {
+    throw new StorageError(
+      `El adaptador '${this.name}' no implementa exists().`,
+      null,
+      'ERR_STORAGE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+
+  /**
+   * Elimina un archivo del backend.
+   * @param {string} key - El nombre de archivo completo.
+   * @returns {Promise<boolean>} `true` si se eliminó, `false` si no existía.
+   * @abstract
+   */
+  async delete(key) {
+    throw new StorageError(
+      `El adaptador '${this.name}' no implementa delete().`,
+      null,
+      'ERR_STORAGE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+
+  /**
+   * Lee el contenido de un archivo del backend. Opcional.
+   * @param {string} key - El nombre de archivo completo.
+   * @returns {Promise<Buffer | null>} El contenido, o `null` si el archivo no existe.
+   */
+  async read(key) {
+    throw new StorageError(
+      `El adaptador '${this.name}' no implementa read().`,
+      null,
+      'ERR_STORAGE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+
+  /**
+   * Obtiene la ruta o URL pública de un archivo.
+   * @param {string} key - El nombre de archivo completo.
+   * @returns {Promise<string>}
+   * @abstract
+   */
+  async getUrl(key) {
+    throw new StorageError(
+      `El adaptador '${this.name}' no implementa getUrl().`,
+      null,
+      'ERR_STORAGE_METHOD_NOT_IMPLEMENTED'
+    );
+  }
+}
+
+/**
+ * Comprueba que un objeto cumple el contrato de adaptador de almacenamiento.
+ * Se acepta cualquier objeto (no solo instancias de StorageAdapter) que implemente los métodos requeridos.
+ * @param {object} adapter - El adaptador a comprobar.
+ * @returns {string[]} Los nombres de los métodos que faltan (vacío si el adaptador es válido).
+ */
+function getMissingAdapterMethods(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    return [...STORAGE_ADAPTER_METHODS];
+  }
+  return STORAGE_ADAPTER_METHODS.filter(
+    (method) => typeof adapter[method] !== 'function'
+  );
+}
+
+/**
+ * Indica si un error de almacenamiento es transitorio y merece un reintento: errores de red
+ * (ECONNRESET, ETIMEDOUT...), limitación de peticiones (429, SlowDown), errores 5xx y plazos vencidos.
+ * Se revisa también la cadena de `originalError`. Un adaptador puede forzar la decisión
+ * marcando el error con `retryable = true | false`.
+ * @param {Error} error - El error a evaluar.
+ * @returns {boolean}
+ */
+function isRetryableStorageError(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.originalError, depth++) {
+    if (typeof current.retryable === 'boolean') return current.retryable;
+    if (RETRYABLE_ERROR_CODES.includes(current.code)) return true;
+    if (RETRYABLE_ERROR_NAMES.includes(current.name) || RETRYABLE_ERROR_NAMES.includes(current.Code)) return true;
+    const status = (current.$metadata && current.$metadata.httpStatusCode) || current.statusCode || current.status;
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    if (current.$retryable) return true;
+  }
+  return false;
+}
+
+/**
+ * Crea el error de una operación de almacenamiento que superó su plazo.
+ * @param {string} name - Nombre del adaptador.
+ * @param {string} key - El nombre de archivo.
+ * @param {number} timeout - Plazo en milisegundos.
+ * @param {string} [action='guardar'] - La operación, para el mensaje ('guardar', 'eliminar').
+ * @returns {StorageError}
+ */
+function createTimeoutError(name, key, timeout, action = 'guardar') {
+  return new StorageError(
+    `El almacenamiento '${name}' superó el tiempo máximo de ${timeout} ms al ${action} '${key}'.`,
+    null,
+    'ERR_STORAGE_TIMEOUT'
+  );
+}
+
+/**
+ * Resume un error para el informe de almacenamiento.
+ * @param {Error} error
+ * @returns {{message: string, code: string | undefined}}
+ */
+function describeError(error) {
+  return { message: error.message, code: error.code };
+}
+
+/**
+ * Construye el contexto que se pasa a `save`/`saveStream` junto con cada variante.
+ * @param {{sizeKey: string, metadata: object}} img - La imagen que se va a guardar.
+ * @param {string} name - Nombre del adaptador.
+ * @param {object} [saveOptions={}] - `{ originalFilename, storageOptions }` de la llamada a `processImage`.
+ * @returns {{sizeKey: string, contentType: string, metadata: object, originalFilename: string | undefined, options: object}}
+ * Con salida por streams, `metadata` aún no tiene las dimensiones ni el tamaño de la variante.
+ */
+function buildSaveContext(img, name, { originalFilename, storageOptions } = {}) {
+  return {
+    sizeKey: img.sizeKey,
+    contentType: getMimeTypeForFormat(img.metadata.format),
+    metadata: img.metadata,
+    originalFilename,
+    options: (storageOptions && storageOptions[name]) || {},
+  };
+}
+
+/**
+ * Crea el objeto de resultados de un adaptador: `{ original, resized, variants }`.
+ * `original` y `resized` tienen la ruta/URL del formato principal de cada tamaño; `variants`,
+ * las de todos los formatos (`{ small: { avif: url, jpeg: url } }`).
+ * @returns {{original: string | null, resized: object, variants: object}}
+ */
+function createStorageResults() {
+  return { original: null, resized: {}, variants: {} };
+}
+
+/**
+ * Clave de una variante en los `files` del informe de almacenamiento: el sizeKey para el formato
+ * principal y '<sizeKey>.<formato>' para los demás (ver `variantKey` en `ImageResizer`).
+ * @param {{sizeKey: string, variantKey?: string}} img
+ * @returns {string}
+ */
+function getFileReportKey(img) {
+  return img.variantKey || img.sizeKey;
+}
+
+/**
+ * Registra la ruta/URL de una variante guardada en los resultados de un adaptador.
+ * @param {object} results - Resultados creados con `createStorageResults`.
+ * @param {{sizeKey: string, variantKey?: string, metadata: object}} img - La imagen guardada.
+ * @param {string} location - La ruta o URL retornada por el adaptador.
+ */
+function recordSavedLocation(results, img, location) {
+  results.variants[img.sizeKey] = results.variants[img.sizeKey] || {};
+  results.variants[img.sizeKey][img.metadata.format] = location;
+  // Solo el formato principal (el que conserva el sizeKey como clave) ocupa `original`/`resized`
+  if (getFileReportKey(img) !== img.sizeKey) return;
+  if (img.sizeKey === 'original') {
+    results.original = location;
+  } else {
+    results.resized[img.sizeKey] = location;
+  }
+}
+
+/**
+ * Guarda un array de objetos de imagen (original y redimensionadas) usando un adaptador.
+ * Las variantes se guardan con hasta `transfer.concurrency` en vuelo; cada una se reintenta con
+ * backoff exponencial y jitter ante errores reintentables, con `transfer.timeout` por intento.
+ * Tras el primer fallo definitivo no se inician más variantes.
+ * @param {StorageAdapter} adapter - El adaptador de almacenamiento a utilizar.
+ * @param {string} name - El nombre con el que está registrado el adaptador (para logging).
+ * @param {Array<{buffer: Buffer, filename: string, sizeKey: string, metadata: object}>} imagesToSave - Array de objetos con buffers, nombres de archivo y claves de tamaño.
+ * @param {object} [saveOptions={}] - `{ originalFilename, storageOptions, transfer }`: contexto de cada variante
+ * y opciones de transferencia (ver `DEFAULT_TRANSFER_OPTIONS`).
+ * @returns {Promise<{results: object, files: Object<string, object>, error: Error | null}>}
+ * `results` es `{ original, resized, variants }` con las rutas/URLs guardadas (ver `createStorageResults`); `files`
+ * registra por variante (ver `getFileReportKey`) `{ key, attempts, durationMs, error? }` de cada variante intentada;
+ * `error` es el fallo definitivo, si lo hubo.
+ */
+async function saveImagesWithAdapter(adapter, name, imagesToSave, saveOptions = {}) {
+  const transfer = { ...DEFAULT_TRANSFER_OPTIONS, ...saveOptions.transfer };
+  const results = createStorageResults();
+  const files = {};
+
+  try {
+    await mapWithConcurrency(imagesToSave, transfer.concurrency, async (img) => {
+      logger.debug(
+        'StorageAdapter(%s): Guardando imagen: %s (sizeKey: %s)',
+        name,
+        img.filename,
+        img.sizeKey
+      );
+      const startedAt = Date.now();
+      try {
+        const { value: location, attempts } = await retryWithBackoff(
+          (attempt, signal) => adapter.save(img.buffer, img.filename, { ...buildSaveContext(img, name, saveOptions), signal }),
+          {
+            retries: transfer.retries,
+            baseDelay: transfer.retryDelay,
+            maxDelay: transfer.maxRetryDelay,
+            timeout: transfer.timeout,
+            onTimeout: () => createTimeoutError(name, img.filename, transfer.timeout),
+            shouldRetry: isRetryableStorageError,
+            onRetry: (error, attempt, delay) => logger.warn(
+              'StorageAdapter(%s): Error reintentable al guardar %s (intento %d): %s. Reintentando en %d ms.',
+              name,
+              img.filename,
+              attempt,
+              error.message,
+              delay
+            ),
+          }
+        );
+        files[getFileReportKey(img)] = { key: img.filename, attempts, durationMs: Date.now() - startedAt };
+        recordSavedLocation(results, img, location);
+      } catch (error) {
+        files[getFileReportKey(img)] = {
+          key: img.filename,
+          attempts: error.attempts || 1,
+          durationMs: Date.now() - startedAt,
+          error: describeError(error),
+        };
+        throw error;
+      }
+    });
+  } catch (error) {
+    return { results, files, error };
+  }
+  return { results, files, error: null };
+}
+
+/**
+ * Elimina un archivo con un adaptador, reintentando ante errores transitorios y con el plazo
+ * de `transfer.timeout` por intento.
+ * @param {StorageAdapter} adapter - El adaptador de almacenamiento.
+ * @param {string} name - El nombre con el que está registrado el adaptador (para los errores).
+ * @param {string} key - El nombre de archivo completo.
+ * @param {object} [transfer={}] - Opciones de transferencia (ver `DEFAULT_TRANSFER_OPTIONS`).
+ * @returns {Promise<boolean>} `true` si el archivo existía y se eliminó, `false` si no existía.
+ * @throws {Error} El error del último intento.
+ */
+async function deleteWithRetry(adapter, name, key, transfer = {}) {
+  const options = { ...DEFAULT_TRANSFER_OPTIONS, ...transfer };
+  const { value: existed } = await retryWithBackoff(() => adapter.delete(key), {
+    retries: options.retries,
+    baseDelay: options.retryDelay,
+    maxDelay: options.maxRetryDelay,
+    timeout: options.timeout,
+    onTimeout: () => createTimeoutError(name, key, options.timeout, 'eliminar'),
+    shouldRetry: isRetryableStorageError,
+  });
+  return existed;
+}
+
+/**
+ * Deshace el guardado de una imagen en un adaptador eliminando cada archivo intentado, también
+ * los que fallaron (una subida que venció su plazo puede haberse completado igualmente).
+ * Las eliminaciones se reintentan ante errores transitorios. Cada entrada de `files` se marca
+ * con `rolledBack: true` o con `rollbackError`.
+ * @param {StorageAdapter} adapter - El adaptador de almacenamiento.
+ * @param {string} name - El nombre con el que está registrado el adaptador (para logging).
+ * @param {Object<string, object>} files - `{ key, ... }` por variante, tal como los registra el guardado.
+ * @param {object} [transfer={}] - Opciones de transferencia (ver `DEFAULT_TRANSFER_OPTIONS`).
+ * @returns {Promise<{complete: boolean, deleted: number, failed: number}>}
+ * `complete` es false si algún archivo no pudo eliminarse y puede haber quedado huérfano.
+ */
+async function rollbackSavedImages(adapter, name, files, transfer = {}) {
+  const options = { ...DEFAULT_TRANSFER_OPTIONS, ...transfer };
+  const summary = { complete: true, deleted: 0, failed: 0 };
+  await mapWithConcurrency(Object.values(files), options.concurrency, async (file) => {
+    try {
+      const existed = await deleteWithRetry(adapter, name, file.key, options);
+      file.rolledBack = true;
+      if (existed) summary.deleted++;
+      logger.debug('StorageAdapter(%s): Archivo revertido: %s', name, file.key);
+    } catch (error) {
+      file.rollbackError = describeError(error);
+      summary.complete = false;
+      summary.failed++;
+      logger.error(
+        'StorageAdapter(%s): No se pudo revertir %s, puede haber quedado huérfano: %s',
+        name,
+        file.key,
+        error.message,
+        { originalError: error }
+      );
+    }
+  });
+  return summary;
+}
+
+/**
+ * Guarda un stream con un adaptador, usando `saveStream` si lo implementa o `save` en caso contrario.
+ * @param {StorageAdapter} adapter - El adaptador de almacenamiento.
+ * @param {import('stream').Readable} stream - El stream con el contenido de la imagen.
+ * @param {string} key - El nombre de archivo completo.
+ * @param {object} [context] - Información de la variante (ver `buildSaveContext`).
+ * @returns {Promise<string>} La ruta o URL del archivo guardado.
+ */
+async function saveStreamWithAdapter(adapter, stream, key, context) {
+  if (typeof adapter.saveStream === 'function') {
+    return adapter.saveStream(stream, key, context);
+  }
+  return adapter.save(await collectStream(stream), key, context);
+}
+
+/**
+ * Guarda imágenes generadas como streams en varios adaptadores a la vez.
+ * Cada variante se genera una sola vez y se reparte entre los adaptadores, de una en una,
+ * para no tener más de una variante en vuelo. Un adaptador que falla se descarta para
+ * las variantes siguientes sin detener a los demás. Un stream no puede volver a leerse,
+ * por lo que aquí no hay reintentos; sí se aplica `transfer.timeout` a cada variante.
+ * @param {Map<string, StorageAdapter>} adapters - Adaptadores registrados, por nombre.
+ * @param {Array<{stream: import('stream').Readable, filename: string, sizeKey: string, metadata: object}>} imagesToSave - Imágenes en forma de stream.
+ * @param {object} [saveOptions={}] - `{ originalFilename, storageOptions, transfer }` para el contexto de cada variante.
+ * @returns {Promise<{results: Object<string, object>, errors: Object<string, Error>, files: Object<string, object>,
+ * sourceError: ImageProcessingError | null}>} Los resultados `{ original, resized, variants }` de los adaptadores que
+ * terminaron, el error de los que fallaron y, por adaptador y variante, `{ key, attempts, durationMs, error? }` de cada
+ * variante intentada. Si falla la generación de una variante no se guardan las siguientes: `sourceError` es ese fallo,
+ * `results` queda vacío y `files` incluye lo ya guardado, para que quien llama pueda revertirlo.
+ */
+async function saveStreamedImages(adapters, imagesToSave, saveOptions = {}) {
+  const transfer = { ...DEFAULT_TRANSFER_OPTIONS, ...saveOptions.transfer };
+  const results = {};
+  const errors = {};
+  const files = {};
+  for (const name of adapters.keys()) {
+    results[name] = createStorageResults();
+    files[name] = {};
+  }
+
+  for (const img of imagesToSave) {
+    const active = [...adapters].filter(([name]) => !errors[name]);
+    let sourceError = null;
+    img.stream.once('error', (error) => {
+      sourceError = error;
+    });
+
+    if (active.length === 0) {
+      // Sin destinos: consumir igualmente para completar los metadatos de la variante
+      await collectStream(img.stream).catch(() => {});
+    } else {
+      const branches = teeStream(img.stream, active.length);
+      const outcomes = await Promise.allSettled(
+        active.map(([name, adapter], i) => {
+          logger.debug(
+            'StorageAdapter(%s): Guardando imagen por stream: %s (sizeKey: %s)',
+            name,
+            img.filename,
+            img.sizeKey
+          );
+          const startedAt = Date.now();
+          return withTimeout(
+            (signal) => saveStreamWithAdapter(adapter, branches[i], img.filename, { ...buildSaveContext(img, name, saveOptions), signal }),
+            transfer.timeout,
+            () => createTimeoutError(name, img.filename, transfer.timeout)
+          ).then((location) => {
+            files[name][getFileReportKey(img)] = { key: img.filename, attempts: 1, durationMs: Date.now() - startedAt };
+            return location;
+          }, (error) => {
+            files[name][getFileReportKey(img)] = { key: img.filename, attempts: 1, durationMs: Date.now() - startedAt, error: describeError(error) };
+            // Seguir consumiendo la rama para no bloquear al resto de adaptadores
+            branches[i].resume();
+            throw error;
+          });
+        })
+      );
+      if (!sourceError) {
+        outcomes.forEach((outcome, i) => {
+          const [name] = active[i];
+          if (outcome.status === 'rejected') {
+            errors[name] = outcome.reason;
+          } else {
+            recordSavedLocation(results[name], img, outcome.value);
+          }
+        });
+      }
+    }
+
+    if (sourceError) {
+      const msg = `Error al generar la variante '${img.sizeKey}' (${img.metadata.format}) por stream: ${sourceError.message}`;
+      logger.error('ImageProcessingError: %s', msg, { originalError: sourceError });
+      return { results: {}, errors, files, sourceError: new ImageProcessingError(msg, sourceError, 'ERR_RESIZE_FAILED') };
+    }
+  }
+
+  for (const name in errors) {
+    delete results[name];
+  }
+  return { results, errors, files, sourceError: null };
+}
+
+module.exports = {
+  StorageAdapter,
+  STORAGE_ADAPTER_METHODS,
+  STORAGE_TRANSACTION_MODES,
+  DEFAULT_TRANSFER_OPTIONS,
+  getMissingAdapterMethods,
+  isRetryableStorageError,
+  buildSaveContext,
+  saveImagesWithAdapter,
+  deleteWithRetry,
+  rollbackSavedImages,
+  saveStreamWithAdapter,
+  saveStreamedImages,
+};
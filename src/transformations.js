@@ -0,0 +1,352 @@
+// src/transformations.js
+const sharp = require('sharp');
+const { ConfigurationError, ImageProcessingError } = require('./errors');
+const logger = require('./logger');
+
+// Límite de las dimensiones en píxeles que admiten `extract` y `extend`
+const MAX_TRANSFORMATION_PIXELS = 16384;
+
+// Modos de fusión de `composite` (ver la documentación de Sharp)
+const COMPOSITE_BLEND_MODES = [
+  'clear', 'source', 'over', 'in', 'out', 'atop', 'dest', 'dest-over', 'dest-in', 'dest-out', 'dest-atop',
+  'xor', 'add', 'saturate', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'colour-dodge', 'color-dodge',
+  'colour-burn', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+];
+
+// Tipos de argumento: cada uno devuelve el motivo por el que el valor es inválido, o null
+const number = ({ min, max, integer = false }) => (value) =>
+  typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max
+    ? `debe ser un número${integer ? ' entero' : ''} entre ${min} y ${max}.`
+    : null;
+const boolean = () => (value) => (typeof value !== 'boolean' ? 'debe ser un booleano.' : null);
+const color = () => (value) => {
+  if (typeof value === 'string' && value.trim() !== '' && value.length <= 64) return null;
+  const isChannel = (channel) => Number.isInteger(channel) && channel >= 0 && channel <= 255;
+  if (
+    typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    ['r', 'g', 'b'].every((channel) => isChannel(value[channel])) &&
+    (value.alpha === undefined || (typeof value.alpha === 'number' && value.alpha >= 0 && value.alpha <= 1))
+  ) {
+    return null;
+  }
+  return "debe ser un color CSS (ej. '#ffffff') o un objeto { r, g, b, alpha }.";
+};
+const oneOf = (values) => (value) => (!values.includes(value) ? `debe ser uno de: ${values.join(', ')}.` : null);
+const compositeImages = () => (value) => {
+  if (!Array.isArray(value) || value.length === 0) return 'debe ser un array no vacío de capas.';
+  for (const [layerIndex, layer] of value.entries()) {
+    const error = typeof layer !== 'object' || layer === null || Array.isArray(layer)
+      ? 'debe ser un objeto.'
+      : validateArgs(layer, COMPOSITE_LAYER_ARGS);
+    if (error) return `tiene una capa inválida (${layerIndex}): ${error}`;
+  }
+  return null;
+};
+const buffer = () => (value) => (!Buffer.isBuffer(value) ? 'debe ser un Buffer (no se admiten rutas de archivo).' : null);
+
+const PIXELS = number({ min: 0, max: MAX_TRANSFORMATION_PIXELS, integer: true });
+const COMPOSITE_LAYER_ARGS = {
+  input: { check: buffer(), required: true },
+  gravity: { check: oneOf(Object.keys(sharp.gravity)) },
+  top: { check: PIXELS },
+  left: { check: PIXELS },
+  blend: { check: oneOf(COMPOSITE_BLEND_MODES) },
+  tile: { check: boolean() },
+};
+
+/**
+ * Operaciones permitidas en `transformations`. Cada una declara sus argumentos (tipo y si son obligatorios),
+ * el argumento que recibe la forma abreviada del objeto heredado (`{ rotate: 90 }`) y cómo aplicarla.
+ * Cualquier otro método de Sharp (`toFile`, `pipe`, `clone`, `resize`...) queda excluido.
+ */
+const TRANSFORMATION_OPERATIONS = {
+  rotate: {
+    args: { angle: { check: number({ min: -360, max: 360 }) }, background: { check: color() } },
+    shorthand: 'angle',
+    apply: (image, { angle, background }) => image.rotate(angle, background !== undefined ? { background } : undefined),
+  },
+  flip: { args: {}, apply: (image) => image.flip() },
+  flop: { args: {}, apply: (image) => image.flop() },
+  grayscale: { args: {}, apply: (image) => image.grayscale() },
+  negate: {
+    args: { alpha: { check: boolean() } },
+    apply: (image, { alpha }) => image.negate(alpha !== undefined ? { alpha } : undefined),
+  },
+  normalize: {
+    args: { lower: { check: number({ min: 0, max: 99, integer: true }) }, upper: { check: number({ min: 1, max: 100, integer: true }) } },
+    apply: (image, args) => image.normalize(args),
+  },
+  blur: {
+    args: { sigma: { check: number({ min: 0.3, max: 100 }) } },
+    shorthand: 'sigma',
+    apply: (image, { sigma }) => image.blur(sigma),
+  },
+  sharpen: {
+    args: {
+      sigma: { check: number({ min: 0.000001, max: 10 }) },
+      m1: { check: number({ min: 0, max: 1000000 }) },
+      m2: { check: number({ min: 0, max: 1000000 }) },
+    },
+    shorthand: 'sigma',
+    apply: (image, args) => image.sharpen(Object.keys(args).length > 0 ? args : undefined),
+  },
+  median: {
+    args: { size: { check: number({ min: 1, max: 15, integer: true }) } },
+    shorthand: 'size',
+    apply: (image, { size }) => image.median(size),
+  },
+  gamma: {
+    args: { gamma: { check: number({ min: 1, max: 3 }) }, gammaOut: { check: number({ min: 1, max: 3 }) } },
+    shorthand: 'gamma',
+    apply: (image, { gamma, gammaOut }) => image.gamma(gamma, gammaOut),
+  },
+  tint: {
+    args: { color: { check: color(), required: true } },
+    shorthand: 'color',
+    apply: (image, { color: tintColor }) => image.tint(tintColor),
+  },
+  modulate: {
+    args: {
+      brightness: { check: number({ min: 0, max: 10 }) },
+      saturation: { check: number({ min: 0, max: 10 }) },
+      hue: { check: number({ min: -360, max: 360, integer: true }) },
+      lightness: { check: number({ min: -100, max: 100 }) },
+    },
+    apply: (image, args) => image.modulate(args),
+  },
+  threshold: {
+    args: { threshold: { check: number({ min: 0, max: 255, integer: true }) }, grayscale: { check: boolean() } },
+    shorthand: 'threshold',
+    apply: (image, { threshold, grayscale }) =>
+      image.threshold(threshold, grayscale !== undefined ? { grayscale } : undefined),
+  },
+  trim: {
+    args: { threshold: { check: number({ min: 0, max: 255 }) }, background: { check: color() } },
+    apply: (image, args) => image.trim(args),
+  },
+  flatten: {
+    args: { background: { check: color() } },
+    apply: (image, args) => image.flatten(args),
+  },
+  extract: {
+    args: {
+      left: { check: PIXELS, required: true },
+      top: { check: PIXELS, required: true },
+      width: { check: number({ min: 1, max: MAX_TRANSFORMATION_PIXELS, integer: true }), required: true },
+      height: { check: number({ min: 1, max: MAX_TRANSFORMATION_PIXELS, integer: true }), required: true },
+    },
+    apply: (image, args) => image.extract(args),
+  },
+  extend: {
+    args: {
+      top: { check: PIXELS },
+      bottom: { check: PIXELS },
+      left: { check: PIXELS },
+      right: { check: PIXELS },
+      background: { check: color() },
+    },
+    apply: (image, args) => image.extend(args),
+  },
+  composite: {
+    args: { images: { check: compositeImages(), required: true } },
+    shorthand: 'images',
+    apply: (image, { images }) => image.composite(images),
+  },
+};
+
+/**
+ * Comprueba un objeto de argumentos contra su esquema: sin claves desconocidas, con las obligatorias presentes
+ * y cada valor de su tipo.
+ * @param {object} args - Los argumentos.
+ * @param {object} schema - El esquema (`{ nombre: { check, required } }`).
+ * @returns {string | null} El motivo por el que son inválidos, o null.
+ */
+function validateArgs(args, schema) {
+  const unknown = Object.keys(args).filter((name) => !Object.prototype.hasOwnProperty.call(schema, name));
+  if (unknown.length > 0) {
+    const allowed = Object.keys(schema);
+    return `argumentos no permitidos: ${unknown.join(', ')}${allowed.length > 0 ? ` (admite: ${allowed.join(', ')})` : ' (no admite argumentos)'}.`;
+  }
+  for (const [name, { check, required }] of Object.entries(schema)) {
+    if (args[name] === undefined) {
+      if (required) return `falta el argumento obligatorio \`${name}\`.`;
+      continue;
+    }
+    const error = check(args[name]);
+    if (error) return `\`${name}\` ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Lanza un ConfigurationError sobre un paso de `transformations`, registrándolo antes en el log.
+ * @param {string} label - Paso, por su posición (`transformations[2]`) o su clave en el objeto heredado.
+ * @param {string} reason - Motivo.
+ * @throws {ConfigurationError}
+ */
+function failStep(label, reason) {
+  const msg = `La transformación \`${label}\` es inválida: ${reason}`;
+  logger.error('ConfigurationError: %s', msg);
+  throw new ConfigurationError(msg, null, 'ERR_INVALID_TRANSFORMATION');
+}
+
+/**
+ * Convierte una entrada del objeto heredado (`{ rotate: 90, grayscale: true }`) en un paso.
+ * `true` aplica la operación sin argumentos, `false` la omite, un objeto son sus argumentos y
+ * cualquier otro valor, su argumento abreviado (ej. el ángulo de `rotate`).
+ * @param {string} op - La clave (operación).
+ * @param {*} value - Su valor.
+ * @returns {object | null} El paso, o null si se omite.
+ */
+function legacyEntryToStep(op, value) {
+  if (value === false) return null;
+  if (value === true) return { op };
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) return { ...value, op };
+  const operation = TRANSFORMATION_OPERATIONS[op];
+  // Sin argumento abreviado, el valor se valida como un argumento con el nombre de la operación (y se rechaza)
+  return { op, [(operation && operation.shorthand) || op]: value };
+}
+
+/**
+ * Valida y normaliza la opción `transformations`: una lista ordenada de pasos `{ op, ...argumentos }`
+ * (ej. `[{ op: 'rotate', angle: 90 }, { op: 'grayscale' }]`), cada uno con una operación de la lista
+ * permitida (`TRANSFORMATION_OPERATIONS`) y sus argumentos comprobados contra su esquema.
+ * Por compatibilidad se admite el objeto heredado `{ rotate: 90, grayscale: true }`, en el orden de sus claves.
+ * @param {Array<object> | object} transformations - La opción de la llamada.
+ * @returns {Array<{op: string, args: object}>} Los pasos validados.
+ * @throws {ConfigurationError} Si la opción o alguno de sus pasos (indicado por su posición) es inválido.
+ */
+function normalizeTransformations(transformations) {
+  let entries;
+  if (Array.isArray(transformations)) {
+    entries = transformations.map((step, index) => ({ step, label: `transformations[${index}]` }));
+  } else if (typeof transformations === 'object' && transformations !== null) {
+    entries = Object.entries(transformations)
+      .map(([op, value]) => ({ step: legacyEntryToStep(op, value), label: `transformations.${op}` }))
+      .filter(({ step }) => step !== null);
+  } else {
+    const msg = 'El parámetro `transformations` debe ser un array de pasos `{ op, ...argumentos }`.';
+    logger.error('ConfigurationError: %s', msg);
+    throw new ConfigurationError(msg, null, 'ERR_INVALID_TRANSFORMATIONS_OBJECT');
+  }
+
+  return entries.map(({ step, label }) => {
+    if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+      failStep(label, 'cada paso debe ser un objeto `{ op, ...argumentos }`.');
+    }
+    const { op, ...args } = step;
+    if (typeof op !== 'string' || !Object.prototype.hasOwnProperty.call(TRANSFORMATION_OPERATIONS, op)) {
+      failStep(label, `la operación '${op}' no está permitida. Las operaciones válidas son: ${Object.keys(TRANSFORMATION_OPERATIONS).join(', ')}.`);
+    }
+    const error = validateArgs(args, TRANSFORMATION_OPERATIONS[op].args);
+    if (error) failStep(label, `'${op}': ${error}`);
+    return { op, args };
+  });
+}
+
+// Orden en que Sharp ejecuta las operaciones configuradas en una misma instancia, sea cual sea el orden de las llamadas
+const EXECUTION_ORDER = [
+  'flip', 'flop', 'rotate', 'trim', 'extract', 'flatten', 'grayscale',
+  // (aquí redimensiona)
+  'extend', 'median', 'threshold', 'blur', 'modulate', 'sharpen', 'composite', 'gamma', 'normalize', 'tint', 'negate',
+];
+// Operaciones que Sharp ejecuta después de redimensionar: sin materializar antes, se aplicarían a cada variante
+const POST_RESIZE_OPERATIONS = EXECUTION_ORDER.slice(EXECUTION_ORDER.indexOf('extend'));
+// Operaciones que cambian las dimensiones: si quedan sin ejecutar, los metadatos de la instancia no las reflejan
+const DIMENSION_OPERATIONS = ['rotate', 'trim', 'extract', 'extend'];
+// Operaciones geométricas: Sharp decide su orden relativo según las demás opciones (ej. `autoOrient`), por lo
+// que nunca comparten instancia
+const GEOMETRY_OPERATIONS = ['flip', 'flop', 'rotate', 'trim', 'extract', 'extend'];
+// `gamma` se aplica en dos mitades (antes y después de redimensionar) que envuelven a las demás operaciones
+const STANDALONE_OPERATIONS = ['gamma'];
+// Espacios de color que se conservan al materializar, junto con su perfil ICC (los demás, ej. CMYK, pasan a sRGB)
+const PRESERVED_SPACES = ['srgb', 'rgb16'];
+
+/**
+ * Indica si un paso puede configurarse en la misma instancia que los ya configurados y Sharp lo ejecutará
+ * después de ellos, como se pidió. Una operación repetida no puede: la segunda llamada sustituye a la primera.
+ * @param {string[]} queued - Operaciones ya configuradas en la instancia.
+ * @param {string} op - Operación del paso.
+ * @returns {boolean}
+ */
+function fitsInPipeline(queued, op) {
+  if (queued.length === 0) return true;
+  if (queued.includes(op)) return false;
+  if (STANDALONE_OPERATIONS.includes(op) || queued.some((other) => STANDALONE_OPERATIONS.includes(other))) return false;
+  if (GEOMETRY_OPERATIONS.includes(op) && queued.some((other) => GEOMETRY_OPERATIONS.includes(other))) return false;
+  return queued.every((other) => EXECUTION_ORDER.indexOf(other) < EXECUTION_ORDER.indexOf(op));
+}
+
+/**
+ * Ejecuta las operaciones configuradas en una instancia y devuelve la imagen resultante, sin pérdida y con sus
+ * metadatos: PNG sin comprimir (conserva los 16 bits, el perfil ICC y el EXIF) o, con todos los fotogramas,
+ * WebP sin pérdida (conserva los fotogramas, sus duraciones y las repeticiones).
+ * @param {sharp.Sharp} image - La instancia.
+ * @param {boolean} animated - Si la instancia tiene todos los fotogramas.
+ * @returns {Promise<Buffer>}
+ */
+async function materializeImage(image, animated) {
+  const { space } = await image.metadata();
+  image.keepExif();
+  if (PRESERVED_SPACES.includes(space)) image.keepIccProfile().toColourspace(space);
+  return animated
+    ? image.webp({ lossless: true, effort: 0 }).toBuffer()
+    : image.png({ compressionLevel: 0, adaptiveFiltering: false }).toBuffer();
+}
+
+/**
+ * Aplica los pasos de transformación, en orden, a una instancia de Sharp.
+ * Sharp ejecuta las operaciones de una instancia en un orden fijo, así que los pasos se agrupan en tramos que
+ * ejecuta en el orden pedido; al terminar cada tramo la imagen se materializa y el siguiente parte de una
+ * instancia nueva. El último tramo también se materializa si tiene operaciones que Sharp ejecutaría después
+ * de redimensionar, para que se apliquen a la imagen original y no a cada variante, o que cambian las dimensiones,
+ * para que los metadatos de la instancia devuelta den las dimensiones reales.
+ * @param {sharp.Sharp} sharpInstance - La instancia base.
+ * @param {Array<{op: string, args: object}>} steps - Pasos validados con `normalizeTransformations`.
+ * @param {object} [options={}]
+ * @param {boolean} [options.animated=false] - Si la instancia tiene todos los fotogramas.
+ * @param {function(Buffer): sharp.Sharp} [options.reopen] - Crea la instancia que parte de una imagen materializada
+ * (con las mismas opciones de entrada y política de metadatos que la base). Por defecto, `sharp(buffer, { animated })`.
+ * @returns {Promise<sharp.Sharp>} La instancia con las transformaciones aplicadas.
+ * @throws {ImageProcessingError} Si Sharp rechaza un paso (indicado por su posición).
+ */
+async function applyTransformations(sharpInstance, steps, { animated = false, reopen = (input) => sharp(input, { animated }) } = {}) {
+  let image = sharpInstance;
+  let queued = [];
+  let firstQueued = 0;
+  const materialize = async () => {
+    const last = firstQueued + queued.length - 1;
+    const label = last > firstQueued ? `transformations[${firstQueued}..${last}]` : `transformations[${firstQueued}]`;
+    try {
+      image = reopen(await materializeImage(image, animated));
+    } catch (err) {
+      const msg = `Error al aplicar las transformaciones \`${label}\` ('${queued.join("', '")}'): ${err.message}`;
+      logger.error('ImageProcessingError: %s', msg, { steps: label, originalError: err });
+      throw new ImageProcessingError(msg, err, 'ERR_TRANSFORMATION_FAILED');
+    }
+    logger.debug(`Transformations: Imagen materializada tras ${label}.`);
+    queued = [];
+    firstQueued = last + 1;
+  };
+
+  for (const [index, { op, args }] of steps.entries()) {
+    if (!fitsInPipeline(queued, op)) await materialize();
+    try {
+      image = TRANSFORMATION_OPERATIONS[op].apply(image, args);
+      queued.push(op);
+      logger.debug(`Transformations: Paso ${index} ('${op}') aplicado.`);
+    } catch (err) {
+      const msg = `Error al aplicar la transformación \`transformations[${index}]\` ('${op}'): ${err.message}`;
+      logger.error('ImageProcessingError: %s', msg, { step: index, op: op, originalError: err });
+      throw new ImageProcessingError(msg, err, 'ERR_TRANSFORMATION_FAILED');
+    }
+  }
+  if (queued.some((op) => POST_RESIZE_OPERATIONS.includes(op) || DIMENSION_OPERATIONS.includes(op))) await materialize();
+  return image;
+}
+
+module.exports = {
+  TRANSFORMATION_OPERATIONS,
+  normalizeTransformations,
+  applyTransformations,
+};
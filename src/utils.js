@@ -9,6 +9,251 @@ const DEFAULT_SIZES = {
   large: { width: 1024, defaultQuality: 90 },
 };
 
+// Opciones de geometría admitidas en la definición de un tamaño (ver `resolveSizeGeometry`)
+const RESIZE_FITS = Object.keys(sharp.fit); // cover, contain, fill, inside, outside
+const RESIZE_POSITIONS = [
+  ...Object.keys(sharp.gravity), // center, north, northeast...
+  ...Object.keys(sharp.position), // top, 'right top'...
+  ...Object.keys(sharp.strategy), // entropy, attention (recorte inteligente, solo con fit 'cover')
+];
+const RESIZE_KERNELS = Object.keys(sharp.kernel); // nearest, cubic, mitchell, lanczos2, lanczos3...
+
+/**
+ * Convierte una relación de aspecto a número (ancho / alto).
+ * @param {number | string} aspectRatio - Un número (ej. 1.7778) o una cadena 'ancho:alto' (ej. '16:9').
+ * @returns {number | null} La relación, o null si el valor es inválido.
+ */
+function parseAspectRatio(aspectRatio) {
+  if (typeof aspectRatio === 'number') {
+    return Number.isFinite(aspectRatio) && aspectRatio > 0 ? aspectRatio : null;
+  }
+  if (typeof aspectRatio === 'string') {
+    const match = aspectRatio.trim().match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/);
+    if (match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+      return Number(match[1]) / Number(match[2]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Calcula la geometría de redimensionado de un tamaño. Con `aspectRatio` y una sola dimensión
+ * se deriva la otra, de modo que la salida tenga exactamente esa proporción (recortando o
+ * rellenando según `fit`). La configuración ya debe estar validada (ver `validateSizes`).
+ * @param {object} sizeConfig - Configuración del tamaño (ej. `{ width: 1280, aspectRatio: '16:9', fit: 'cover' }`).
+ * @returns {{width: number | undefined, height: number | undefined, fit: string | undefined, position: string | undefined,
+ * background: string | object | undefined, kernel: string | undefined}} Opciones para `sharp().resize()`.
+ */
+function resolveSizeGeometry(sizeConfig) {
+  let { width, height } = sizeConfig;
+  const ratio = sizeConfig.aspectRatio !== undefined ? parseAspectRatio(sizeConfig.aspectRatio) : null;
+  if (ratio && width && !height) {
+    height = Math.round(width / ratio);
+  } else if (ratio && height && !width) {
+    width = Math.round(height * ratio);
+  }
+  return {
+    width,
+    height,
+    fit: sizeConfig.fit,
+    position: sizeConfig.position,
+    background: sizeConfig.background,
+    kernel: sizeConfig.kernel,
+  };
+}
+
+// Estrategias de detección automática del punto focal (ver `detectFocalPoint`)
+const SMART_CROP_STRATEGIES = ['attention', 'entropy'];
+// Lado máximo de la muestra reducida sobre la que se detecta el punto focal
+const FOCAL_SAMPLE_SIZE = 256;
+
+/**
+ * Indica si un valor es un punto focal válido: `{ x, y }` con coordenadas relativas entre 0 y 1
+ * (0,0 es la esquina superior izquierda). Se admiten otras propiedades (ej. `source`), de modo que
+ * el `metadata.focalPoint` de un resultado puede reutilizarse tal cual.
+ * @param {*} focalPoint
+ * @returns {boolean}
+ */
+function isValidFocalPoint(focalPoint) {
+  return (
+    typeof focalPoint === 'object' && focalPoint !== null && !Array.isArray(focalPoint) &&
+    ['x', 'y'].every((axis) => typeof focalPoint[axis] === 'number' && focalPoint[axis] >= 0 && focalPoint[axis] <= 1)
+  );
+}
+
+/**
+ * Genera una muestra reducida de la imagen (con sus transformaciones ya aplicadas) para analizar el recorte.
+ * @param {sharp.Sharp} sharpInstance - Instancia base; no se modifica.
+ * @returns {Promise<{data: Buffer, info: object, aspectRatio: number}>} Los píxeles en crudo, su información
+ * y la relación de aspecto (ancho / alto) de la imagen transformada.
+ */
+async function sampleForCrop(sharpInstance) {
+  const { data, info } = await sharpInstance
+    .clone()
+    .resize({ width: FOCAL_SAMPLE_SIZE, height: FOCAL_SAMPLE_SIZE, fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, info, aspectRatio: info.width / info.height };
+}
+
+/**
+ * Detecta el punto focal de una imagen con la estrategia de recorte inteligente de Sharp.
+ * Se hacen dos recortes extremos de la muestra, uno horizontal (que localiza la coordenada y) y otro
+ * vertical (que localiza la x), y se toma el centro de la zona elegida en cada uno; con 'attention'
+ * se usa directamente el punto de máxima atención que informa Sharp.
+ * @param {{data: Buffer, info: object}} sample - Muestra generada con `sampleForCrop`.
+ * @param {string} strategy - 'attention' (zonas salientes: piel, color, luminancia) o 'entropy' (más detalle).
+ * @returns {Promise<{x: number, y: number, source: string}>} El punto en coordenadas relativas.
+ */
+async function detectFocalPoint(sample, strategy) {
+  const { width, height, channels } = sample.info;
+  const probe = async (probeWidth, probeHeight) => {
+    const { info } = await sharp(sample.data, { raw: { width, height, channels } })
+      .resize({ width: probeWidth, height: probeHeight, fit: 'cover', position: sharp.strategy[strategy] })
+      .toBuffer({ resolveWithObject: true });
+    return info;
+  };
+  const band = (length) => Math.max(1, Math.round(length / 4));
+
+  const horizontal = await probe(width, band(height)); // Recorta solo en vertical
+  const vertical = await probe(band(width), height); // Recorta solo en horizontal
+  const center = (offset, cropLength, total) => (-(offset || 0) + cropLength / 2) / total;
+  const round = (value) => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+  const useAttention = strategy === 'attention' && vertical.attentionX !== undefined;
+  return {
+    x: round(useAttention ? vertical.attentionX / width : center(vertical.cropOffsetLeft, vertical.width, width)),
+    y: round(useAttention ? horizontal.attentionY / height : center(horizontal.cropOffsetTop, horizontal.height, height)),
+    source: strategy,
+  };
+}
+
+/**
+ * Calcula el recorte de un tamaño alrededor de un punto focal: la imagen se escala hasta cubrir el tamaño
+ * pedido y se extrae la ventana centrada en el punto (desplazada lo justo para no salirse de la imagen).
+ * Solo aplica a los tamaños que recortan (`fit` 'cover' con ancho y alto). Un punto detectado automáticamente
+ * no sustituye a la `position` fijada en la configuración del tamaño; uno indicado en la llamada, sí.
+ * @param {object} sizeConfig - Configuración del tamaño.
+ * @param {{focalPoint: {x: number, y: number, source: string}, aspectRatio: number}} [crop] - El punto focal y la
+ * relación de aspecto de la imagen transformada (ver `sampleForCrop`).
+ * @returns {{resize: {width: number, height: number}, extract: {left: number, top: number, width: number, height: number}} | null}
+ * Las dimensiones intermedias y la ventana a extraer, o null si el tamaño no recorta alrededor del punto.
+ */
+function resolveFocalCrop(sizeConfig, crop) {
+  if (!crop || !crop.focalPoint) return null;
+  const { width, height, fit, position } = resolveSizeGeometry(sizeConfig);
+  if (!width || !height || (fit && fit !== 'cover')) return null;
+  if (position && crop.focalPoint.source !== 'manual') return null;
+
+  // Escalar para cubrir el tamaño pedido conservando la proporción de la imagen
+  const coverByWidth = width / height >= crop.aspectRatio;
+  const scaledWidth = coverByWidth ? width : Math.max(width, Math.round(height * crop.aspectRatio));
+  const scaledHeight = coverByWidth ? Math.max(height, Math.round(width / crop.aspectRatio)) : height;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    resize: { width: scaledWidth, height: scaledHeight },
+    extract: {
+      left: clamp(Math.round(crop.focalPoint.x * scaledWidth - width / 2), scaledWidth - width),
+      top: clamp(Math.round(crop.focalPoint.y * scaledHeight - height / 2), scaledHeight - height),
+      width,
+      height,
+    },
+  };
+}
+
+// Políticas de metadatos de las salidas: 'strip' elimina todos (EXIF, XMP, IPTC, ICC, GPS), 'icc' conserva
+// solo el perfil de color y 'preserve' los conserva todos
+const METADATA_POLICIES = ['strip', 'icc', 'preserve'];
+
+/**
+ * Configura qué metadatos de la entrada se copian a las salidas de una instancia de Sharp (y de sus clones).
+ * Sin política explícita, Sharp ya elimina todos los metadatos.
+ * @param {sharp.Sharp} sharpInstance - La instancia base.
+ * @param {string} policy - Una de `METADATA_POLICIES`.
+ * @returns {sharp.Sharp} La instancia configurada.
+ */
+function applyMetadataPolicy(sharpInstance, policy) {
+  if (policy === 'icc') return sharpInstance.keepIccProfile();
+  if (policy === 'preserve') return sharpInstance.keepMetadata();
+  return sharpInstance;
+}
+
+// Formatos que pueden conservar el perfil de gama amplia de la entrada (Display P3, Adobe RGB...) con `wideGamut`
+const WIDE_GAMUT_OUTPUT_FORMATS = ['avif', 'webp'];
+
+/**
+ * Configura el espacio de color de las salidas de una instancia de Sharp (y de sus clones), después de `applyMetadataPolicy`.
+ * Por defecto los píxeles se convierten a sRGB de 8 bits por canal al decodificar la entrada, con su perfil ICC (o uno CMYK
+ * genérico si es CMYK sin perfil): así se aplican también los perfiles de las entradas de 16 bits, que Sharp ignora si
+ * convierte al final. Si la política conserva el perfil, las salidas se etiquetan como sRGB.
+ * Con `keepSourceProfile` los píxeles se quedan en el espacio de la entrada y se incrusta su perfil, sea cual sea la política.
+ * @param {sharp.Sharp} sharpInstance - La instancia base.
+ * @param {string} policy - Una de `METADATA_POLICIES`.
+ * @param {boolean} [keepSourceProfile=false] - Conservar el perfil (de gama amplia) de la entrada.
+ * @returns {sharp.Sharp} La instancia configurada.
+ */
+function applyColorProfile(sharpInstance, policy, keepSourceProfile = false) {
+  if (keepSourceProfile) return sharpInstance.keepIccProfile();
+  sharpInstance.pipelineColourspace('srgb');
+  return policy === 'strip' ? sharpInstance : sharpInstance.withIccProfile('srgb');
+}
+
+/**
+ * Obtiene los píxeles RGBA de 8 bits (4 bytes por píxel, en sRGB) de un pipeline, como los esperan los codificadores
+ * de placeholders y el análisis de color. Con un paso `grayscale` Sharp genera un solo canal aunque se pida sRGB, así
+ * que en ese caso los píxeles en crudo se vuelven a abrir para expandirlos a RGBA.
+ * @param {sharp.Sharp} pipeline - El pipeline (se modifica).
+ * @returns {Promise<{data: Buffer, info: object}>} Los píxeles y su información (`width`, `height`, `channels`).
+ * @throws {ImageProcessingError} Si no se obtienen 4 canales.
+ */
+async function toRgbaPixels(pipeline) {
+  let { data, info } = await pipeline.toColourspace('srgb').ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  if (info.channels !== 4) {
+    ({ data, info } = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .toColourspace('srgb')
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  }
+  if (info.channels !== 4) {
+    const msg = `Se esperaban píxeles RGBA (4 canales) y se obtuvieron ${info.channels}.`;
+    logger.error('ImageProcessingError: %s', msg);
+    throw new ImageProcessingError(msg, null, 'ERR_UNEXPECTED_CHANNELS');
+  }
+  return { data, info };
+}
+
+/**
+ * Calcula las dimensiones finales de un tamaño sin generarlo, con la misma geometría que `applySizeGeometry`
+ * (redondeando como Sharp).
+ * @param {object} sizeConfig - Configuración del tamaño.
+ * @param {{width: number, height: number}} source - Dimensiones de la imagen (de un fotograma, si es animada).
+ * @param {object} [crop] - Punto focal para los tamaños que recortan (ver `resolveFocalCrop`).
+ * @returns {{width: number, height: number}} Las dimensiones de la variante (de cada fotograma).
+ */
+function resolveSizeDimensions(sizeConfig, source, crop) {
+  const focalCrop = resolveFocalCrop(sizeConfig, crop);
+  if (focalCrop) return { width: focalCrop.extract.width, height: focalCrop.extract.height };
+  const { width, height, fit } = resolveSizeGeometry(sizeConfig);
+  if (width && height) {
+    if (fit !== 'inside' && fit !== 'outside') return { width, height };
+    const scale = (fit === 'inside' ? Math.min : Math.max)(width / source.width, height / source.height);
+    return { width: Math.max(1, Math.round(source.width * scale)), height: Math.max(1, Math.round(source.height * scale)) };
+  }
+  return width
+    ? { width, height: Math.max(1, Math.round((source.height * width) / source.width)) }
+    : { width: Math.max(1, Math.round((source.width * height) / source.height)), height };
+}
+
+/**
+ * Calidad con la que se codifica un tamaño: la general de la llamada o, si no hay, la `defaultQuality` del tamaño.
+ * @param {object} sizeConfig - Configuración del tamaño.
+ * @param {number} [overallQuality] - Calidad general de la llamada.
+ * @returns {number | undefined}
+ */
+function resolveSizeQuality(sizeConfig, overallQuality) {
+  return overallQuality !== undefined ? overallQuality : sizeConfig.defaultQuality;
+}
+
 // Formatos de salida soportados y sus opciones por defecto
 const SUPPORTED_OUTPUT_FORMATS = {
   jpeg: { format: 'jpeg', options: { quality: 80 } },
@@ -16,16 +261,108 @@ const SUPPORTED_OUTPUT_FORMATS = {
   webp: { format: 'webp', options: { quality: 80 } },
   tiff: { format: 'tiff', options: { quality: 80 } },
   avif: { format: 'avif', options: { quality: 70 } }, // AVIF suele tener mejor compresión a menor calidad
-  // gif: { format: 'gif' } // Sharp no soporta directamente la salida a GIF, solo la entrada
+  gif: { format: 'gif', options: {} }, // GIF no tiene escala de calidad; se cuantiza a una paleta
 };
 
+// Formatos que Sharp puede codificar con varios fotogramas. El codificador AVIF solo genera imágenes fijas.
+const ANIMATED_OUTPUT_FORMATS = ['webp', 'gif'];
+
+/**
+ * Aplica a un pipeline de Sharp la geometría de un tamaño (redimensionado y, si procede, el recorte
+ * alrededor del punto focal), sin codificarlo.
+ * @param {sharp.Sharp} sharpInstance - Instancia de Sharp para procesar la imagen.
+ * @param {string} sizeKey - La clave del tamaño a redimensionar (ej. 'small').
+ * @param {object} sizeConfig - Objeto de configuración para el tamaño específico (ver `buildResizePipeline`).
+ * @param {object} [crop] - Punto focal para los tamaños que recortan (ver `resolveFocalCrop`).
+ * @returns {sharp.Sharp} El pipeline redimensionado.
+ */
+function applySizeGeometry(sharpInstance, sizeKey, sizeConfig, crop) {
+  const geometry = resolveSizeGeometry(sizeConfig);
+
+  // Sharp rechaza las claves presentes con valor undefined, por eso solo se pasan las definidas
+  const resizeOptions = Object.fromEntries(
+    Object.entries(geometry).filter(([, value]) => value !== undefined)
+  );
+  const focalCrop = resolveFocalCrop(sizeConfig, crop);
+  if (focalCrop) {
+    logger.debug(
+      `Recortando tamaño ${sizeKey} alrededor del punto focal (${crop.focalPoint.x}, ${crop.focalPoint.y}): %o`,
+      focalCrop.extract
+    );
+    // Un extract llamado después de resize se aplica sobre la imagen ya escalada
+    return sharpInstance
+      .resize({ ...focalCrop.resize, fit: 'fill', ...(geometry.kernel ? { kernel: geometry.kernel } : {}) })
+      .extract(focalCrop.extract);
+  }
+  return sharpInstance.resize(resizeOptions);
+}
+
+/**
+ * Configura la codificación de un pipeline de Sharp en el formato dado, con sus opciones por defecto
+ * (`SUPPORTED_OUTPUT_FORMATS`) y la calidad indicada.
+ * @param {sharp.Sharp} pipeline - El pipeline a codificar.
+ * @param {string} outputFormat - El formato de salida deseado (ej. 'jpeg', 'png', 'webp').
+ * @param {number} [quality] - Calidad a aplicar (0-100).
+ * @returns {sharp.Sharp} El pipeline configurado.
+ * @throws {ImageProcessingError} Si el formato de salida no es soportado.
+ */
+function applyOutputFormat(pipeline, outputFormat, quality) {
+  if (!SUPPORTED_OUTPUT_FORMATS[outputFormat]) {
+    // Esto debería ser capturado antes por ImageProcessor, pero es una seguridad.
+    const msg = `Formato de salida no soportado en resizeImage: ${outputFormat}`;
+    logger.error('ImageProcessingError: %s', msg);
+    throw new ImageProcessingError(msg);
+  }
+  const formatOptions = {
+    ...SUPPORTED_OUTPUT_FORMATS[outputFormat].options,
+    quality: quality,
+  };
+  return pipeline.toFormat(outputFormat, formatOptions);
+}
+
+/**
+ * Construye el pipeline de Sharp que redimensiona una imagen y la codifica en el formato dado,
+ * sin ejecutarlo. Permite consumirlo como buffer (`toBuffer`) o como stream.
+ * @param {sharp.Sharp} sharpInstance - Instancia de Sharp para procesar la imagen.
+ * @param {string} sizeKey - La clave del tamaño a redimensionar (ej. 'small').
+ * @param {string} outputFormat - El formato de salida deseado (ej. 'jpeg', 'png', 'webp').
+ * @param {number} [overallQuality] - Calidad general a aplicar (0-100), si se anula la calidad por defecto.
+ * @param {object} sizeConfig - Objeto de configuración para el tamaño específico
+ * (ej. `{ width: 300, defaultQuality: 80 }` o `{ width: 200, height: 200, fit: 'cover', position: 'attention' }`).
+ * @param {object} [crop] - Punto focal para los tamaños que recortan (ver `resolveFocalCrop`).
+ * @returns {sharp.Sharp} El pipeline configurado.
+ * @throws {ImageProcessingError} Si el formato de salida no es soportado.
+ */
+function buildResizePipeline(
+  sharpInstance,
+  sizeKey,
+  outputFormat,
+  overallQuality,
+  sizeConfig,
+  crop
+) {
+  const qualityToApply = resolveSizeQuality(sizeConfig, overallQuality);
+  const geometry = resolveSizeGeometry(sizeConfig);
+
+  logger.debug(
+    `Redimensionando imagen a ${geometry.width || 'auto'}x${geometry.height || 'auto'} (tamaño: ${sizeKey}, fit: ${geometry.fit || 'cover'}) con calidad ${qualityToApply} y formato ${outputFormat}`
+  );
+
+  return applyOutputFormat(
+    applySizeGeometry(sharpInstance, sizeKey, sizeConfig, crop),
+    outputFormat,
+    qualityToApply
+  );
+}
+
 /**
  * Redimensiona una imagen a un tamaño específico con calidad y formato dados.
  * @param {sharp.Sharp} sharpInstance - Instancia de Sharp para procesar la imagen.
  * @param {string} sizeKey - La clave del tamaño a redimensionar (ej. 'small').
  * @param {string} outputFormat - El formato de salida deseado (ej. 'jpeg', 'png', 'webp').
  * @param {number} [overallQuality] - Calidad general a aplicar (0-100), si se anula la calidad por defecto.
- * @param {object} sizeConfig - Objeto de configuración para el tamaño específico (ej. {width: 300, defaultQuality: 80}).
+ * @param {object} sizeConfig - Objeto de configuración para el tamaño específico (ver `buildResizePipeline`).
+ * @param {object} [crop] - Punto focal para los tamaños que recortan (ver `resolveFocalCrop`).
  * @returns {Promise<Buffer>} El buffer de la imagen redimensionada.
  * @throws {ImageProcessingError} Si hay un error durante el redimensionamiento.
  */
@@ -34,39 +371,28 @@ async function resizeImage(
   sizeKey,
   outputFormat,
   overallQuality,
-  sizeConfig
+  sizeConfig,
+  crop
 ) {
-  const { width, defaultQuality } = sizeConfig;
-  const qualityToApply =
-    overallQuality !== undefined ? overallQuality : defaultQuality;
-
-  logger.debug(
-    `Redimensionando imagen a ${width}px (tamaño: ${sizeKey}) con calidad ${qualityToApply} y formato ${outputFormat}`
-  );
+  const qualityToApply = resolveSizeQuality(sizeConfig, overallQuality);
+  const { width, height } = resolveSizeGeometry(sizeConfig);
 
   try {
-    let pipeline = sharpInstance.resize(width); // Redimensiona a un ancho fijo
-
-    // Aplicar formato y calidad
-    if (SUPPORTED_OUTPUT_FORMATS[outputFormat]) {
-      const formatOptions = {
-        ...SUPPORTED_OUTPUT_FORMATS[outputFormat].options,
-        quality: qualityToApply,
-      };
-      pipeline = pipeline.toFormat(outputFormat, formatOptions);
-    } else {
-      // Esto debería ser capturado antes por ImageProcessor, pero es una seguridad.
-      const msg = `Formato de salida no soportado en resizeImage: ${outputFormat}`;
-      logger.error('ImageProcessingError: %s', msg);
-      throw new ImageProcessingError(msg);
-    }
-
+    const pipeline = buildResizePipeline(
+      sharpInstance,
+      sizeKey,
+      outputFormat,
+      overallQuality,
+      sizeConfig,
+      crop
+    );
     return await pipeline.toBuffer();
   } catch (error) {
-    const msg = `Error al redimensionar imagen para tamaño '${sizeKey}' a ${width}px: ${error.message}`;
+    const msg = `Error al redimensionar imagen para tamaño '${sizeKey}' a ${width || 'auto'}x${height || 'auto'}: ${error.message}`;
     logger.error('ImageProcessingError: %s', msg, {
       sizeKey: sizeKey,
       width: width,
+      height: height,
       outputFormat: outputFormat,
       quality: qualityToApply,
       originalError: error,
@@ -75,6 +401,19 @@ async function resizeImage(
   }
 }
 
+/**
+ * Valida un identificador de imagen (la clave de sus archivos en el almacenamiento), ya sea de la URL del
+ * servidor o de `deleteImage`. Se rechazan rutas absolutas y segmentos '..' para evitar salir del almacenamiento.
+ * @param {string} id - El identificador ya decodificado.
+ * @returns {boolean}
+ */
+function isSafeImageId(id) {
+  if (!id || id.includes('\0') || id.includes('\\') || id.startsWith('/')) {
+    return false;
+  }
+  return id.split('/').every((segment) => segment !== '' && segment !== '.' && segment !== '..');
+}
+
 /**
  * Obtiene la extensión de archivo correcta para un formato dado.
  * @param {string} format - El formato de imagen (ej. 'jpeg', 'png').
@@ -85,9 +424,51 @@ function getFileExtensionForFormat(format) {
   return format;
 }
 
+/**
+ * Obtiene el tipo MIME para un formato de imagen.
+ * @param {string} format - El formato de imagen (ej. 'jpeg', 'webp').
+ * @returns {string} El tipo MIME (ej. 'image/jpeg'), o 'application/octet-stream' si no se conoce.
+ */
+function getMimeTypeForFormat(format) {
+  const mimeTypes = {
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    tiff: 'image/tiff',
+    avif: 'image/avif',
+    heif: 'image/heif',
+  };
+  return mimeTypes[format] || 'application/octet-stream';
+}
+
 module.exports = {
   DEFAULT_SIZES,
   SUPPORTED_OUTPUT_FORMATS,
+  ANIMATED_OUTPUT_FORMATS,
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  RESIZE_KERNELS,
+  SMART_CROP_STRATEGIES,
+  METADATA_POLICIES,
+  WIDE_GAMUT_OUTPUT_FORMATS,
+  parseAspectRatio,
+  resolveSizeGeometry,
+  isValidFocalPoint,
+  sampleForCrop,
+  detectFocalPoint,
+  resolveFocalCrop,
+  resolveSizeDimensions,
+  resolveSizeQuality,
+  applyMetadataPolicy,
+  applyColorProfile,
+  toRgbaPixels,
+  applySizeGeometry,
+  applyOutputFormat,
+  buildResizePipeline,
   resizeImage,
   getFileExtensionForFormat,
+  getMimeTypeForFormat,
+  isSafeImageId,
 };
@@ -0,0 +1,135 @@
+// src/utils/async.js
+
+/**
+ * Espera el tiempo indicado.
+ * @param {number} ms - Milisegundos de espera.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calcula la espera antes de un reintento: backoff exponencial con jitter completo
+ * (un valor aleatorio entre 0 y `min(maxDelay, baseDelay * 2^(intento - 1))`), para que
+ * los clientes que fallan a la vez no reintenten todos al mismo tiempo.
+ * @param {number} attempt - Número del intento que acaba de fallar (1 para el primero).
+ * @param {object} options
+ * @param {number} options.baseDelay - Espera base en milisegundos.
+ * @param {number} options.maxDelay - Espera máxima en milisegundos.
+ * @returns {number} Milisegundos de espera.
+ */
+function computeBackoffDelay(attempt, { baseDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Ejecuta una operación con un tiempo máximo. Al vencer el plazo se aborta la señal que recibe
+ * la operación (para que pueda cancelar su trabajo) y la promesa se rechaza con el error de `onTimeout`.
+ * @template T
+ * @param {function(AbortSignal): Promise<T>} operation - La operación a ejecutar.
+ * @param {number} [timeout] - Plazo en milisegundos. Sin él, la operación no tiene límite.
+ * @param {function(): Error} onTimeout - Crea el error con el que se rechaza al vencer el plazo.
+ * @returns {Promise<T>}
+ */
+async function withTimeout(operation, timeout, onTimeout) {
+  const controller = new AbortController();
+  if (!timeout) return operation(controller.signal);
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = onTimeout();
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+  try {
+    return await Promise.race([operation(controller.signal), expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ejecuta una operación reintentándola con backoff exponencial y jitter mientras falle
+ * con un error reintentable.
+ * @template T
+ * @param {function(number, AbortSignal): Promise<T>} operation - Recibe el número de intento (desde 1)
+ * y la señal que se aborta si el intento supera `timeout`.
+ * @param {object} [options={}]
+ * @param {number} [options.retries=0] - Reintentos tras el primer intento.
+ * @param {number} [options.baseDelay=200] - Espera base entre intentos, en milisegundos.
+ * @param {number} [options.maxDelay=5000] - Espera máxima entre intentos, en milisegundos.
+ * @param {number} [options.timeout] - Plazo de cada intento, en milisegundos.
+ * @param {function(): Error} [options.onTimeout] - Crea el error de un intento que vence su plazo.
+ * @param {function(Error): boolean} [options.shouldRetry] - Indica si un error es reintentable (por defecto, ninguno).
+ * @param {function(Error, number, number): void} [options.onRetry] - Se llama con el error, el intento fallido y la espera.
+ * @returns {Promise<{value: T, attempts: number}>} El resultado y el número de intentos realizados.
+ * @throws {Error} El error del último intento, con la propiedad `attempts`.
+ */
+async function retryWithBackoff(operation, {
+  retries = 0,
+  baseDelay = 200,
+  maxDelay = 5000,
+  timeout,
+  onTimeout = () => new Error(`La operación superó el tiempo máximo de ${timeout} ms.`),
+  shouldRetry = () => false,
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await withTimeout((signal) => operation(attempt, signal), timeout, onTimeout);
+      return { value, attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        if (error && typeof error === 'object') error.attempts = attempt;
+        throw error;
+      }
+      const delay = computeBackoffDelay(attempt, { baseDelay, maxDelay });
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Aplica una función asíncrona a cada elemento con un máximo de `concurrency` en vuelo.
+ * Tras el primer fallo no se inician más elementos; se espera a los que ya estaban en vuelo
+ * y se rechaza con ese primer error.
+ * @template T, R
+ * @param {T[]} items - Elementos a procesar.
+ * @param {number} concurrency - Máximo de operaciones simultáneas.
+ * @param {function(T, number): Promise<R>} fn - Recibe el elemento y su índice.
+ * @returns {Promise<R[]>} Los resultados, en el orden de `items`.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        if (!failure) failure = { error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  if (failure) throw failure.error;
+  return results;
+}
+
+module.exports = {
+  sleep,
+  computeBackoffDelay,
+  withTimeout,
+  retryWithBackoff,
+  mapWithConcurrency,
+};
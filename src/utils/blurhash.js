@@ -0,0 +1,100 @@
+// src/utils/blurhash.js
+
+// Alfabeto base 83 de BlurHash
+const BASE83_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Codifica un entero en base 83 con el número de dígitos indicado.
+ * @param {number} value
+ * @param {number} length
+ * @returns {string}
+ */
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83_DIGITS[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+}
+
+const sRGBToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+const linearToSRGB = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308 ? Math.trunc(v * 12.92 * 255 + 0.5) : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+const signPow = (value, exponent) => Math.sign(value) * Math.abs(value) ** exponent;
+
+/**
+ * Calcula la BlurHash (https://blurha.sh) de una imagen: los primeros términos de su transformada del coseno,
+ * cuantizados en una cadena corta que el cliente decodifica como un degradado borroso.
+ * @param {Buffer | Uint8Array} pixels - Los píxeles RGBA (4 bytes por píxel; el alfa se ignora).
+ * @param {number} width - Ancho de la imagen.
+ * @param {number} height - Alto de la imagen.
+ * @param {number} componentsX - Componentes horizontales (1-9).
+ * @param {number} componentsY - Componentes verticales (1-9).
+ * @returns {string} La BlurHash.
+ */
+function encodeBlurHash(pixels, width, height, componentsX, componentsY) {
+  // Los píxeles se convierten a lineal una sola vez; los cosenos de cada componente se precalculan por fila y columna
+  const linear = new Float64Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      linear[i * 3 + channel] = sRGBToLinear(pixels[i * 4 + channel]);
+    }
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    const cosY = Array.from({ length: height }, (_, y) => Math.cos((Math.PI * j * y) / height));
+    for (let i = 0; i < componentsX; i++) {
+      const cosX = Array.from({ length: width }, (_, x) => Math.cos((Math.PI * i * x) / width));
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = cosX[x] * cosY[y];
+          const index = (y * width + x) * 3;
+          r += basis * linear[index];
+          g += basis * linear[index + 1];
+          b += basis * linear[index + 2];
+        }
+      }
+      const scale = normalisation / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    // Como el codificador de referencia, el máximo de los valores con signo (así las cadenas coinciden)
+    const actualMaximum = Math.max(...ac.map((factor) => Math.max(...factor)));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map((value) =>
+      Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)))
+    );
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
+
+module.exports = {
+  encodeBlurHash,
+};
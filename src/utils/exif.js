@@ -0,0 +1,147 @@
+// src/utils/exif.js
+
+// Tamaño en bytes de cada tipo de valor TIFF (1 BYTE, 2 ASCII, 3 SHORT, 4 LONG, 5 RATIONAL, 7 UNDEFINED, 9 SLONG, 10 SRATIONAL)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Etiquetas leídas de cada directorio (IFD)
+const IFD0_TAGS = { 0x010f: 'make', 0x0110: 'model', 0x0112: 'orientation', 0x0131: 'software', 0x0132: 'dateTime', 0x8769: 'exifOffset', 0x8825: 'gpsOffset' };
+const EXIF_TAGS = {
+  0x829a: 'exposureTime', 0x829d: 'fNumber', 0x8827: 'iso', 0x9003: 'dateTimeOriginal', 0x9011: 'offsetTimeOriginal',
+  0x920a: 'focalLength', 0xa433: 'lensMake', 0xa434: 'lensModel',
+};
+const GPS_TAGS = { 0x0001: 'latitudeRef', 0x0002: 'latitude', 0x0003: 'longitudeRef', 0x0004: 'longitude', 0x0005: 'altitudeRef', 0x0006: 'altitude' };
+
+/**
+ * Lee las etiquetas indicadas de un directorio TIFF. Los valores fuera del buffer se ignoran.
+ * @param {Buffer} tiff - Los datos TIFF (desde la cabecera 'II'/'MM').
+ * @param {number} offset - Posición del directorio.
+ * @param {boolean} littleEndian - Orden de bytes.
+ * @param {object} tags - Etiquetas a leer (`{ código: nombre }`).
+ * @returns {object} Los valores por nombre: cadenas, números o arrays de números (más de un valor).
+ */
+function readIfd(tiff, offset, littleEndian, tags) {
+  const u16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const s32 = (at) => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+  const values = {};
+  if (offset + 2 > tiff.length) return values;
+
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const name = tags[u16(entry)];
+    const type = u16(entry + 2);
+    const size = TYPE_SIZES[type];
+    if (!name || !size) continue;
+    const valueCount = u32(entry + 4);
+    // Los valores de hasta 4 bytes van en la propia entrada; los demás, en la posición indicada
+    const valueOffset = size * valueCount <= 4 ? entry + 8 : u32(entry + 8);
+    if (valueOffset + size * valueCount > tiff.length) continue;
+
+    if (type === 2) {
+      values[name] = tiff.toString('latin1', valueOffset, valueOffset + valueCount).replace(/\0.*$/s, '').trim();
+      continue;
+    }
+    const read = (index) => {
+      const at = valueOffset + index * size;
+      switch (type) {
+        case 3: return u16(at);
+        case 4: return u32(at);
+        case 9: return s32(at);
+        case 5: return u32(at + 4) === 0 ? 0 : u32(at) / u32(at + 4);
+        case 10: return s32(at + 4) === 0 ? 0 : s32(at) / s32(at + 4);
+        default: return tiff[at]; // BYTE / UNDEFINED
+      }
+    };
+    const list = Array.from({ length: Math.min(valueCount, 16) }, (_, index) => read(index));
+    values[name] = list.length === 1 ? list[0] : list;
+  }
+  return values;
+}
+
+/**
+ * Convierte una fecha EXIF ('2024:05:01 10:20:30') a ISO 8601, con su zona horaria si se conoce.
+ * @param {string} [value] - La fecha EXIF.
+ * @param {string} [offset] - Desfase horario EXIF ('+02:00').
+ * @returns {string | undefined}
+ */
+function toIsoDate(value, offset) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return undefined;
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * Convierte una coordenada GPS (grados, minutos, segundos) a grados decimales.
+ * @param {number[]} dms - Los tres valores.
+ * @param {string} ref - Hemisferio ('N', 'S', 'E', 'W').
+ * @returns {number | undefined}
+ */
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) return undefined;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+}
+
+/**
+ * Elimina las claves sin valor de un objeto; devuelve undefined si queda vacío.
+ * @param {object} object
+ * @returns {object | undefined}
+ */
+function compact(object) {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined && value !== '');
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * Extrae los campos EXIF más útiles (cámara, fecha de captura, exposición y GPS) del bloque EXIF que
+ * informa Sharp en `metadata().exif`.
+ * @param {Buffer} exif - El bloque EXIF, con o sin la cabecera 'Exif\0\0'.
+ * @returns {{camera?: object, capturedAt?: string, exposure?: object, gps?: object, orientation?: number} | null}
+ * Los campos presentes, o null si el bloque no es un TIFF válido.
+ */
+function parseExif(exif) {
+  if (!Buffer.isBuffer(exif)) return null;
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  if (tiff.length < 8) return null;
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+  const littleEndian = byteOrder === 'II';
+  if ((littleEndian ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2)) !== 42) return null;
+
+  const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian, IFD0_TAGS);
+  const exifIfd = typeof ifd0.exifOffset === 'number' ? readIfd(tiff, ifd0.exifOffset, littleEndian, EXIF_TAGS) : {};
+  const gpsIfd = typeof ifd0.gpsOffset === 'number' ? readIfd(tiff, ifd0.gpsOffset, littleEndian, GPS_TAGS) : {};
+
+  const latitude = toDecimalDegrees(gpsIfd.latitude, gpsIfd.latitudeRef);
+  const longitude = toDecimalDegrees(gpsIfd.longitude, gpsIfd.longitudeRef);
+  const altitude = typeof gpsIfd.altitude === 'number'
+    ? Math.round((gpsIfd.altitudeRef === 1 ? -gpsIfd.altitude : gpsIfd.altitude) * 100) / 100
+    : undefined;
+  const number = (value) => (typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : undefined);
+
+  return compact({
+    camera: compact({
+      make: ifd0.make,
+      model: ifd0.model,
+      lens: exifIfd.lensModel || exifIfd.lensMake,
+      software: ifd0.software,
+    }),
+    capturedAt: toIsoDate(exifIfd.dateTimeOriginal || ifd0.dateTime, exifIfd.offsetTimeOriginal),
+    exposure: compact({
+      time: number(exifIfd.exposureTime), // Segundos
+      fNumber: number(exifIfd.fNumber),
+      iso: typeof exifIfd.iso === 'number' ? exifIfd.iso : undefined,
+      focalLength: number(exifIfd.focalLength), // Milímetros
+    }),
+    gps: latitude !== undefined && longitude !== undefined ? compact({ latitude, longitude, altitude }) : undefined,
+    orientation: typeof ifd0.orientation === 'number' ? ifd0.orientation : undefined,
+  }) || null;
+}
+
+module.exports = {
+  parseExif,
+};
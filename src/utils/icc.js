@@ -0,0 +1,70 @@
+// src/utils/icc.js
+
+// Espacios de color de la cabecera ICC (bytes 16-19) con nombre propio; el resto se informa tal cual
+const ICC_COLOR_SPACES = { 'RGB ': 'rgb', CMYK: 'cmyk', GRAY: 'gray', 'Lab ': 'lab', 'XYZ ': 'xyz' };
+
+/**
+ * Lee la descripción de un perfil ICC desde su etiqueta 'desc', en formato v2 ('desc', ASCII)
+ * o v4 ('mluc', UTF-16 por idioma; se prefiere el inglés).
+ * @param {Buffer} icc - El perfil.
+ * @param {number} offset - Posición de la etiqueta.
+ * @param {number} size - Tamaño de la etiqueta.
+ * @returns {string | undefined}
+ */
+function readDescription(icc, offset, size) {
+  if (size < 12 || offset + size > icc.length) return undefined;
+  const type = icc.toString('latin1', offset, offset + 4);
+
+  if (type === 'desc') {
+    const length = icc.readUInt32BE(offset + 8);
+    if (offset + 12 + length > icc.length) return undefined;
+    return icc.toString('latin1', offset + 12, offset + 12 + length).replace(/\0.*$/s, '').trim();
+  }
+  if (type === 'mluc' && size >= 16) {
+    const count = icc.readUInt32BE(offset + 8);
+    const recordSize = icc.readUInt32BE(offset + 12);
+    let chosen;
+    for (let i = 0; i < count; i++) {
+      const record = offset + 16 + i * recordSize;
+      if (record + 12 > offset + size) break;
+      const language = icc.toString('latin1', record, record + 2);
+      if (!chosen || language === 'en') {
+        chosen = { length: icc.readUInt32BE(record + 4), start: offset + icc.readUInt32BE(record + 8) };
+        if (language === 'en') break;
+      }
+    }
+    if (!chosen || chosen.start + chosen.length > icc.length) return undefined;
+    // UTF-16 big endian: se invierten los bytes para decodificarlo como 'utf16le'
+    const text = Buffer.from(icc.subarray(chosen.start, chosen.start + chosen.length)).swap16();
+    return text.toString('utf16le').replace(/\0.*$/s, '').trim();
+  }
+  return undefined;
+}
+
+/**
+ * Extrae el nombre y el espacio de color de un perfil ICC, como el que informa Sharp en `metadata().icc`.
+ * @param {Buffer} icc - El perfil.
+ * @returns {{name: string | null, colorSpace: string} | null} El nombre del perfil (su descripción) y el espacio de
+ * color de los datos ('rgb', 'cmyk', 'gray'...), o null si no es un perfil válido.
+ */
+function parseIccProfile(icc) {
+  if (!Buffer.isBuffer(icc) || icc.length < 132 || icc.toString('latin1', 36, 40) !== 'acsp') return null;
+  const space = icc.toString('latin1', 16, 20);
+  const colorSpace = ICC_COLOR_SPACES[space] || space.trim().toLowerCase();
+
+  let name = null;
+  const tagCount = icc.readUInt32BE(128);
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > icc.length) break;
+    if (icc.toString('latin1', entry, entry + 4) === 'desc') {
+      name = readDescription(icc, icc.readUInt32BE(entry + 4), icc.readUInt32BE(entry + 8)) || null;
+      break;
+    }
+  }
+  return { name, colorSpace };
+}
+
+module.exports = {
+  parseIccProfile,
+};
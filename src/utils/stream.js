@@ -0,0 +1,103 @@
+// src/utils/stream.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { ImageProcessingError } = require('../errors');
+const { generateTimestampedRandomString } = require('./uuid');
+
+/**
+ * Consume un stream de entrada una única vez, calculando su hash SHA-256 y volcándolo
+ * a un archivo temporal desde el que Sharp puede decodificarlo sin tenerlo entero en memoria.
+ * @param {import('stream').Readable} readable - El stream de la imagen.
+ * @param {object} [options={}]
+ * @param {number} [options.maxBytes] - Tamaño máximo permitido en bytes. Se aborta la lectura al superarlo.
+ * @returns {Promise<{filePath: string, hash: string, bytes: number, cleanup: function(): Promise<void>}>}
+ * @throws {ImageProcessingError} Si el stream falla o supera el tamaño máximo.
+ */
+async function spoolStreamToTempFile(readable, { maxBytes } = {}) {
+  const filePath = path.join(
+    os.tmpdir(),
+    `images-resized-${generateTimestampedRandomString(8)}.tmp`
+  );
+  const cleanup = () => fs.promises.rm(filePath, { force: true });
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+
+  // Transform que cuenta y hashea cada chunk mientras pasa hacia el archivo temporal
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (maxBytes !== undefined && bytes > maxBytes) {
+        callback(
+          new ImageProcessingError(
+            `La imagen de entrada supera el tamaño máximo permitido de ${maxBytes} bytes.`,
+            null,
+            'ERR_INPUT_TOO_LARGE'
+          )
+        );
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(readable, meter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await cleanup().catch(() => {});
+    if (error instanceof ImageProcessingError) throw error;
+    throw new ImageProcessingError(
+      `Error al leer el stream de la imagen: ${error.message}`,
+      error,
+      'ERR_INPUT_STREAM_FAILED'
+    );
+  }
+
+  return { filePath, hash: hash.digest('hex'), bytes, cleanup };
+}
+
+/**
+ * Divide un stream en `count` streams independientes que reciben los mismos datos.
+ * La contrapresión se respeta: el origen se pausa mientras alguna rama esté llena.
+ * Si el origen falla, el error se propaga a todas las ramas.
+ * @param {import('stream').Readable} source - El stream de origen.
+ * @param {number} count - Número de ramas.
+ * @returns {PassThrough[]}
+ */
+function teeStream(source, count) {
+  const branches = Array.from({ length: count }, () => {
+    // El error ya se informa en el origen; sin este listener, una rama que aún no tiene consumidor
+    // (ej. un adaptador que todavía está creando el directorio) lanzaría un error no capturado
+    const branch = new PassThrough();
+    branch.on('error', () => {});
+    return branch;
+  });
+  source.on('error', (error) => {
+    for (const branch of branches) branch.destroy(error);
+  });
+  for (const branch of branches) source.pipe(branch);
+  return branches;
+}
+
+/**
+ * Lee un stream completo y retorna su contenido como un único Buffer.
+ * @param {import('stream').Readable} readable - El stream a leer.
+ * @returns {Promise<Buffer>}
+ */
+async function collectStream(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  spoolStreamToTempFile,
+  teeStream,
+  collectStream,
+};
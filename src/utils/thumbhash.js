@@ -0,0 +1,125 @@
+// src/utils/thumbhash.js
+
+// Lado máximo de la imagen que admite ThumbHash
+const THUMBHASH_MAX_SIZE = 100;
+
+/**
+ * Calcula la ThumbHash (https://evanw.github.io/thumbhash/) de una imagen: como BlurHash, una transformada del
+ * coseno cuantizada, pero en un espacio de luminancia y color (LPQA) que conserva también la relación de aspecto
+ * y la transparencia.
+ * @param {Buffer | Uint8Array} pixels - Los píxeles RGBA (4 bytes por píxel).
+ * @param {number} width - Ancho de la imagen (como máximo `THUMBHASH_MAX_SIZE`).
+ * @param {number} height - Alto de la imagen (como máximo `THUMBHASH_MAX_SIZE`).
+ * @returns {Buffer} Los bytes de la ThumbHash (normalmente se transmiten en base64).
+ * @throws {RangeError} Si la imagen supera el tamaño máximo.
+ */
+function encodeThumbHash(pixels, width, height) {
+  if (width > THUMBHASH_MAX_SIZE || height > THUMBHASH_MAX_SIZE) {
+    throw new RangeError(`La imagen de ${width}x${height} supera los ${THUMBHASH_MAX_SIZE}x${THUMBHASH_MAX_SIZE} píxeles de ThumbHash.`);
+  }
+  const count = width * height;
+
+  // Color medio, ponderado por el alfa
+  let averageR = 0;
+  let averageG = 0;
+  let averageB = 0;
+  let averageA = 0;
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    const alpha = pixels[j + 3] / 255;
+    averageR += (alpha / 255) * pixels[j];
+    averageG += (alpha / 255) * pixels[j + 1];
+    averageB += (alpha / 255) * pixels[j + 2];
+    averageA += alpha;
+  }
+  if (averageA) {
+    averageR /= averageA;
+    averageG /= averageA;
+    averageB /= averageA;
+  }
+
+  const hasAlpha = averageA < count;
+  const luminanceLimit = hasAlpha ? 5 : 7; // Menos bits de luminancia si hay transparencia
+  const lx = Math.max(1, Math.round((luminanceLimit * width) / Math.max(width, height)));
+  const ly = Math.max(1, Math.round((luminanceLimit * height) / Math.max(width, height)));
+
+  // RGBA a LPQA (luminancia, amarillo-azul, rojo-verde, alfa), compuesto sobre el color medio
+  const l = new Float64Array(count);
+  const p = new Float64Array(count);
+  const q = new Float64Array(count);
+  const a = new Float64Array(count);
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    const alpha = pixels[j + 3] / 255;
+    const r = averageR * (1 - alpha) + (alpha / 255) * pixels[j];
+    const g = averageG * (1 - alpha) + (alpha / 255) * pixels[j + 1];
+    const b = averageB * (1 - alpha) + (alpha / 255) * pixels[j + 2];
+    l[i] = (r + g + b) / 3;
+    p[i] = (r + g) / 2 - b;
+    q[i] = r - g;
+    a[i] = alpha;
+  }
+
+  // Término constante (DC) y términos variables (AC) normalizados de cada canal
+  const encodeChannel = (channel, nx, ny) => {
+    let dc = 0;
+    let scale = 0;
+    const ac = [];
+    const fx = new Float64Array(width);
+    for (let cy = 0; cy < ny; cy++) {
+      for (let cx = 0; cx * ny < nx * (ny - cy); cx++) {
+        let f = 0;
+        for (let x = 0; x < width; x++) fx[x] = Math.cos((Math.PI / width) * cx * (x + 0.5));
+        for (let y = 0; y < height; y++) {
+          const fy = Math.cos((Math.PI / height) * cy * (y + 0.5));
+          for (let x = 0; x < width; x++) f += channel[x + y * width] * fx[x] * fy;
+        }
+        f /= count;
+        if (cx || cy) {
+          ac.push(f);
+          scale = Math.max(scale, Math.abs(f));
+        } else {
+          dc = f;
+        }
+      }
+    }
+    if (scale) {
+      for (let i = 0; i < ac.length; i++) ac[i] = 0.5 + (0.5 / scale) * ac[i];
+    }
+    return { dc, ac, scale };
+  };
+  const luminance = encodeChannel(l, Math.max(3, lx), Math.max(3, ly));
+  const yellowBlue = encodeChannel(p, 3, 3);
+  const redGreen = encodeChannel(q, 3, 3);
+  const alphaChannel = hasAlpha ? encodeChannel(a, 5, 5) : null;
+
+  // Cabecera con las constantes
+  const isLandscape = width > height;
+  const header24 = Math.round(63 * luminance.dc) |
+    (Math.round(31.5 + 31.5 * yellowBlue.dc) << 6) |
+    (Math.round(31.5 + 31.5 * redGreen.dc) << 12) |
+    (Math.round(31 * luminance.scale) << 18) |
+    ((hasAlpha ? 1 : 0) << 23);
+  const header16 = (isLandscape ? ly : lx) |
+    (Math.round(63 * yellowBlue.scale) << 3) |
+    (Math.round(63 * redGreen.scale) << 9) |
+    ((isLandscape ? 1 : 0) << 15);
+  const hash = [header24 & 255, (header24 >> 8) & 255, header24 >> 16, header16 & 255, header16 >> 8];
+  if (alphaChannel) hash.push(Math.round(15 * alphaChannel.dc) | (Math.round(15 * alphaChannel.scale) << 4));
+
+  // Términos variables, dos por byte
+  const acStart = hash.length;
+  let acIndex = 0;
+  const channels = alphaChannel ? [luminance, yellowBlue, redGreen, alphaChannel] : [luminance, yellowBlue, redGreen];
+  for (const { ac } of channels) {
+    for (const f of ac) {
+      const at = acStart + (acIndex >> 1);
+      hash[at] = (hash[at] || 0) | (Math.round(15 * f) << ((acIndex & 1) << 2));
+      acIndex++;
+    }
+  }
+  return Buffer.from(hash);
+}
+
+module.exports = {
+  THUMBHASH_MAX_SIZE,
+  encodeThumbHash,
+};
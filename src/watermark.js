@@ -0,0 +1,211 @@
+// src/watermark.js
+const sharp = require('sharp');
+const { ImageProcessingError } = require('./errors');
+const logger = require('./logger');
+
+// Anclajes admitidos para la marca de agua (gravedades de Sharp: center, north, northeast...)
+const WATERMARK_POSITIONS = Object.keys(sharp.gravity);
+
+const WATERMARK_DEFAULTS = {
+  position: 'southeast',
+  margin: 0.02, // Relativo al ancho de la salida
+  opacity: 0.5,
+  width: 0.2, // Relativo al ancho de la salida
+  tile: false,
+  font: 'sans-serif',
+  color: '#ffffff',
+};
+
+// Tamaño de letra con el que se renderiza el texto; luego se escala a cada salida como una imagen
+const TEXT_RENDER_SIZE = 200;
+
+/**
+ * Comprueba la opción `watermark` de `processImage`.
+ * @param {*} watermark - El valor de la opción.
+ * @param {string[]} [sizeKeys] - Tamaños configurados, para validar `watermark.sizes`.
+ * @returns {string | null} El motivo por el que es inválida, o null si es válida.
+ */
+function getWatermarkError(watermark, sizeKeys) {
+  if (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark)) {
+    return 'debe ser un objeto (o false para desactivarla).';
+  }
+  const { image, text } = watermark;
+  const hasImage = Buffer.isBuffer(image) || (typeof image === 'string' && image.trim() !== '');
+  const hasText = typeof text === 'string' && text.trim() !== '';
+  if (image !== undefined && !hasImage) return '`image` debe ser un Buffer o la ruta de un archivo.';
+  if (text !== undefined && !hasText) return '`text` debe ser una cadena de texto no vacía.';
+  if (hasImage === hasText) return 'debe indicar `image` o `text` (solo uno de los dos).';
+  if (watermark.position !== undefined && !WATERMARK_POSITIONS.includes(watermark.position)) {
+    return `\`position\` es inválida: '${watermark.position}'. Las posiciones válidas son: ${WATERMARK_POSITIONS.join(', ')}.`;
+  }
+  if (watermark.margin !== undefined && (typeof watermark.margin !== 'number' || !(watermark.margin >= 0 && watermark.margin < 0.5))) {
+    return '`margin` debe ser un número entre 0 y 0.5 (relativo al ancho de la salida).';
+  }
+  if (watermark.opacity !== undefined && (typeof watermark.opacity !== 'number' || !(watermark.opacity > 0 && watermark.opacity <= 1))) {
+    return '`opacity` debe ser un número mayor que 0 y menor o igual que 1.';
+  }
+  if (watermark.width !== undefined && (typeof watermark.width !== 'number' || !(watermark.width > 0 && watermark.width <= 1))) {
+    return '`width` debe ser un número mayor que 0 y menor o igual que 1 (relativo al ancho de la salida).';
+  }
+  if (watermark.tile !== undefined && typeof watermark.tile !== 'boolean') return '`tile` debe ser un booleano.';
+  for (const key of ['font', 'color']) {
+    if (watermark[key] !== undefined && (typeof watermark[key] !== 'string' || watermark[key].trim() === '')) {
+      return `\`${key}\` debe ser una cadena de texto no vacía.`;
+    }
+  }
+  if (watermark.sizes !== undefined) {
+    if (!Array.isArray(watermark.sizes) || !watermark.sizes.every((sizeKey) => typeof sizeKey === 'string')) {
+      return "`sizes` debe ser un array de claves de tamaño (puede incluir 'original').";
+    }
+    const unknownSizes = sizeKeys ? watermark.sizes.filter((sizeKey) => sizeKey !== 'original' && !sizeKeys.includes(sizeKey)) : [];
+    if (unknownSizes.length > 0) {
+      return `\`sizes\` contiene claves de tamaño inválidas: ${unknownSizes.join(', ')}. Las claves válidas son: original, ${sizeKeys.join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Escapa un texto para usarlo dentro de un documento SVG.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Carga la imagen de la marca de agua (o renderiza su texto) una sola vez por llamada, como PNG con canal alfa.
+ * Cada salida la escala después a su propio ancho (ver `renderWatermarkOverlay`).
+ * @param {object} watermark - Opción `watermark` ya validada.
+ * @returns {Promise<object>} Las opciones con sus valores por defecto y `source: { buffer, width, height }`.
+ * @throws {ImageProcessingError} Si no se puede leer la imagen o renderizar el texto.
+ */
+async function prepareWatermark(watermark) {
+  const options = { ...WATERMARK_DEFAULTS, ...watermark };
+  try {
+    let input;
+    if (options.text !== undefined) {
+      // Lienzo holgado; `trim` lo ajusta después a los píxeles del texto
+      const canvasWidth = Math.ceil(options.text.length * TEXT_RENDER_SIZE * 0.8) + TEXT_RENDER_SIZE;
+      const canvasHeight = Math.ceil(TEXT_RENDER_SIZE * 1.5);
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}">` +
+        `<text x="${TEXT_RENDER_SIZE / 4}" y="${TEXT_RENDER_SIZE * 1.1}" font-size="${TEXT_RENDER_SIZE}" ` +
+        `font-family="${escapeXml(options.font)}" fill="${escapeXml(options.color)}">${escapeXml(options.text)}</text></svg>`;
+      input = sharp(Buffer.from(svg)).trim();
+    } else {
+      input = sharp(options.image);
+    }
+    const { data, info } = await input.ensureAlpha().png().toBuffer({ resolveWithObject: true });
+    logger.debug('Watermark: Marca de agua preparada (%s): %dx%d', options.text !== undefined ? 'texto' : 'imagen', info.width, info.height);
+    return { ...options, source: { buffer: data, width: info.width, height: info.height } };
+  } catch (err) {
+    const msg = `No se pudo preparar la marca de agua: ${err.message}`;
+    logger.error('ImageProcessingError: %s', msg, { originalError: err });
+    throw new ImageProcessingError(msg, err, 'ERR_WATERMARK_FAILED');
+  }
+}
+
+/**
+ * Indica si la marca de agua se aplica a una variante.
+ * @param {object} [watermark] - Marca de agua preparada con `prepareWatermark`.
+ * @param {string} sizeKey - La clave del tamaño (o 'original').
+ * @returns {boolean}
+ */
+function watermarkAppliesTo(watermark, sizeKey) {
+  return Boolean(watermark) && (!watermark.sizes || watermark.sizes.includes(sizeKey));
+}
+
+/**
+ * Genera la capa de la marca de agua para una salida de las dimensiones dadas: escalada a `width` veces su ancho,
+ * con la opacidad aplicada y el margen incluido como relleno transparente, de modo que la gravedad de Sharp
+ * la ancle respetándolo. En modo mosaico el margen es la separación entre repeticiones.
+ * @param {object} watermark - Marca de agua preparada con `prepareWatermark`.
+ * @param {number} outputWidth - Ancho de la salida.
+ * @param {number} outputHeight - Alto de la salida.
+ * @returns {Promise<object | null>} La entrada para `sharp().composite()`, o null si la salida es demasiado pequeña.
+ */
+async function renderWatermarkOverlay(watermark, outputWidth, outputHeight) {
+  const { source, position, tile, opacity } = watermark;
+  const margin = Math.round(watermark.margin * outputWidth);
+  // La capa, con su margen, no puede superar la salida
+  const maxWidth = outputWidth - (tile ? margin : 2 * margin);
+  const maxHeight = outputHeight - (tile ? margin : 2 * margin);
+  const scale = Math.min(
+    Math.round(watermark.width * outputWidth) / source.width,
+    maxWidth / source.width,
+    maxHeight / source.height
+  );
+  const width = Math.round(source.width * scale);
+  const height = Math.round(source.height * scale);
+  if (width < 1 || height < 1) {
+    logger.debug('Watermark: Salida de %dx%d demasiado pequeña para la marca de agua, se omite.', outputWidth, outputHeight);
+    return null;
+  }
+
+  const extend = tile
+    ? { right: margin, bottom: margin }
+    : {
+      top: /^north/.test(position) ? margin : 0,
+      bottom: /^south/.test(position) ? margin : 0,
+      left: /west$/.test(position) ? margin : 0,
+      right: /east$/.test(position) ? margin : 0,
+    };
+  const overlay = await sharp(source.buffer)
+    .resize({ width, height, fit: 'fill' })
+    .extend({ top: 0, bottom: 0, left: 0, right: 0, ...extend, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    // Multiplica el canal alfa por la opacidad
+    .composite([{
+      input: Buffer.from([0, 0, 0, Math.round(255 * opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in',
+    }])
+    .png()
+    .toBuffer();
+  return tile ? { input: overlay, tile: true, gravity: 'northwest' } : { input: overlay, gravity: position };
+}
+
+/**
+ * Superpone la marca de agua a un pipeline (ya redimensionado), escalada a su tamaño final.
+ * La capa depende de las dimensiones finales de la variante, que se calculan a partir de su geometría (ver
+ * `resolveSizeDimensions`) sin generarla. La capa se añade al propio pipeline (Sharp la compone tras
+ * redimensionar), que conserva así sus metadatos y perfil de color, y se codifica después en cada formato de salida.
+ * Un paso `composite` de `transformations` ya se ha ejecutado antes (ver `applyTransformations`), así que el pipeline
+ * no tiene capas pendientes que `composite()` pudiera sustituir.
+ * En las animadas, Sharp superpone las capas sobre la tira de fotogramas, así que se coloca una copia en cada fotograma.
+ * @param {sharp.Sharp} pipeline - El pipeline de la variante, sin codificar.
+ * @param {object} watermark - Marca de agua preparada con `prepareWatermark`.
+ * @param {{width: number, height: number, pages?: number}} dimensions - Dimensiones finales de cada fotograma de la
+ * variante y número de fotogramas (1 si no es animada).
+ * @returns {Promise<sharp.Sharp>} El pipeline con la marca de agua, listo para `toFormat`.
+ */
+async function applyWatermark(pipeline, watermark, { width, height: frameHeight, pages = 1 }) {
+  const overlay = await renderWatermarkOverlay(watermark, width, frameHeight);
+  if (!overlay) return pipeline;
+  if (!(pages > 1)) return pipeline.composite([overlay]);
+
+  const frameOverlay = await sharp({
+    create: { width, height: frameHeight, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+  })
+    .composite([overlay])
+    .png()
+    .toBuffer();
+  return pipeline.composite(
+    Array.from({ length: pages }, (_, page) => ({ input: frameOverlay, top: page * frameHeight, left: 0 }))
+  );
+}
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  WATERMARK_DEFAULTS,
+  getWatermarkError,
+  prepareWatermark,
+  watermarkAppliesTo,
+  renderWatermarkOverlay,
+  applyWatermark,
+};
@@ -0,0 +1,19 @@
+// test/analysis.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { analyzeImage } = require('../src/analysis');
+
+test('una imagen opaca en escala de grises no tiene píxeles transparentes', async () => {
+  const jpeg = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#808080' } })
+    .toColourspace('b-w')
+    .jpeg()
+    .toBuffer();
+
+  for (const instance of [sharp(jpeg), sharp(jpeg).grayscale()]) {
+    const result = await analyzeImage(instance, true, false);
+    assert.equal(result.transparency, 0);
+    assert.equal(result.mostlyTransparent, false);
+    assert.equal(result.dominant.hex, '#808080');
+  }
+});
@@ -0,0 +1,74 @@
+// test/animated.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { processAndGenerateImages } = require('../src/image-processor');
+const { createImage, pixelAt } = require('./helpers');
+
+const COLORS = [[255, 0, 0], [0, 255, 0], [0, 0, 255]];
+const DELAYS = [100, 200, 300];
+
+/**
+ * GIF animado de 80x40 con un fotograma rojo, uno verde y uno azul, que se repite dos veces.
+ */
+async function createAnimatedGif() {
+  const frames = await Promise.all(
+    COLORS.map(([r, g, b]) => createImage(80, 40, `rgb(${r},${g},${b})`))
+  );
+  return sharp(frames, { join: { animated: true } }).gif({ delay: DELAYS, loop: 2 }).toBuffer();
+}
+
+test('las variantes webp y gif conservan los fotogramas, los retardos y las repeticiones', async () => {
+  const images = await processAndGenerateImages(await createAnimatedGif(), 'avatar.gif', { small: { width: 40 } }, {
+    outputFormats: ['webp', 'gif', 'jpeg'],
+  });
+
+  for (const img of images.filter(({ metadata }) => metadata.format !== 'jpeg')) {
+    const label = `${img.sizeKey}.${img.metadata.format}`;
+    const width = img.sizeKey === 'small' ? 40 : 80;
+    assert.equal(img.metadata.frames, 3, label);
+    assert.equal(img.metadata.duration, 600, label);
+    assert.equal(img.metadata.loop, 2, label);
+    assert.equal(img.metadata.width, width, label);
+    assert.equal(img.metadata.height, width / 2, label);
+
+    const output = await sharp(img.buffer, { animated: true }).metadata();
+    assert.equal(output.pages, 3, label);
+    assert.equal(output.pageHeight, width / 2, label);
+    assert.deepEqual(output.delay, DELAYS, label);
+    assert.equal(output.loop, 2, label);
+
+    // Cada fotograma conserva su color
+    const { data, info } = await sharp(img.buffer, { animated: true }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    COLORS.forEach((color, page) => {
+      pixelAt(data, info, width / 2, page * output.pageHeight + 5).forEach((channel, i) =>
+        assert.ok(Math.abs(channel - color[i]) < 10, `${label} fotograma ${page}`)
+      );
+    });
+  }
+
+  // Los formatos sin animación usan el primer fotograma
+  const jpeg = images.find(({ sizeKey, metadata }) => sizeKey === 'small' && metadata.format === 'jpeg');
+  assert.equal(jpeg.metadata.frames, undefined);
+  assert.deepEqual([jpeg.metadata.width, jpeg.metadata.height], [40, 20]);
+});
+
+test("con animated: false se usa el fotograma posterFrame y un posterFrame inexistente es un error", async () => {
+  const [original] = await processAndGenerateImages(await createAnimatedGif(), 'avatar.gif', {}, {
+    outputFormat: 'webp',
+    processSizes: [],
+    animated: false,
+    posterFrame: 2,
+  });
+  const output = await sharp(original.buffer, { animated: true }).metadata();
+  assert.equal(output.pages || 1, 1);
+  assert.equal(output.height, 40);
+  const { data, info } = await sharp(original.buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const [r, g, b] = pixelAt(data, info, 40, 20);
+  assert.ok(b > 200 && r < 30 && g < 30, `${r},${g},${b}`);
+
+  await assert.rejects(
+    processAndGenerateImages(await createAnimatedGif(), 'avatar.gif', {}, { processSizes: [], posterFrame: 3 }),
+    (err) => err.name === 'ConfigurationError' && err.code === 'ERR_INVALID_POSTER_FRAME'
+  );
+});
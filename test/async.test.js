@@ -0,0 +1,85 @@
+// test/async.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retryWithBackoff, mapWithConcurrency, sleep } = require('../src/utils/async');
+
+test('retryWithBackoff reintenta los errores reintentables e informa de los intentos', async () => {
+  const delays = [];
+  const { value, attempts } = await retryWithBackoff(
+    async (attempt) => {
+      if (attempt < 3) throw Object.assign(new Error('conexión reiniciada'), { code: 'ECONNRESET' });
+      return 'guardado';
+    },
+    {
+      retries: 3,
+      baseDelay: 4,
+      maxDelay: 6,
+      shouldRetry: (error) => error.code === 'ECONNRESET',
+      onRetry: (error, attempt, delay) => delays.push([attempt, delay]),
+    }
+  );
+  assert.equal(value, 'guardado');
+  assert.equal(attempts, 3);
+  assert.deepEqual(delays.map(([attempt]) => attempt), [1, 2]);
+  // Jitter completo: entre 0 y min(maxDelay, baseDelay * 2^(intento - 1))
+  assert.ok(delays[0][1] <= 4 && delays[1][1] <= 6, JSON.stringify(delays));
+});
+
+test('retryWithBackoff no reintenta los errores permanentes ni más allá de retries', async () => {
+  let calls = 0;
+  await assert.rejects(
+    retryWithBackoff(async () => {
+      calls++;
+      throw new Error('acceso denegado');
+    }, { retries: 3, baseDelay: 1 }),
+    (error) => error.message === 'acceso denegado' && error.attempts === 1
+  );
+  assert.equal(calls, 1);
+
+  await assert.rejects(
+    retryWithBackoff(async () => {
+      throw new Error('sigue fallando');
+    }, { retries: 2, baseDelay: 1, shouldRetry: () => true }),
+    (error) => error.attempts === 3
+  );
+});
+
+test('retryWithBackoff aborta el intento que supera el plazo', async () => {
+  let aborted = false;
+  await assert.rejects(
+    retryWithBackoff(
+      (attempt, signal) => new Promise(() => {
+        signal.addEventListener('abort', () => { aborted = true; });
+      }),
+      { timeout: 20, onTimeout: () => Object.assign(new Error('plazo vencido'), { code: 'ERR_STORAGE_TIMEOUT' }) }
+    ),
+    (error) => error.code === 'ERR_STORAGE_TIMEOUT'
+  );
+  assert.equal(aborted, true);
+});
+
+test('mapWithConcurrency respeta el límite y conserva el orden de los resultados', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return index * 10;
+  });
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(maxInFlight, 2);
+});
+
+test('mapWithConcurrency no inicia más elementos tras el primer fallo', async () => {
+  const started = [];
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('fallo en 2');
+    }),
+    /fallo en 2/
+  );
+  assert.deepEqual(started, [1, 2]);
+});
@@ -0,0 +1,46 @@
+// test/cache-key.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ImageResizer = require('../src/index');
+const { createImage } = require('./helpers');
+
+let workDir;
+let source;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-key-test-'));
+  source = await createImage(80, 40, '#ff0000');
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+const createResizer = (sizes) => new ImageResizer({
+  useEnv: false,
+  sizes,
+  cache: { enabled: true, path: path.join(workDir, 'cache') },
+  storage: { local: { path: path.join(workDir, 'images') }, s3: { enabled: false } },
+});
+
+test('la clave de caché cambia con la configuración de los tamaños de la instancia', async () => {
+  const narrow = await createResizer({ small: { width: 20, defaultQuality: 80 } }).processImage(source, 'foto.png');
+  const wide = await createResizer({ small: { width: 40, defaultQuality: 80 } }).processImage(source, 'foto.png');
+  assert.deepEqual([narrow.metadata.resized.small.width, wide.metadata.resized.small.width], [20, 40]);
+});
+
+test('la clave de caché depende del contenido del archivo de la marca de agua, no de su ruta', async () => {
+  const resizer = createResizer({ small: { width: 40, defaultQuality: 80 } });
+  const watermarkPath = path.join(workDir, 'logo.png');
+  const processWithWatermark = () => resizer.processImage(source, 'foto.png', { watermark: { image: watermarkPath } });
+
+  await fs.writeFile(watermarkPath, await createImage(10, 10, '#00ff00'));
+  const first = await processWithWatermark();
+  assert.equal((await processWithWatermark()).cacheKey, first.cacheKey);
+
+  await fs.writeFile(watermarkPath, await createImage(10, 10, '#0000ff'));
+  assert.notEqual((await processWithWatermark()).cacheKey, first.cacheKey);
+});
@@ -0,0 +1,123 @@
+// test/cache-manager.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { CacheManager } = require('../src/cache-manager');
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-manager-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Crea un CacheManager habilitado en un directorio nuevo.
+ * @param {string} name - Subdirectorio del caché.
+ * @param {object} [options] - Opciones del CacheManager.
+ */
+async function createCache(name, options) {
+  const cache = new CacheManager(path.join(workDir, name), true, options);
+  await cache.init();
+  return cache;
+}
+
+/**
+ * Imágenes procesadas de prueba: un original de `bytes` bytes.
+ * @param {number} bytes
+ */
+function createImages(bytes) {
+  return [
+    {
+      buffer: Buffer.alloc(bytes, 1),
+      filename: 'foto.jpeg',
+      sizeKey: 'original',
+      metadata: { format: 'jpeg', width: 10, height: 10, size: bytes },
+    },
+  ];
+}
+
+test('prune expulsa las entradas usadas hace más tiempo hasta quedar por debajo de maxBytes', async () => {
+  const writer = await createCache('lru');
+  for (const key of ['uno', 'dos', 'tres']) {
+    await writer.setCachedImages(key, createImages(1000));
+    await sleep(20);
+  }
+  // Leer 'uno' lo convierte en la entrada usada más recientemente
+  assert.ok(await writer.getCachedImages('uno'));
+
+  const cache = await createCache('lru', { maxBytes: 2500 });
+  const summary = await cache.prune();
+  assert.equal(summary.evicted, 1);
+  assert.equal(summary.removedBytes, 1000);
+  assert.equal(summary.remainingEntries, 2);
+  assert.equal(summary.remainingBytes, 2000);
+  assert.equal(await cache.getCachedImages('dos'), null);
+  assert.ok(await cache.getCachedImages('uno'));
+  assert.ok(await cache.getCachedImages('tres'));
+});
+
+test('las entradas caducadas no se sirven y prune las elimina', async () => {
+  const cache = await createCache('ttl', { ttl: 60 * 1000 });
+  await cache.setCachedImages('efimera', createImages(100), { ttl: 1 });
+  await cache.setCachedImages('duradera', createImages(100));
+  await sleep(20);
+
+  const summary = await cache.prune();
+  assert.equal(summary.expired, 1);
+  assert.equal(summary.remainingEntries, 1);
+  assert.equal(await cache.getCachedImages('efimera'), null);
+  const images = await cache.getCachedImages('duradera');
+  assert.deepEqual(images[0].buffer, Buffer.alloc(100, 1));
+});
+
+test('stats cuenta aciertos y fallos y lee el tamaño del almacén', async () => {
+  const cache = await createCache('stats');
+  assert.equal((await cache.stats()).hitRatio, null);
+
+  await cache.setCachedImages('foto', createImages(300));
+  await cache.getCachedImages('foto');
+  await cache.getCachedImages('foto');
+  await cache.getCachedImages('otra');
+
+  const stats = await cache.stats();
+  assert.equal(stats.enabled, true);
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.totalBytes, 300);
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.hitRatio, 2 / 3);
+
+  cache.resetStats();
+  assert.equal((await cache.stats()).hits, 0);
+});
+
+test('listEntries ordena por último acceso y getEntry describe las variantes sin contar un acceso', async () => {
+  const cache = await createCache('entries');
+  await cache.setCachedImages('antigua', createImages(100));
+  await sleep(20);
+  await cache.setCachedImages('reciente', createImages(200));
+
+  const entries = await cache.listEntries();
+  assert.deepEqual(entries.map((entry) => [entry.key, entry.size, entry.complete]), [
+    ['reciente', 200, true],
+    ['antigua', 100, true],
+  ]);
+
+  const entry = await cache.getEntry('antigua');
+  assert.equal(entry.size, 100);
+  assert.equal(entry.variants.original.jpeg.width, 10);
+  assert.equal(await cache.getEntry('inexistente'), null);
+  assert.equal((await cache.stats()).hits, 0);
+  await assert.rejects(cache.getEntry('../fuera'), (err) => err.code === 'ERR_INVALID_CACHE_KEY');
+
+  assert.equal(await cache.deleteEntry('antigua'), true);
+  assert.equal(await cache.deleteEntry('antigua'), false);
+  assert.deepEqual((await cache.listEntries()).map((item) => item.key), ['reciente']);
+});
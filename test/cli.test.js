@@ -0,0 +1,92 @@
+// test/cli.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const sharp = require('sharp');
+const { run, parseArgs } = require('../src/cli');
+const { createImage } = require('./helpers');
+
+let workDir;
+let inputDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+  inputDir = path.join(workDir, 'in');
+  await fs.mkdir(path.join(inputDir, 'galeria'), { recursive: true });
+  await fs.writeFile(path.join(inputDir, 'foto.png'), await createImage(400, 200));
+  await fs.writeFile(path.join(inputDir, 'galeria', 'otra.png'), await createImage(400, 200, '#0000ff'));
+  await fs.writeFile(path.join(inputDir, 'notas.txt'), 'no es una imagen');
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// Salida que acumula lo escrito
+const createOutput = () => {
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      output.text += chunk;
+      callback();
+    },
+  });
+  output.text = '';
+  return output;
+};
+
+const runCli = async (argv) => {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const exitCode = await run(argv, { stdout, stderr });
+  return { exitCode, stdout: stdout.text, stderr: stderr.text };
+};
+
+test('parseArgs separa posicionales y opciones en sus dos formas', () => {
+  assert.deepEqual(parseArgs(['process', './in', '--out', './out', '--log-level=error', '-h']), {
+    positionals: ['process', './in'],
+    options: { out: './out', logLevel: 'error', help: true },
+  });
+  assert.throws(() => parseArgs(['process', '--out']), { code: 'ERR_CLI_MISSING_VALUE' });
+});
+
+test('process redimensiona el directorio recursivamente, conserva los subdirectorios y escribe el informe', async () => {
+  const outDir = path.join(workDir, 'out');
+  const reportPath = path.join(workDir, 'report.json');
+  const { exitCode, stderr } = await runCli([
+    'process', inputDir, '--out', outDir, '--sizes', 'small', '--format', 'webp', '--report', reportPath, '--log-level', 'error',
+  ]);
+  assert.equal(exitCode, 0, stderr);
+
+  const report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  assert.deepEqual([report.total, report.succeeded, report.failed], [2, 2, 0]);
+  assert.deepEqual(report.files.map((entry) => [entry.file, entry.status]), [['foto.png', 'ok'], [path.join('galeria', 'otra.png'), 'ok']]);
+
+  const small = report.files[1].result.storage.local.resized.small;
+  assert.ok(path.relative(outDir, small).startsWith(`galeria${path.sep}`), small);
+  const metadata = await sharp(small).metadata();
+  assert.deepEqual([metadata.format, metadata.width], ['webp', 320]);
+});
+
+test('process sin ningún almacenamiento termina con error de uso sin procesar nada', async () => {
+  const reportPath = path.join(workDir, 'sin-salida.json');
+  const { exitCode, stderr } = await runCli(['process', inputDir, '--report', reportPath, '--log-level', 'error']);
+  assert.equal(exitCode, 2);
+  assert.match(stderr, /--out/);
+  await assert.rejects(fs.access(reportPath));
+});
+
+test('las opciones inválidas terminan con código 2 y muestran el uso', async () => {
+  for (const argv of [
+    ['process', inputDir, '--out', path.join(workDir, 'x'), '--sizes', 'gigante'],
+    ['process', inputDir, '--out', path.join(workDir, 'x'), '--quality', '150'],
+    ['process', inputDir, '--out', path.join(workDir, 'x'), '--concurrency', '0'],
+    ['desconocido'],
+  ]) {
+    const { exitCode, stderr } = await runCli(argv);
+    assert.equal(exitCode, 2, argv.join(' '));
+    assert.match(stderr, /Uso:/);
+  }
+});
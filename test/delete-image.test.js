@@ -0,0 +1,47 @@
+// test/delete-image.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ImageResizer = require('../src/index');
+const { isSafeImageId } = require('../src/utils');
+
+let workDir;
+let resizer;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'delete-image-test-'));
+  resizer = new ImageResizer({
+    useEnv: false,
+    cache: { enabled: false },
+    storage: { local: { path: path.join(workDir, 'images') }, s3: { enabled: false } },
+  });
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('isSafeImageId rechaza rutas absolutas y segmentos . y ..', () => {
+  assert.equal(isSafeImageId('foto-1700000000000-abc123'), true);
+  assert.equal(isSafeImageId('galeria/foto-1700000000000-abc123'), true);
+  for (const id of ['', '/etc/x-123-abc', '../../etc/x-123-abc', 'a/../x-123-abc', './x-123-abc', 'a//x-123-abc', 'a\\x-123-abc', 'x\0-123-abc']) {
+    assert.equal(isSafeImageId(id), false, id);
+  }
+});
+
+test('deleteImage rechaza un id que sale del almacenamiento sin tocar ningún archivo', async () => {
+  const outside = path.join(workDir, 'x-123-abc.webp');
+  await fs.writeFile(outside, 'no tocar');
+
+  await assert.rejects(resizer.deleteImage('../x-123-abc'), { code: 'ERR_INVALID_IMAGE_ID' });
+  await assert.rejects(resizer.deleteImage('../../etc/x-123-abc'), { code: 'ERR_INVALID_IMAGE_ID' });
+  assert.equal(await fs.readFile(outside, 'utf8'), 'no tocar');
+});
+
+test('deleteImage acepta un id con el formato del generador de nombres por defecto', async () => {
+  const report = await resizer.deleteImage('foto-1700000000000-abc123');
+  assert.equal(report.id, 'foto-1700000000000-abc123');
+  assert.equal(report.failed, 0);
+});
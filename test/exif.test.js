@@ -0,0 +1,40 @@
+// test/exif.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { parseExif } = require('../src/utils/exif');
+
+test('parseExif extrae cámara, fecha, exposición y GPS del bloque que informa Sharp', async () => {
+  const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } })
+    .withExif({
+      IFD0: { Make: 'Acme', Model: 'X1', Software: 'Editor 2' },
+      IFD2: {
+        DateTimeOriginal: '2024:05:06 07:08:09',
+        OffsetTimeOriginal: '+02:00',
+        ExposureTime: '1/250',
+        FNumber: '28/10',
+        ISOSpeedRatings: '200',
+        FocalLength: '50/1',
+        LensModel: 'Lente 50',
+      },
+      IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '40/1 25/1 30/1', GPSLongitudeRef: 'W', GPSLongitude: '3/1 42/1 0/1', GPSAltitude: '650/1', GPSAltitudeRef: '0' },
+    })
+    .jpeg()
+    .toBuffer();
+  const exif = parseExif((await sharp(jpeg).metadata()).exif);
+  assert.deepEqual(exif.camera, { make: 'Acme', model: 'X1', lens: 'Lente 50', software: 'Editor 2' });
+  assert.equal(exif.capturedAt, '2024-05-06T07:08:09+02:00');
+  assert.deepEqual(exif.exposure, { time: 0.004, fNumber: 2.8, iso: 200, focalLength: 50 });
+  assert.deepEqual(exif.gps, { latitude: -40.425, longitude: -3.7, altitude: 650 });
+});
+
+test('parseExif lee TIFF big-endian y rechaza los bloques inválidos', () => {
+  // 'MM', 42, IFD0 en la posición 8 con una sola entrada: Orientation (SHORT) = 6
+  const tiff = Buffer.from([0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(parseExif(Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])), { orientation: 6 });
+  assert.deepEqual(parseExif(tiff), { orientation: 6 });
+
+  assert.equal(parseExif(undefined), null);
+  assert.equal(parseExif(Buffer.from('no es un bloque EXIF')), null);
+  assert.equal(parseExif(Buffer.from([0x49, 0x49, 43, 0, 8, 0, 0, 0])), null);
+});
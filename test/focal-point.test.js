@@ -0,0 +1,83 @@
+// test/focal-point.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { processAndGenerateImages } = require('../src/image-processor');
+const { createImage, pixelAt } = require('./helpers');
+
+const sizes = {
+  square: { width: 50, height: 50, fit: 'cover' },
+  wide: { width: 80 },
+};
+
+/**
+ * Imagen de 200x100 gris con un detalle de 30x30 (rojo saturado con bandas) cerca del borde derecho.
+ */
+async function createSubjectImage() {
+  const stripes = Buffer.alloc(30 * 30 * 3);
+  for (let i = 0; i < 30 * 30; i++) {
+    const light = Math.floor(i / 30) % 4 < 2;
+    stripes.set(light ? [255, 40, 40] : [120, 0, 0], i * 3);
+  }
+  const subject = await sharp(stripes, { raw: { width: 30, height: 30, channels: 3 } }).png().toBuffer();
+  return sharp(await createImage(200, 100, '#808080'))
+    .composite([{ input: subject, left: 160, top: 35 }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Imagen de 200x100 roja en la mitad izquierda y azul en la derecha.
+ */
+async function createSplitImage() {
+  return sharp(await createImage(200, 100, '#ff0000'))
+    .composite([{ input: await createImage(100, 100, '#0000ff'), left: 100, top: 0 }])
+    .png()
+    .toBuffer();
+}
+
+test('los tamaños que recortan se encuadran en el focalPoint y lo registran; los demás no', async () => {
+  const images = await processAndGenerateImages(await createSplitImage(), 'foto.png', sizes, {
+    outputFormat: 'png',
+    focalPoint: { x: 0.9, y: 0.5 },
+  });
+  const square = images.find((img) => img.sizeKey === 'square');
+  const wide = images.find((img) => img.sizeKey === 'wide');
+
+  const { data, info } = await sharp(square.buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([info.width, info.height], [50, 50]);
+  // El recorte se desplaza hasta el borde derecho: solo la mitad azul
+  assert.deepEqual(pixelAt(data, info, 3, 25), [0, 0, 255]);
+  assert.deepEqual(square.metadata.focalPoint, { x: 0.9, y: 0.5, source: 'manual' });
+  assert.equal(wide.metadata.focalPoint, undefined);
+});
+
+test('sin focalPoint el recorte de cover sigue centrado', async () => {
+  const images = await processAndGenerateImages(await createSplitImage(), 'foto.png', sizes, {
+    outputFormat: 'png',
+    processSizes: ['square'],
+  });
+  const { data, info } = await sharp(images[1].buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual(pixelAt(data, info, 0, 25), [255, 0, 0]);
+  assert.deepEqual(pixelAt(data, info, 49, 25), [0, 0, 255]);
+  assert.equal(images[1].metadata.focalPoint, undefined);
+});
+
+for (const strategy of ['attention', 'entropy']) {
+  test(`smartCrop '${strategy}' detecta el detalle y encuadra el recorte sobre él`, async () => {
+    const images = await processAndGenerateImages(await createSubjectImage(), 'foto.png', sizes, {
+      outputFormat: 'png',
+      processSizes: ['square'],
+      smartCrop: strategy,
+    });
+    const square = images.find((img) => img.sizeKey === 'square');
+    const { focalPoint } = square.metadata;
+    assert.equal(focalPoint.source, strategy);
+    assert.ok(focalPoint.x > 0.75, JSON.stringify(focalPoint));
+
+    // El detalle (en x 160-190 de 200) queda dentro del recorte
+    const { data, info } = await sharp(square.buffer).raw().toBuffer({ resolveWithObject: true });
+    const [r, g, b] = pixelAt(data, info, 42, 25);
+    assert.ok(r > g + 60 && r > b + 60, `${r},${g},${b}`);
+  });
+}
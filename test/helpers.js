@@ -0,0 +1,30 @@
+// test/helpers.js
+const sharp = require('sharp');
+
+/**
+ * Genera una imagen PNG de un solo color.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [background='#ff0000'] - Color de relleno.
+ * @returns {Promise<Buffer>}
+ */
+const createImage = (width, height, background = '#ff0000') =>
+  sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+/**
+ * Lee el color RGB de un píxel de una imagen en crudo.
+ * @param {Buffer} data - Los píxeles (ver `raw().toBuffer({ resolveWithObject: true })`).
+ * @param {object} info - Su información (`width`, `channels`).
+ * @param {number} x
+ * @param {number} y
+ * @returns {number[]} `[r, g, b]`.
+ */
+const pixelAt = (data, info, x, y) => {
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+};
+
+module.exports = {
+  createImage,
+  pixelAt,
+};
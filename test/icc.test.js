@@ -0,0 +1,17 @@
+// test/icc.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { parseIccProfile } = require('../src/utils/icc');
+
+test('parseIccProfile extrae el nombre y el espacio de color del perfil', async () => {
+  const iccOf = async (pipeline) => (await sharp(await pipeline.toBuffer()).metadata()).icc;
+  const base = () => sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } });
+
+  assert.deepEqual(parseIccProfile(await iccOf(base().withIccProfile('p3').png())), { name: 'sP3C', colorSpace: 'rgb' });
+  assert.deepEqual(parseIccProfile(await iccOf(base().withIccProfile('srgb').png())), { name: 'sRGB', colorSpace: 'rgb' });
+  assert.equal(parseIccProfile(await iccOf(base().toColourspace('cmyk').withIccProfile('cmyk').jpeg())).colorSpace, 'cmyk');
+
+  assert.equal(parseIccProfile(undefined), null);
+  assert.equal(parseIccProfile(Buffer.alloc(200)), null);
+});
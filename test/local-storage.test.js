@@ -0,0 +1,42 @@
+// test/local-storage.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LocalStorageAdapter } = require('../src/local-storage');
+
+let workDir;
+let adapter;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-test-'));
+  adapter = new LocalStorageAdapter({ path: path.join(workDir, 'images') });
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('guarda, lee y elimina archivos dentro del directorio de almacenamiento', async () => {
+  await adapter.save(Buffer.from('imagen'), 'resized/small/foto.webp');
+  assert.deepEqual(await adapter.read('resized/small/foto.webp'), Buffer.from('imagen'));
+  assert.equal(await adapter.delete('resized/small/foto.webp'), true);
+  assert.equal(await adapter.exists('resized/small/foto.webp'), false);
+});
+
+test('rechaza las claves que salen del directorio de almacenamiento', async () => {
+  const outside = path.join(workDir, 'fuera.txt');
+  await fs.writeFile(outside, 'no tocar');
+
+  for (const key of ['../fuera.txt', 'resized/../../fuera.txt', outside]) {
+    await assert.rejects(adapter.save(Buffer.from('x'), key), { code: 'ERR_LOCAL_PATH_OUTSIDE_ROOT' });
+    await assert.rejects(adapter.read(key), { code: 'ERR_LOCAL_PATH_OUTSIDE_ROOT' });
+    await assert.rejects(adapter.delete(key), { code: 'ERR_LOCAL_PATH_OUTSIDE_ROOT' });
+  }
+  assert.equal(await fs.readFile(outside, 'utf8'), 'no tocar');
+});
+
+test('rechaza una clave que apunta al propio directorio de almacenamiento', async () => {
+  await assert.rejects(adapter.delete('.'), { code: 'ERR_LOCAL_PATH_OUTSIDE_ROOT' });
+});
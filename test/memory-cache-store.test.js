@@ -0,0 +1,64 @@
+// test/memory-cache-store.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { MemoryCacheStore } = require('../src/memory-cache-store');
+const { CacheManager } = require('../src/cache-manager');
+
+/**
+ * Entrada de almacén con un único buffer de `bytes` bytes.
+ * @param {number} bytes
+ */
+function createEntry(bytes) {
+  return {
+    metadata: { createdAt: Date.now(), expiresAt: null, bytes, variants: {} },
+    buffers: { 'original.jpeg': Buffer.alloc(bytes) },
+  };
+}
+
+test('expulsa las entradas usadas hace más tiempo al superar maxBytes', async () => {
+  const store = new MemoryCacheStore({ maxBytes: 250 });
+  await store.set('a', createEntry(100));
+  await store.set('b', createEntry(100));
+  await store.touch('a');
+  await store.set('c', createEntry(100));
+
+  assert.deepEqual((await store.list()).map((info) => info.key), ['a', 'c']);
+  assert.equal(store.totalBytes, 200);
+  assert.equal(await store.get('b'), null);
+});
+
+test('no guarda entradas más grandes que maxBytes y descuenta las reemplazadas', async () => {
+  const store = new MemoryCacheStore({ maxBytes: 250 });
+  await store.set('a', createEntry(100));
+  await store.set('enorme', createEntry(300));
+  assert.equal(await store.info('enorme'), null);
+
+  await store.set('a', createEntry(50));
+  assert.equal(store.totalBytes, 50);
+  assert.equal(await store.delete('a'), true);
+  assert.equal(store.totalBytes, 0);
+});
+
+test('CacheManager sirve desde el nivel en memoria y promociona las entradas leídas del disco', async (t) => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-cache-test-'));
+  t.after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+  const images = [
+    { buffer: Buffer.alloc(100, 7), filename: 'foto.jpeg', sizeKey: 'original', metadata: { format: 'jpeg', width: 10, height: 10 } },
+  ];
+
+  const writer = new CacheManager(cacheDir, true);
+  await writer.init();
+  await writer.setCachedImages('foto', images);
+
+  const cache = new CacheManager(cacheDir, true, { memoryMaxBytes: 1000 });
+  assert.ok(await cache.getCachedImages('foto'));
+  const [image] = await cache.getCachedImages('foto');
+  assert.deepEqual(image.buffer, Buffer.alloc(100, 7));
+
+  const stats = await cache.stats();
+  assert.equal(stats.hits, 2);
+  assert.deepEqual(stats.memory, { entries: 1, totalBytes: 100, maxBytes: 1000, hits: 1 });
+});
@@ -0,0 +1,83 @@
+// test/output-formats.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ImageResizer = require('../src/index');
+const { processAndGenerateImages } = require('../src/image-processor');
+const { SUPPORTED_OUTPUT_FORMATS } = require('../src/utils');
+const { createImage } = require('./helpers');
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'output-formats-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('cada variante se codifica en todos los formatos, agrupada por tamaño y en el orden pedido', async () => {
+  const sizes = { small: { width: 40, defaultQuality: 50 } };
+  const images = await processAndGenerateImages(await createImage(100, 50), 'foto.png', sizes, {
+    outputFormats: ['WEBP', 'jpeg', 'webp'],
+  });
+
+  assert.deepEqual(images.map((img) => [img.sizeKey, img.metadata.format]), [
+    ['original', 'webp'],
+    ['original', 'jpeg'],
+    ['small', 'webp'],
+    ['small', 'jpeg'],
+  ]);
+  for (const img of images) {
+    const { format, width } = await sharp(img.buffer).metadata();
+    assert.equal(format, img.metadata.format);
+    assert.equal(width, img.sizeKey === 'small' ? 40 : 100);
+  }
+
+  // Con varios formatos los tamaños usan la calidad por defecto de cada formato, no su `defaultQuality`
+  const [, single] = await processAndGenerateImages(await createImage(100, 50), 'foto.png', sizes, {
+    outputFormat: 'jpeg',
+    quality: SUPPORTED_OUTPUT_FORMATS.jpeg.options.quality,
+  });
+  assert.deepEqual(images[3].buffer, single.buffer);
+});
+
+test('processImage guarda un archivo por formato y describe las variantes por tamaño y formato', async () => {
+  const resizer = new ImageResizer({
+    useEnv: false,
+    cache: { enabled: false },
+    sizes: { small: { width: 40, defaultQuality: 80 } },
+    storage: { local: { path: workDir }, s3: { enabled: false } },
+  });
+  const result = await resizer.processImage(await createImage(100, 50), 'foto.png', { outputFormats: ['avif', 'jpeg'] });
+
+  const { metadata, storage, storageReport } = result;
+  assert.deepEqual(Object.keys(metadata.variants.small), ['avif', 'jpeg']);
+  assert.equal(metadata.resized.small.format, 'avif');
+  assert.equal(metadata.original.format, 'avif');
+  assert.match(metadata.variants.small.jpeg.filename, /\.small\.jpeg$/);
+  assert.notEqual(metadata.variants.small.avif.filename, metadata.variants.small.jpeg.filename);
+
+  for (const sizeKey of ['original', 'small']) {
+    for (const format of ['avif', 'jpeg']) {
+      assert.equal((await sharp(storage.local.variants[sizeKey][format]).metadata()).format, format === 'avif' ? 'heif' : format);
+    }
+  }
+  assert.equal(storage.local.resized.small, storage.local.variants.small.avif);
+  assert.deepEqual(Object.keys(storageReport.local.files).sort(), ['original', 'original.jpeg', 'small', 'small.jpeg']);
+});
+
+test('rechaza listas de formatos vacías o con formatos no soportados', async () => {
+  const resizer = new ImageResizer({ useEnv: false, cache: { enabled: false }, storage: { local: { path: workDir }, s3: { enabled: false } } });
+  for (const outputFormats of [[], ['webp', 'bmp'], 'webp']) {
+    await assert.rejects(
+      resizer.processImage(await createImage(10, 10), 'foto.png', { outputFormats }),
+      (err) => err.name === 'ConfigurationError' && err.code === 'ERR_INVALID_OUTPUT_FORMATS',
+      JSON.stringify(outputFormats)
+    );
+  }
+});
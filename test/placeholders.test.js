@@ -0,0 +1,73 @@
+// test/placeholders.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { generatePlaceholders } = require('../src/placeholders');
+const { encodeBlurHash } = require('../src/utils/blurhash');
+const { encodeThumbHash } = require('../src/utils/thumbhash');
+const { createImage } = require('./helpers');
+
+const BASE83_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const decode83 = (text) => [...text].reduce((value, digit) => value * 83 + BASE83_DIGITS.indexOf(digit), 0);
+
+// Píxeles RGBA de una imagen de un solo color
+const solidPixels = (width, height, [r, g, b, a = 255]) => {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) pixels.set([r, g, b, a], i * 4);
+  return pixels;
+};
+
+// Color medio de una ThumbHash, como lo decodifica la implementación de referencia
+const thumbHashAverage = (hash) => {
+  const header = hash[0] | (hash[1] << 8) | (hash[2] << 16);
+  const l = (header & 63) / 63;
+  const p = ((header >> 6) & 63) / 31.5 - 1;
+  const q = ((header >> 12) & 63) / 31.5 - 1;
+  const b = l - (2 / 3) * p;
+  const r = (3 * l - b + q) / 2;
+  return { rgb: [r, r - q, b].map((value) => Math.round(Math.max(0, Math.min(1, value)) * 255)), hasAlpha: (header >> 23) === 1 };
+};
+
+test('las imágenes en escala de grises generan las mismas hashes que su equivalente en color', async () => {
+  const color = await createImage(40, 20, '#808080');
+  const grayscaleInput = await sharp(color).toColourspace('b-w').png().toBuffer();
+  const expected = await generatePlaceholders(sharp(color), { blurhash: true, thumbhash: true });
+
+  // 4x3 componentes: 1 dígito de tamaño, 1 de máximo, 4 del DC y 2 por cada uno de los 11 AC
+  assert.match(expected.blurhash, /^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{28}$/);
+  assert.deepEqual(await generatePlaceholders(sharp(color).grayscale(), { blurhash: true, thumbhash: true }), expected);
+  assert.deepEqual(await generatePlaceholders(sharp(grayscaleInput), { blurhash: true, thumbhash: true }), expected);
+});
+
+test('BlurHash: un píxel blanco con una sola componente', () => {
+  assert.equal(encodeBlurHash(solidPixels(1, 1, [255, 255, 255]), 1, 1, 1, 1), '00TSUA');
+});
+
+test('BlurHash: la cabecera indica las componentes y el DC de una imagen lisa es su color', () => {
+  for (const [componentsX, componentsY] of [[4, 3], [1, 9], [9, 1]]) {
+    const hash = encodeBlurHash(solidPixels(32, 16, [200, 100, 50]), 32, 16, componentsX, componentsY);
+    assert.equal(hash.length, 4 + 2 * componentsX * componentsY);
+    assert.equal(decode83(hash[0]), componentsX - 1 + (componentsY - 1) * 9);
+    const dc = decode83(hash.slice(2, 6));
+    assert.deepEqual([dc >> 16, (dc >> 8) & 255, dc & 255], [200, 100, 50]);
+  }
+});
+
+test('ThumbHash: el color medio, la orientación y el canal alfa se codifican en la cabecera', () => {
+  const opaque = encodeThumbHash(solidPixels(32, 32, [200, 100, 50]), 32, 32);
+  const average = thumbHashAverage(opaque);
+  assert.equal(average.hasAlpha, false);
+  average.rgb.forEach((value, channel) => assert.ok(Math.abs(value - [200, 100, 50][channel]) <= 8, `${average.rgb}`));
+  // Cabecera de 5 bytes y 27 términos AC de luminancia más 5 de cada canal de color, dos por byte
+  assert.equal(opaque.length, 5 + Math.ceil((27 + 5 + 5) / 2));
+  assert.equal(opaque[4] >> 7, 0);
+
+  const landscape = encodeThumbHash(solidPixels(40, 20, [200, 100, 50]), 40, 20);
+  assert.equal(landscape[4] >> 7, 1);
+
+  const translucent = encodeThumbHash(solidPixels(16, 16, [0, 0, 255, 64]), 16, 16);
+  assert.equal(thumbHashAverage(translucent).hasAlpha, true);
+  assert.equal(translucent[5] & 15, Math.round((15 * 64) / 255)); // Alfa medio
+
+  assert.throws(() => encodeThumbHash(solidPixels(101, 1, [0, 0, 0]), 101, 1), RangeError);
+});
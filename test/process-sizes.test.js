@@ -0,0 +1,22 @@
+// test/process-sizes.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ImageResizer = require('../src/index');
+const { ConfigurationError } = require('../src/index');
+
+const resizer = new ImageResizer({
+  useEnv: false,
+  cache: { enabled: false },
+  sizes: { small: { width: 20, defaultQuality: 80 } },
+  storage: { local: { path: '/tmp/no-se-usa' }, s3: { enabled: false } },
+});
+
+test('processSizes debe ser un array de claves de tamaño existentes', async () => {
+  for (const processSizes of ['small', { small: true }, null, ['small', 'huge'], ['toString'], [1]]) {
+    await assert.rejects(
+      resizer.processImage(Buffer.from('x'), 'foto.png', { processSizes }),
+      (error) => error instanceof ConfigurationError && error.code === 'ERR_INVALID_PROCESS_SIZES',
+      JSON.stringify(processSizes)
+    );
+  }
+});
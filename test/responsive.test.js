@@ -0,0 +1,107 @@
+// test/responsive.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSrcset, buildSizes, buildPicture, buildManifest } = require('../src/responsive');
+
+/**
+ * Resultado de `processImage` con un original JPEG y dos tamaños en JPEG y WebP, guardado en S3 y en local.
+ */
+function createResult() {
+  const variant = (filename, width, height, format) => ({ filename, width, height, format, size: width * 10 });
+  return {
+    metadata: {
+      original: variant('fotos/playa.jpeg', 1200, 800, 'jpeg'),
+      resized: {
+        medium: variant('fotos/playa.medium.jpeg', 640, 427, 'jpeg'),
+        small: variant('fotos/playa.small.jpeg', 320, 213, 'jpeg'),
+      },
+      variants: {
+        original: { jpeg: variant('fotos/playa.jpeg', 1200, 800, 'jpeg') },
+        medium: { jpeg: variant('fotos/playa.medium.jpeg', 640, 427, 'jpeg'), webp: variant('fotos/playa.medium.webp', 640, 427, 'webp') },
+        small: { jpeg: variant('fotos/playa.small.jpeg', 320, 213, 'jpeg'), webp: variant('fotos/playa.small.webp', 320, 213, 'webp') },
+      },
+    },
+    storage: {
+      local: {
+        original: '/srv/imagenes/fotos/playa.jpeg',
+        resized: { small: '/srv/imagenes/fotos/playa.small.jpeg', medium: '/srv/imagenes/fotos/playa.medium.jpeg' },
+      },
+      s3: {
+        original: 'https://bucket.s3/fotos/playa.jpeg',
+        resized: { small: 'https://bucket.s3/fotos/playa.small.jpeg', medium: 'https://bucket.s3/fotos/playa.medium.jpeg' },
+        variants: {
+          small: { jpeg: 'https://bucket.s3/fotos/playa.small.jpeg', webp: 'https://bucket.s3/fotos/playa.small.webp' },
+          medium: { jpeg: 'https://bucket.s3/fotos/playa.medium.jpeg', webp: 'https://bucket.s3/fotos/playa.medium.webp' },
+        },
+      },
+    },
+  };
+}
+
+test('buildSrcset usa las URLs de S3 ordenadas por ancho y, con baseUrl, las construye a partir del nombre', () => {
+  const result = createResult();
+  assert.equal(
+    buildSrcset(result),
+    'https://bucket.s3/fotos/playa.small.jpeg 320w, https://bucket.s3/fotos/playa.medium.jpeg 640w'
+  );
+  assert.equal(
+    buildSrcset(result, { storage: 'local', baseUrl: 'https://cdn.example.com/img/', includeOriginal: true }),
+    'https://cdn.example.com/img/fotos/playa.small.jpeg 320w, https://cdn.example.com/img/fotos/playa.medium.jpeg 640w, https://cdn.example.com/img/fotos/playa.jpeg 1200w'
+  );
+  assert.equal(
+    buildSrcset(result, { format: 'webp' }),
+    'https://bucket.s3/fotos/playa.small.webp 320w, https://bucket.s3/fotos/playa.medium.webp 640w'
+  );
+});
+
+test('el almacenamiento local exige un baseUrl público', () => {
+  assert.throws(
+    () => buildSrcset(createResult(), { storage: 'local' }),
+    (err) => err.name === 'ConfigurationError' && err.code === 'ERR_BASE_URL_REQUIRED'
+  );
+});
+
+test('buildSizes acepta una cadena o una lista de condiciones', () => {
+  assert.equal(buildSizes(), '100vw');
+  assert.equal(
+    buildSizes([{ media: '(max-width: 600px)', size: '100vw' }, { size: '50vw' }]),
+    '(max-width: 600px) 100vw, 50vw'
+  );
+  assert.throws(() => buildSizes(42), (err) => err.code === 'ERR_INVALID_SIZES_ATTRIBUTE');
+});
+
+test('buildPicture pone los formatos modernos en <source> y un <img> de respaldo con dimensiones y atributos escapados', () => {
+  const html = buildPicture(createResult(), { alt: 'Playa "al" <atardecer>', sizes: '50vw', className: 'hero' });
+  const lines = html.split('\n');
+  assert.deepEqual([lines[0], lines[lines.length - 1], lines.length], ['<picture>', '</picture>', 4]);
+  assert.equal(
+    lines[1],
+    '  <source type="image/webp" srcset="https://bucket.s3/fotos/playa.small.webp 320w, https://bucket.s3/fotos/playa.medium.webp 640w" sizes="50vw">'
+  );
+  const img = lines[2];
+  assert.match(img, /^ {2}<img src="https:\/\/bucket\.s3\/fotos\/playa\.medium\.jpeg" /);
+  assert.match(img, / srcset="https:\/\/bucket\.s3\/fotos\/playa\.small\.jpeg 320w, https:\/\/bucket\.s3\/fotos\/playa\.medium\.jpeg 640w" sizes="50vw" /);
+  assert.match(img, / width="640" height="427" /);
+  assert.match(img, / alt="Playa &quot;al&quot; &lt;atardecer&gt;" /);
+  assert.match(img, / loading="lazy" decoding="async" class="hero">$/);
+});
+
+test('buildManifest describe el respaldo, las fuentes por formato y el original', () => {
+  const manifest = buildManifest(createResult(), { storage: 's3' });
+  assert.equal(manifest.version, 1);
+  assert.equal(manifest.width, 1200);
+  assert.equal(manifest.height, 800);
+  assert.equal(manifest.sizes, '100vw');
+  assert.deepEqual(manifest.fallback, {
+    src: 'https://bucket.s3/fotos/playa.medium.jpeg',
+    type: 'image/jpeg',
+    width: 640,
+    height: 427,
+    srcset: 'https://bucket.s3/fotos/playa.small.jpeg 320w, https://bucket.s3/fotos/playa.medium.jpeg 640w',
+  });
+  assert.deepEqual(manifest.sources.map((source) => source.type), ['image/webp', 'image/jpeg']);
+  assert.equal(manifest.variants.length, 4);
+  assert.equal(manifest.original.url, 'https://bucket.s3/fotos/playa.jpeg');
+  assert.equal(manifest.original.type, 'image/jpeg');
+  assert.equal(buildManifest(createResult(), { storage: 'local', baseUrl: 'https://cdn' }).original.url, 'https://cdn/fotos/playa.jpeg');
+});
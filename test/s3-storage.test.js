@@ -0,0 +1,27 @@
+// test/s3-storage.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3StorageAdapter } = require('../src/s3-storage');
+
+test('save sube los buffers con PutObjectCommand a través de un cliente que solo implementa send()', async () => {
+  const commands = [];
+  const client = { send: async (command) => { commands.push(command); return {}; } };
+  const adapter = new S3StorageAdapter({ bucketName: 'imagenes', region: 'eu-west-1', client });
+
+  const url = await adapter.save(Buffer.from('contenido'), 'foto-small.webp', { contentType: 'image/webp' });
+
+  assert.equal(commands.length, 1);
+  assert.ok(commands[0] instanceof PutObjectCommand);
+  assert.equal(commands[0].input.Bucket, 'imagenes');
+  assert.equal(commands[0].input.Key, 'foto-small.webp');
+  assert.equal(commands[0].input.ContentType, 'image/webp');
+  assert.equal(url, await adapter.getUrl('foto-small.webp'));
+});
+
+test('el constructor rechaza un cliente sin send()', () => {
+  assert.throws(
+    () => new S3StorageAdapter({ bucketName: 'imagenes', client: {} }),
+    { code: 'ERR_INVALID_S3_CLIENT' }
+  );
+});
@@ -0,0 +1,120 @@
+// test/server.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ImageResizer = require('../src/index');
+const { createImage, pixelAt } = require('./helpers');
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Arranca un servidor sobre un almacenamiento local nuevo con una imagen roja de 200x100 en 'foto.png'.
+ * @param {object} [defaults] - Opciones por defecto del resizer.
+ * @returns {Promise<{baseUrl: string, storagePath: string, close: Function}>}
+ */
+async function startServer(defaults) {
+  const storagePath = await fs.mkdtemp(path.join(workDir, 'images-'));
+  await fs.writeFile(path.join(storagePath, 'foto.png'), await createImage(200, 100, '#ff0000'));
+  const resizer = new ImageResizer({
+    useEnv: false,
+    cache: { enabled: false },
+    sizes: { small: { width: 50, defaultQuality: 80 } },
+    defaults,
+    storage: { local: { path: storagePath }, s3: { enabled: false } },
+  });
+  const server = resizer.createServer({ basePath: '/img' });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/img`,
+    storagePath,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const fetchImage = async (url) => {
+  const response = await fetch(url);
+  assert.equal(response.status, 200);
+  return sharp(Buffer.from(await response.arrayBuffer())).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+};
+
+test('genera la variante pedida por ancho y formato', async () => {
+  const { baseUrl, close } = await startServer();
+  try {
+    const response = await fetch(`${baseUrl}/foto.png?w=50&fmt=webp`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/webp');
+    const metadata = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['webp', 50, 25]);
+
+    assert.equal((await fetch(`${baseUrl}/foto.png?w=51`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/otra.png?w=50`)).status, 404);
+  } finally {
+    await close();
+  }
+});
+
+test('solo responde 304 si la imagen sigue existiendo', async () => {
+  const { baseUrl, storagePath, close } = await startServer();
+  try {
+    const { headers } = await fetch(`${baseUrl}/foto.png?w=50`);
+    const etag = headers.get('etag');
+    assert.equal((await fetch(`${baseUrl}/foto.png?w=50`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+    await fs.rm(path.join(storagePath, 'foto.png'));
+    const response = await fetch(`${baseUrl}/foto.png?w=50`, { headers: { 'If-None-Match': etag } });
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('etag'), null);
+  } finally {
+    await close();
+  }
+});
+
+test('un archivo almacenado que no es una imagen responde 422', async () => {
+  const { baseUrl, storagePath, close } = await startServer();
+  try {
+    await fs.writeFile(path.join(storagePath, 'nota.png'), 'no es una imagen');
+    assert.equal((await fetch(`${baseUrl}/nota.png`)).status, 422);
+    assert.equal((await fetch(`${baseUrl}/nota.png?w=50`)).status, 422);
+  } finally {
+    await close();
+  }
+});
+
+test('rechaza los identificadores que salen del almacenamiento', async () => {
+  const { baseUrl, close } = await startServer();
+  try {
+    assert.equal((await fetch(`${baseUrl}/..%2F..%2Fetc%2Fpasswd?w=50`)).status, 400);
+  } finally {
+    await close();
+  }
+});
+
+test('las variantes bajo demanda llevan la marca de agua de las opciones por defecto', async () => {
+  const { baseUrl, close } = await startServer({
+    watermark: { image: await createImage(10, 10, '#00ff00'), sizes: ['small'], margin: 0, opacity: 1, width: 0.25 },
+  });
+  try {
+    const resized = await fetchImage(`${baseUrl}/foto.png?w=50&fmt=png`);
+    assert.deepEqual([resized.info.width, resized.info.height], [50, 25]);
+    assert.deepEqual(pixelAt(resized.data, resized.info, 49, 24), [0, 255, 0]);
+    assert.deepEqual(pixelAt(resized.data, resized.info, 0, 0), [255, 0, 0]);
+
+    // La marca de agua solo se aplica a los tamaños indicados en `watermark.sizes`
+    const original = await fetchImage(`${baseUrl}/foto.png?fmt=png`);
+    assert.deepEqual([original.info.width, original.info.height], [200, 100]);
+    assert.deepEqual(pixelAt(original.data, original.info, 199, 99), [255, 0, 0]);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,73 @@
+// test/storage-report.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ImageResizer = require('../src/index');
+const { StorageError } = require('../src/index');
+const { createImage } = require('./helpers');
+
+/**
+ * Adaptador en memoria cuyo `save` puede fallar según `fail(key, attempt)`.
+ * @param {function(string, number): Error | null} fail - Error con el que falla el intento, o null.
+ */
+function createAdapter(fail) {
+  const files = new Map();
+  const attempts = new Map();
+  return {
+    files,
+    async save(buffer, key) {
+      const attempt = (attempts.get(key) || 0) + 1;
+      attempts.set(key, attempt);
+      const error = fail(key, attempt);
+      if (error) throw error;
+      files.set(key, buffer);
+      return `memoria://${key}`;
+    },
+    async exists(key) {
+      return files.has(key);
+    },
+    async delete(key) {
+      return files.delete(key);
+    },
+    getUrl(key) {
+      return `memoria://${key}`;
+    },
+  };
+}
+
+test('storageReport registra los reintentos por variante y los adaptadores fallidos', async () => {
+  // El primer intento de cada variante falla con un error de red transitorio
+  const flaky = createAdapter((key, attempt) =>
+    attempt === 1 ? Object.assign(new Error('conexión reiniciada'), { code: 'ECONNRESET' }) : null
+  );
+  const broken = createAdapter(() => new StorageError('acceso denegado', null, 'ERR_ACCESS_DENIED'));
+  const resizer = new ImageResizer({
+    useEnv: false,
+    cache: { enabled: false },
+    sizes: { small: { width: 20, defaultQuality: 80 } },
+    storage: {
+      local: { enabled: false },
+      s3: { enabled: false },
+      adapters: { flaky, broken },
+      transfer: { retries: 2, retryDelay: 1, maxRetryDelay: 2 },
+    },
+  });
+
+  const result = await resizer.processImage(await createImage(40, 40), 'foto.png', { outputFormat: 'png' });
+
+  const flakyReport = result.storageReport.flaky;
+  assert.equal(flakyReport.status, 'succeeded');
+  assert.equal(flakyReport.attempts, 4);
+  assert.deepEqual(Object.keys(flakyReport.files).sort(), ['original', 'small']);
+  for (const file of Object.values(flakyReport.files)) {
+    assert.equal(file.attempts, 2);
+    assert.ok(flaky.files.has(file.key), file.key);
+  }
+  assert.equal(result.storage.flaky.original, `memoria://${flakyReport.files.original.key}`);
+
+  // Un error permanente no se reintenta y el adaptador no aparece en `storage`
+  const brokenReport = result.storageReport.broken;
+  assert.equal(brokenReport.status, 'failed');
+  assert.equal(brokenReport.error.code, 'ERR_ACCESS_DENIED');
+  assert.equal(result.storage.broken, undefined);
+  assert.equal(broken.files.size, 0);
+});
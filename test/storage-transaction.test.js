@@ -0,0 +1,53 @@
+// test/storage-transaction.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ImageResizer = require('../src/index');
+const { ImageProcessingError } = require('../src/index');
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-transaction-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// Una variante que se genera bien y otra cuyo stream falla a mitad
+const createStreamedImages = () => [
+  { stream: Readable.from([Buffer.from('ok')]), filename: 'foto.original.png', sizeKey: 'original', metadata: { format: 'png' } },
+  {
+    stream: new Readable({
+      read() {
+        this.push(Buffer.from('parcial'));
+        this.destroy(new Error('fallo del codificador'));
+      },
+    }),
+    filename: 'foto.small.png',
+    sizeKey: 'small',
+    metadata: { format: 'png' },
+  },
+];
+
+for (const [transaction, expectedFiles] of [['adapter', []], ['all', []], ['none', ['foto.original.png']]]) {
+  test(`un fallo del stream de origen con transaction '${transaction}' ${expectedFiles.length ? 'conserva' : 'revierte'} lo guardado`, async () => {
+    const storagePath = path.join(workDir, transaction);
+    const resizer = new ImageResizer({
+      useEnv: false,
+      cache: { enabled: false },
+      storage: { local: { path: storagePath }, s3: { enabled: false } },
+    });
+    const finalResults = { storage: {}, storageReport: {} };
+
+    await assert.rejects(
+      resizer._performStorageOperations(createStreamedImages(), finalResults, 'foto.png', undefined, transaction),
+      (error) => error instanceof ImageProcessingError && error.code === 'ERR_RESIZE_FAILED'
+    );
+    assert.deepEqual((await fs.readdir(storagePath).catch(() => [])).sort(), expectedFiles);
+  });
+}
@@ -0,0 +1,86 @@
+// test/transformations.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { normalizeTransformations, applyTransformations } = require('../src/transformations');
+const { createImage } = require('./helpers');
+
+const transform = async (input, transformations) =>
+  (await applyTransformations(sharp(input), normalizeTransformations(transformations)))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+test('normalizeTransformations rechaza las operaciones fuera de la lista permitida, indicando su posición', () => {
+  assert.throws(
+    () => normalizeTransformations([{ op: 'grayscale' }, { op: 'toFile', path: '/tmp/x' }]),
+    { code: 'ERR_INVALID_TRANSFORMATION', message: /transformations\[1\].*'toFile' no está permitida/ }
+  );
+  assert.throws(() => normalizeTransformations([{ op: 'constructor' }]), { code: 'ERR_INVALID_TRANSFORMATION' });
+  assert.throws(() => normalizeTransformations([{ op: '__proto__' }]), { code: 'ERR_INVALID_TRANSFORMATION' });
+});
+
+test('normalizeTransformations rechaza argumentos desconocidos, obligatorios ausentes o fuera de rango', () => {
+  assert.throws(() => normalizeTransformations([{ op: 'blur', sigma: 0 }]), /`sigma` debe ser un número entre 0.3 y 100/);
+  assert.throws(() => normalizeTransformations([{ op: 'flip', times: 2 }]), /argumentos no permitidos: times/);
+  assert.throws(() => normalizeTransformations([{ op: 'tint' }]), /falta el argumento obligatorio `color`/);
+  assert.throws(
+    () => normalizeTransformations([{ op: 'composite', images: [{ input: '/etc/passwd' }] }]),
+    /debe ser un Buffer/
+  );
+  assert.throws(() => normalizeTransformations('rotate'), { code: 'ERR_INVALID_TRANSFORMATIONS_OBJECT' });
+});
+
+test('normalizeTransformations convierte el objeto heredado en pasos, en el orden de sus claves', () => {
+  assert.deepEqual(normalizeTransformations({ rotate: 90, grayscale: true, flip: false }), [
+    { op: 'rotate', args: { angle: 90 } },
+    { op: 'grayscale', args: {} },
+  ]);
+});
+
+test('una operación repetida se aplica tantas veces como se pide', async () => {
+  const { info } = await transform(await createImage(40, 20), [{ op: 'rotate', angle: 90 }, { op: 'rotate', angle: 90 }]);
+  assert.deepEqual([info.width, info.height], [40, 20]);
+
+  const { info: extracted } = await transform(await createImage(40, 20), [
+    { op: 'extract', left: 0, top: 0, width: 30, height: 20 },
+    { op: 'extract', left: 5, top: 0, width: 10, height: 10 },
+  ]);
+  assert.deepEqual([extracted.width, extracted.height], [10, 10]);
+});
+
+test('los pasos se aplican en el orden pedido aunque Sharp los ejecute en otro', async () => {
+  // Sharp recorta antes de rotar: sin respetar el orden, el recorte de 30x10 no cabría en la imagen rotada de 20x40
+  const { info } = await transform(await createImage(40, 20), [
+    { op: 'rotate', angle: 90 },
+    { op: 'extract', left: 0, top: 0, width: 20, height: 30 },
+  ]);
+  assert.deepEqual([info.width, info.height], [20, 30]);
+
+  // Sharp niega los colores después de teñir: teñir un negativo no es lo mismo que negar una imagen teñida
+  const input = await createImage(4, 4, '#808080');
+  const tintThenNegate = await transform(input, [{ op: 'tint', color: '#ff0000' }, { op: 'negate' }]);
+  const negateThenTint = await transform(input, [{ op: 'negate' }, { op: 'tint', color: '#ff0000' }]);
+  assert.notDeepEqual([...tintThenNegate.data.subarray(0, 3)], [...negateThenTint.data.subarray(0, 3)]);
+});
+
+test('las capas de composite se aplican a la imagen original, antes de redimensionar', async () => {
+  const layer = await createImage(10, 10, '#0000ff');
+  const transformed = await applyTransformations(
+    sharp(await createImage(40, 40)),
+    normalizeTransformations([{ op: 'composite', images: [{ input: layer, top: 0, left: 0 }] }])
+  );
+  // Si la capa se compusiera después de redimensionar a 5x5, Sharp la rechazaría por ser mayor que la imagen
+  const { data, info } = await transformed.resize(20, 20).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([info.width, info.height], [20, 20]);
+  assert.deepEqual([...data.subarray(0, 3)], [0, 0, 255]);
+});
+
+test('los errores al materializar indican los pasos afectados', async () => {
+  await assert.rejects(
+    transform(await createImage(40, 20), [
+      { op: 'extract', left: 30, top: 0, width: 20, height: 20 },
+      { op: 'rotate', angle: 90 },
+    ]),
+    { code: 'ERR_TRANSFORMATION_FAILED', message: /transformations\[0\]/ }
+  );
+});
@@ -0,0 +1,42 @@
+// test/watermark.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { processAndGenerateImages } = require('../src/image-processor');
+const { createImage, pixelAt } = require('./helpers');
+
+test('la marca de agua se superpone a un paso `composite` de las transformaciones sin sustituirlo', async () => {
+  const [original] = await processAndGenerateImages(await createImage(40, 40, '#ff0000'), 'foto', {}, {
+    outputFormat: 'png',
+    processSizes: [],
+    transformations: [{ op: 'composite', images: [{ input: await createImage(10, 10, '#0000ff'), top: 0, left: 0 }] }],
+    watermark: { image: await createImage(10, 10, '#00ff00'), margin: 0, opacity: 1, width: 0.25 },
+  });
+
+  const { data, info } = await sharp(original.buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual(pixelAt(data, info, 0, 0), [0, 0, 255]);
+  assert.deepEqual(pixelAt(data, info, 39, 39), [0, 255, 0]);
+  assert.deepEqual(pixelAt(data, info, 20, 20), [255, 0, 0]);
+});
+
+test('la marca de agua se coloca según las dimensiones finales de cada variante', async () => {
+  const sizes = {
+    small: { width: 50 },
+    box: { width: 60, height: 60, fit: 'inside' },
+    square: { width: 40, height: 40, fit: 'cover' },
+  };
+  const results = await processAndGenerateImages(await createImage(200, 120, '#ff0000'), 'foto', sizes, {
+    outputFormat: 'png',
+    focalPoint: { x: 0.2, y: 0.5 },
+    transformations: [{ op: 'rotate', angle: 90 }],
+    watermark: { image: await createImage(10, 10, '#00ff00'), margin: 0, opacity: 1, width: 0.25 },
+  });
+
+  const expected = { original: [120, 200], small: [50, 83], box: [36, 60], square: [40, 40] };
+  for (const { buffer, sizeKey } of results) {
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual([info.width, info.height], expected[sizeKey], sizeKey);
+    assert.deepEqual(pixelAt(data, info, info.width - 1, info.height - 1), [0, 255, 0], sizeKey);
+    assert.deepEqual(pixelAt(data, info, 0, 0), [255, 0, 0], sizeKey);
+  }
+});